@@ -0,0 +1,686 @@
+#!/usr/bin/env node
+/**
+ * ThorMail CLI
+ * Send test messages, check job status and tail failures from the terminal
+ *
+ * @module @thormail/client/bin/thormail
+ * @license MIT
+ * @author ThorMail Team
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { ThorMailClient, ThorMailError } = require('../src/index.js');
+const { version } = require('../package.json');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Process exit codes, derived from ThorMailError categories */
+const EXIT_CODES = Object.freeze({
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    AUTH: 3,
+    NOT_FOUND: 4,
+    CONFLICT: 5,
+    RATE_LIMITED: 6,
+    UNAVAILABLE: 7,
+    SUPPRESSED: 8
+});
+
+/** Flags that never take a value */
+const BOOLEAN_FLAGS = ['json', 'help', 'version', 'follow', 'wait'];
+
+/** Columns printed for message history rows */
+const MESSAGE_COLUMNS = ['id', 'to', 'type', 'status', 'templateId', 'created_at'];
+
+const USAGE = `Usage: thormail <command> [options]
+
+Commands:
+  send                  Send a single message
+  send-batch --csv <f>  Send to every row of a CSV file (column "to" + data columns)
+  send-batch --ndjson <f>  Same from an NDJSON file (one {"to", "data"} object per line)
+  status <id...>        Show the status of one or more jobs (--wait to wait for a final status)
+  failures              List recent failed and bounced messages (--follow to keep watching)
+  config test           Check the connection and credentials
+  config show           Show the resolved configuration
+
+Connection (flags > environment > profile file):
+  --base-url <url>      THORMAIL_BASE_URL
+  --workspace <id>      THORMAIL_WORKSPACE_ID
+  --api-key <key>       THORMAIL_API_KEY
+  --profile <name>      THORMAIL_PROFILE (default: "default")
+                        Profiles are read from THORMAIL_CONFIG or ~/.thormail/config.json
+  --timeout <ms>        Request timeout
+
+send / send-batch:
+  --to <recipient>      Recipient (send only)
+  --type <type>         EMAIL, SMS, PUSH or WEBHOOK (default: EMAIL)
+  --subject <text>      Subject or title
+  --body <text>         Message body (or --body-file <path>)
+  --template <id>       Template ID instead of a body
+  --data <json|@file>   Template data (shared by every row in send-batch)
+  --adapter <id>        Adapter to route through
+  --schedule <iso>      Delivery time
+  --idempotency-key <k> Idempotency key
+  --to-column <name>    CSV column holding the recipient (default: to)
+  --rejects <file>      Write rows that were not sent to this file, with the reason
+  --cursor <n>          Skip the first n rows (resume an interrupted send-batch)
+
+failures:
+  --since <15m|2h|1d|iso>  Only messages since then (default: 1h)
+  --limit <n>           Maximum rows per page (default: 20)
+  --interval <seconds>  Polling interval with --follow (default: 10)
+
+Output:
+  --json                Print JSON instead of tables
+  -h, --help            Show this help
+  -v, --version         Show the version
+
+Exit codes: 0 ok, 1 error, 2 usage or validation, 3 auth, 4 not found,
+            5 job locked, 6 rate limited, 7 API unavailable, 8 suppressed`;
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Invalid command line usage (exit code 2)
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message - What is wrong with the command line
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Maps an error to the process exit code
+ * @param {Error} err - Error thrown by a command
+ * @returns {number} Exit code
+ */
+function exitCodeFor(err) {
+    if (err instanceof UsageError) return EXIT_CODES.USAGE;
+    if (!(err instanceof ThorMailError)) return EXIT_CODES.ERROR;
+    if (err.isValidationError()) return EXIT_CODES.USAGE;
+    if (err.isSuppressed()) return EXIT_CODES.SUPPRESSED;
+    if (err.isAuthError() || err.isForbidden()) return EXIT_CODES.AUTH;
+    if (err.isNotFound()) return EXIT_CODES.NOT_FOUND;
+    if (err.isJobLocked()) return EXIT_CODES.CONFLICT;
+    if (err.isRateLimited()) return EXIT_CODES.RATE_LIMITED;
+    if (err.isRetryable() || err.isCircuitOpen()) return EXIT_CODES.UNAVAILABLE;
+    return EXIT_CODES.ERROR;
+}
+
+// ============================================================================
+// Arguments and Configuration
+// ============================================================================
+
+/**
+ * Parses `--flag value`, `--flag=value`, boolean flags and positionals
+ * @param {string[]} argv - Arguments after the node binary and script
+ * @returns {{positionals: string[], flags: Object<string, string|boolean>}}
+ * @throws {UsageError} If a flag is missing its value
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            flags.help = true;
+        } else if (arg === '-v') {
+            flags.version = true;
+        } else if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        } else if (arg.startsWith('--')) {
+            const [name, inline] = arg.slice(2).split(/=(.*)/s);
+            if (BOOLEAN_FLAGS.includes(name)) {
+                flags[name] = inline === undefined ? true : inline !== 'false';
+            } else if (inline !== undefined) {
+                flags[name] = inline;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                flags[name] = argv[++i];
+            } else {
+                throw new UsageError(`Missing value for --${name}`);
+            }
+        } else {
+            positionals.push(arg);
+        }
+    }
+    return { positionals, flags };
+}
+
+/**
+ * Reads a profile from the profile file
+ * @param {string} name - Profile name
+ * @param {boolean} required - Whether a missing file or profile is an error
+ * @param {Object} env - Environment variables
+ * @param {NodeJS.WritableStream} stderr - Where to print permission warnings
+ * @returns {{file: string, profile: Object}} Profile settings (empty if not found)
+ * @throws {UsageError} If the file is invalid, or missing while required
+ */
+function readProfile(name, required, env, stderr) {
+    const file = env.THORMAIL_CONFIG || path.join(os.homedir(), '.thormail', 'config.json');
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT' && !required) {
+            return { file, profile: {} };
+        }
+        throw new UsageError(`Cannot read profile file ${file}: ${err.message}`);
+    }
+
+    if (process.platform !== 'win32' && (fs.statSync(file).mode & 0o077) !== 0) {
+        stderr.write(`Warning: ${file} is readable by other users; run chmod 600 ${file}\n`);
+    }
+
+    let profiles;
+    try {
+        profiles = JSON.parse(content);
+    } catch (err) {
+        throw new UsageError(`Invalid JSON in profile file ${file}: ${err.message}`);
+    }
+    const profile = profiles?.[name];
+    if (!profile || typeof profile !== 'object') {
+        if (required) {
+            throw new UsageError(`Profile "${name}" not found in ${file}`);
+        }
+        return { file, profile: {} };
+    }
+    return { file, profile };
+}
+
+/**
+ * Resolves the connection settings: flags, then environment, then profile file
+ * @param {Object} flags - Parsed flags
+ * @param {Object} env - Environment variables
+ * @param {NodeJS.WritableStream} stderr - Where to print warnings
+ * @returns {{config: Object, sources: Object<string, string>}} Client config and where each value came from
+ */
+function resolveConfig(flags, env, stderr) {
+    const profileName = flags.profile || env.THORMAIL_PROFILE || 'default';
+    const explicitProfile = Boolean(flags.profile || env.THORMAIL_PROFILE);
+    const { file, profile } = readProfile(profileName, explicitProfile, env, stderr);
+
+    const config = {};
+    const sources = {};
+    const fields = [
+        ['baseUrl', 'base-url', 'THORMAIL_BASE_URL'],
+        ['workspaceId', 'workspace', 'THORMAIL_WORKSPACE_ID'],
+        ['apiKey', 'api-key', 'THORMAIL_API_KEY'],
+        ['timeout', 'timeout', 'THORMAIL_TIMEOUT']
+    ];
+    for (const [field, flag, variable] of fields) {
+        if (flags[flag] !== undefined) {
+            config[field] = flags[flag];
+            sources[field] = `--${flag}`;
+        } else if (env[variable]) {
+            config[field] = env[variable];
+            sources[field] = variable;
+        } else if (profile[field] !== undefined) {
+            config[field] = profile[field];
+            sources[field] = `${file} [${profileName}]`;
+        }
+    }
+
+    if (config.timeout !== undefined) {
+        config.timeout = Number(config.timeout);
+        if (!(config.timeout > 0)) {
+            throw new UsageError('Timeout must be a positive number of milliseconds');
+        }
+    }
+    return { config, sources };
+}
+
+/**
+ * Creates the client, failing with a usage error when settings are missing
+ * @param {Object} config - Resolved settings
+ * @returns {ThorMailClient}
+ * @throws {UsageError} If baseUrl, workspaceId or apiKey is missing
+ */
+function createCliClient(config) {
+    const missing = [
+        ['baseUrl', '--base-url or THORMAIL_BASE_URL'],
+        ['workspaceId', '--workspace or THORMAIL_WORKSPACE_ID'],
+        ['apiKey', '--api-key or THORMAIL_API_KEY']
+    ].filter(([field]) => !config[field]).map(([, hint]) => hint);
+
+    if (missing.length > 0) {
+        throw new UsageError(`Missing connection settings: ${missing.join(', ')} (or a profile file)`);
+    }
+    return new ThorMailClient(config);
+}
+
+/**
+ * Reads `--data`: inline JSON or `@path` to a JSON file
+ * @param {string|undefined} value - Flag value
+ * @returns {Object|undefined}
+ * @throws {UsageError} If the value is not a JSON object
+ */
+function readData(value) {
+    if (value === undefined) return undefined;
+
+    const text = value.startsWith('@') ? readFile(value.slice(1)) : value;
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new UsageError(`--data must be JSON: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new UsageError('--data must be a JSON object');
+    }
+    return data;
+}
+
+/**
+ * Reads a UTF-8 file given on the command line
+ * @param {string} file - File path
+ * @returns {string}
+ * @throws {UsageError} If the file cannot be read
+ */
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new UsageError(`Cannot read ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Opens a file given on the command line for streaming
+ * @param {string} file - File path
+ * @returns {fs.ReadStream}
+ * @throws {UsageError} If the file cannot be read
+ */
+function openFile(file) {
+    try {
+        fs.accessSync(file, fs.constants.R_OK);
+    } catch (err) {
+        throw new UsageError(`Cannot read ${file}: ${err.message}`);
+    }
+    return fs.createReadStream(file);
+}
+
+/**
+ * Parses `--since`: a duration back from now (30s, 15m, 2h, 1d) or a date
+ * @param {string} value - Flag value
+ * @returns {Date}
+ * @throws {UsageError} If the value is neither
+ */
+function parseSince(value) {
+    const match = /^(\d+)([smhd])$/.exec(value);
+    if (match) {
+        const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+        return new Date(Date.now() - Number(match[1]) * unit);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new UsageError(`Invalid --since "${value}", use a duration like 15m, 2h, 1d or an ISO 8601 date`);
+    }
+    return date;
+}
+
+/**
+ * Parses a positive integer flag
+ * @param {string|undefined} value - Flag value
+ * @param {string} name - Flag name, for the error message
+ * @param {number} fallback - Default value
+ * @returns {number}
+ * @throws {UsageError} If the value is not a positive integer
+ */
+function parsePositiveInt(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} must be a positive integer`);
+    }
+    return number;
+}
+
+/**
+ * Parses a non-negative integer flag
+ * @param {string|undefined} value - Flag value
+ * @param {string} name - Flag name, for the error message
+ * @param {number} fallback - Default value
+ * @returns {number}
+ * @throws {UsageError} If the value is not a non-negative integer
+ */
+function parseNonNegativeInt(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (value === '' || !Number.isInteger(number) || number < 0) {
+        throw new UsageError(`--${name} must be a non-negative integer`);
+    }
+    return number;
+}
+
+// ============================================================================
+// Output
+// ============================================================================
+
+/**
+ * Formats a cell for table output
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) return '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Renders rows as an aligned text table
+ * @param {Object[]} rows - Rows to print
+ * @param {string[]} [columns] - Columns to show (default: keys of the rows)
+ * @returns {string}
+ */
+function formatTable(rows, columns = [...new Set(rows.flatMap(row => Object.keys(row)))]) {
+    if (rows.length === 0) return '(none)';
+
+    const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+    return [line(columns.map(c => c.toUpperCase())), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Renders an object as aligned `key  value` lines
+ * @param {Object} record - Object to print
+ * @returns {string}
+ */
+function formatRecord(record) {
+    const entries = Object.entries(record).filter(([, value]) => value !== undefined);
+    const width = Math.max(0, ...entries.map(([key]) => key.length));
+    return entries.map(([key, value]) => `${key.padEnd(width)}  ${formatCell(value)}`).join('\n');
+}
+
+/**
+ * Masks an API key for display
+ * @param {string} key - API key
+ * @returns {string}
+ */
+function maskKey(key) {
+    const value = String(key);
+    return value.length > 8 ? `****${value.slice(-4)}` : '****';
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * Builds the fields shared by `send` and `send-batch`
+ * @param {Object} flags - Parsed flags
+ * @returns {Object}
+ */
+function messageFields(flags) {
+    const body = flags['body-file'] !== undefined ? readFile(flags['body-file']) : flags.body;
+    const fields = {
+        type: flags.type ? String(flags.type).toUpperCase() : undefined,
+        subject: flags.subject,
+        body,
+        templateId: flags.template,
+        data: readData(flags.data),
+        adapterId: flags.adapter,
+        scheduledAt: flags.schedule,
+        idempotencyKey: flags['idempotency-key']
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Commands by name. Each returns `{result, table}`: the JSON result and its table rendering.
+ * @type {Object<string, function(ThorMailClient, string[], Object, Object): Promise<{result: any, table: string, exitCode?: number}>>}
+ */
+const COMMANDS = {
+    async send(client, args, flags) {
+        if (!flags.to) {
+            throw new UsageError('send requires --to <recipient>');
+        }
+        const result = await client.send({ to: flags.to, ...messageFields(flags) });
+        return { result, table: formatRecord(result) };
+    },
+
+    async 'send-batch'(client, args, flags, io) {
+        if (Boolean(flags.csv) === Boolean(flags.ndjson)) {
+            throw new UsageError('send-batch requires either --csv <file> or --ndjson <file>');
+        }
+        const format = flags.csv ? 'csv' : 'ndjson';
+        const input = openFile(flags[format]);
+
+        // Ctrl+C stops after the batch in flight; the printed cursor resumes the import
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        process.once('SIGINT', stop);
+        let result;
+        try {
+            result = await client.sendStream(input, messageFields(flags), {
+                format,
+                to: flags['to-column'],
+                rejects: flags.rejects,
+                cursor: parseNonNegativeInt(flags.cursor, 'cursor', 0),
+                signal: controller.signal,
+                onProgress: ({ rows, queued, rejected, failed }) => {
+                    if (io.stderr.isTTY) {
+                        io.stderr.write(`\r${rows} rows, ${queued} queued, ${rejected} rejected, ${failed} failed`);
+                    }
+                }
+            });
+        } finally {
+            process.removeListener('SIGINT', stop);
+            input.destroy();
+        }
+        if (io.stderr.isTTY) io.stderr.write('\n');
+
+        const failedBatches = result.batches.filter(batch => batch.status === 'rejected');
+        const summary = formatRecord({
+            status: result.status,
+            rows: result.rows,
+            queued: result.queued,
+            rejected: result.rejected,
+            failed: result.failed,
+            rejects: result.rejected + result.failed > 0 ? flags.rejects : undefined,
+            cursor: result.cursor
+        });
+        const failures = failedBatches.map(batch => ({
+            firstRow: batch.firstRow,
+            size: batch.size,
+            code: batch.error?.code,
+            error: batch.error?.message
+        }));
+
+        let exitCode = EXIT_CODES.OK;
+        if (failedBatches.length > 0) exitCode = exitCodeFor(failedBatches[0].error);
+        else if (result.cursor !== null) exitCode = EXIT_CODES.ERROR;
+        else if (result.rejected > 0) exitCode = EXIT_CODES.USAGE;
+        return {
+            result: { ...result, batches: result.batches.map(batch => batch.error ? { ...batch, error: batch.error.toJSON() } : batch) },
+            table: failures.length > 0 ? `${summary}\n\n${formatTable(failures)}` : summary,
+            exitCode
+        };
+    },
+
+    async status(client, args, flags) {
+        if (args.length === 0) {
+            throw new UsageError('status requires at least one job ID');
+        }
+        if (flags.wait) {
+            if (args.length > 1) {
+                throw new UsageError('--wait takes a single job ID');
+            }
+            const result = await client.waitForStatus(args[0]);
+            return { result, table: formatRecord({ id: args[0], ...result }) };
+        }
+        if (args.length === 1) {
+            const result = await client.status(args[0]);
+            return { result, table: formatRecord({ id: args[0], ...result }) };
+        }
+
+        const result = await client.statusMany(args);
+        const notFound = result.notFound.length > 0 ? `\n\nNot found: ${result.notFound.join(', ')}` : '';
+        return {
+            result,
+            table: formatTable(result.data, ['id', 'status', 'created_at']) + notFound,
+            exitCode: result.notFound.length > 0 ? EXIT_CODES.NOT_FOUND : EXIT_CODES.OK
+        };
+    },
+
+    async failures(client, args, flags, io) {
+        const limit = parsePositiveInt(flags.limit, 'limit', 20);
+        const interval = parsePositiveInt(flags.interval, 'interval', 10);
+        const filter = { status: ['failed', 'bounced'], since: parseSince(flags.since || '1h'), limit };
+
+        const page = await client.listMessages(filter);
+        if (!flags.follow) {
+            return { result: page.data, table: formatTable(page.data, MESSAGE_COLUMNS) };
+        }
+
+        // Follow mode: print new failures as they show up, until interrupted
+        const seen = new Set();
+        let since = filter.since;
+        const print = (messages) => {
+            const fresh = messages.filter(message => !seen.has(message.id));
+            fresh.forEach(message => seen.add(message.id));
+            if (fresh.length === 0) return;
+            const latest = new Date(Math.max(...fresh.map(message => new Date(message.created_at).getTime())));
+            if (latest > since) since = latest;
+            if (flags.json) {
+                fresh.forEach(message => io.stdout.write(`${JSON.stringify(message)}\n`));
+            } else {
+                const lines = formatTable(fresh, MESSAGE_COLUMNS).split('\n');
+                io.stdout.write(`${(seen.size === fresh.length ? lines : lines.slice(1)).join('\n')}\n`);
+            }
+        };
+
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        process.once('SIGINT', stop);
+        try {
+            print(page.data);
+            while (!controller.signal.aborted) {
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, interval * 1000);
+                    controller.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        resolve();
+                    }, { once: true });
+                });
+                if (controller.signal.aborted) break;
+                const next = await client.listMessages({ ...filter, since }, { signal: controller.signal })
+                    .catch(err => {
+                        if (err.isAborted?.()) return { data: [] };
+                        throw err;
+                    });
+                print(next.data);
+            }
+        } finally {
+            process.removeListener('SIGINT', stop);
+        }
+        return { result: undefined, table: '' };
+    },
+
+    async config(client, args, flags, io, resolved) {
+        const [action] = args;
+        if (action === 'show') {
+            const { config, sources } = resolved;
+            const rows = Object.entries(config).map(([field, value]) => ({
+                setting: field,
+                value: field === 'apiKey' ? maskKey(value) : value,
+                source: sources[field]
+            }));
+            const result = Object.fromEntries(rows.map(row => [row.setting, { value: row.value, source: row.source }]));
+            return { result, table: formatTable(rows) };
+        }
+        if (action === 'test') {
+            const startedAt = Date.now();
+            await client.listMessages({ limit: 1 });
+            const result = {
+                status: 'ok',
+                baseUrl: client.baseUrl,
+                workspaceId: client.workspaceId,
+                latencyMs: Date.now() - startedAt,
+                rateLimit: client.getRateLimitInfo()
+            };
+            return { result, table: formatRecord(result) };
+        }
+        throw new UsageError('Usage: thormail config <test|show>');
+    }
+};
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments after the node binary and script
+ * @param {{stdout: NodeJS.WritableStream, stderr: NodeJS.WritableStream, env: Object}} [io] - Streams and environment
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr, env: process.env }) {
+    let json = argv.includes('--json');
+    try {
+        const { positionals, flags } = parseArgs(argv);
+        json = Boolean(flags.json);
+        const [command, ...args] = positionals;
+
+        if (flags.version) {
+            io.stdout.write(`${version}\n`);
+            return EXIT_CODES.OK;
+        }
+        if (flags.help || !command) {
+            io.stdout.write(`${USAGE}\n`);
+            return flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+        }
+        if (!Object.hasOwn(COMMANDS, command)) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+
+        const resolved = resolveConfig(flags, io.env, io.stderr);
+        // `config show` must work even when settings are missing
+        const client = command === 'config' && args[0] === 'show' ? null : createCliClient(resolved.config);
+        const { result, table, exitCode = EXIT_CODES.OK } = await COMMANDS[command](client, args, flags, io, resolved);
+
+        if (result !== undefined) {
+            io.stdout.write(json ? `${JSON.stringify(result, null, 2)}\n` : `${table}\n`);
+        }
+        return exitCode;
+    } catch (err) {
+        const exitCode = exitCodeFor(err);
+        if (json) {
+            const error = err instanceof ThorMailError ? err.toJSON() : { name: err.name, message: err.message };
+            io.stderr.write(`${JSON.stringify({ error }, null, 2)}\n`);
+        } else if (err instanceof ThorMailError) {
+            const status = err.statusCode ? ` (HTTP ${err.statusCode})` : '';
+            io.stderr.write(`Error${err.code ? ` [${err.code}]` : ''}${status}: ${err.message}\n`);
+        } else {
+            io.stderr.write(`Error: ${err.message}\n`);
+        }
+        if (exitCode === EXIT_CODES.USAGE && err instanceof UsageError) {
+            io.stderr.write('Run "thormail --help" for usage.\n');
+        }
+        return exitCode;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, EXIT_CODES };
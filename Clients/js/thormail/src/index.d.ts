@@ -18,6 +18,15 @@ export interface RetryConfig {
     retryOnNetwork?: boolean;
 }
 
+export interface RequestOptions {
+    /** Aborts the request and any pending retry delay (ABORTED error, never retried) */
+    signal?: AbortSignal;
+    /** Timeout of each attempt in milliseconds (overrides the client `timeout`) */
+    timeout?: number;
+    /** Merged over the client retry config for this call; `false` disables retries */
+    retry?: RetryConfig | false;
+}
+
 export interface ThorMailConfig {
     /** Base URL of the ThorMail API (e.g., 'https://api.thormail.io') */
     baseUrl: string;
@@ -25,12 +34,300 @@ export interface ThorMailConfig {
     workspaceId: string | number;
     /** Your workspace API key */
     apiKey: string;
+    /**
+     * Key tried when `apiKey` is rejected with a 401. If it works it becomes
+     * the primary key and `onKeyRotation` hooks are called (key rotation).
+     */
+    secondaryApiKey?: string | null;
     /** Request timeout in milliseconds (default: 30000) */
     timeout?: number;
     /** Enable debug logging (default: false) */
     debug?: boolean;
     /** Retry configuration */
     retry?: RetryConfig;
+    /**
+     * Generate an idempotency key for every send and batch recipient that has none
+     * (default: false). Keys are reused by every retry of the same call.
+     */
+    autoIdempotency?: boolean;
+    /** Fetch implementation used for HTTP calls (default: global fetch) */
+    fetch?: typeof fetch;
+    /** Request lifecycle hooks */
+    hooks?: ClientHooks | ClientHooks[];
+    /**
+     * Emit OpenTelemetry spans and metrics (default: false).
+     * Uses `@opentelemetry/api` when installed; no-op otherwise.
+     */
+    telemetry?: boolean | TelemetryConfig;
+    /** Structured logger (pino, bunyan, console...); receives every record regardless of `debug` */
+    logger?: Logger | null;
+    /**
+     * Field names whose values are replaced by '[REDACTED]' in log records
+     * (default: ['to', 'recipient', 'address', 'data', 'subject', 'body']).
+     * The API key is always redacted.
+     */
+    redact?: string[];
+    /** Fail fast with `CIRCUIT_OPEN` while the API keeps failing (default: false) */
+    circuitBreaker?: boolean | CircuitBreakerConfig;
+    /** Pace and queue requests client-side using the `X-RateLimit-*` headers instead of waiting for 429s (default: false) */
+    rateLimiter?: boolean | RateLimiterConfig;
+    /** Store sends that fail with a retryable error and replay them in the background (default: false) */
+    outbox?: boolean | OutboxConfig;
+}
+
+export interface OutboxConfig {
+    /** JSON file that persists pending sends (in memory if neither path nor storage is set) */
+    path?: string;
+    /** Custom storage (Redis, database...) */
+    storage?: OutboxStorage;
+    /** Milliseconds between background replay passes (default: 5000) */
+    interval?: number;
+    /** Replays before an entry is dropped (default: 25) */
+    maxAttempts?: number;
+}
+
+export interface OutboxStorage {
+    /** All pending entries */
+    list(): Promise<OutboxEntry[]>;
+    /** Insert or replace an entry by `id` */
+    put(entry: OutboxEntry): Promise<void>;
+    /** Remove an entry */
+    delete(id: string): Promise<void>;
+}
+
+export interface OutboxEntry {
+    /** Outbox entry ID */
+    id: string;
+    /** Send payload */
+    payload: Omit<MessagePayload, 'idempotencyKey'>;
+    /** Sent with every replay so the API never queues it twice */
+    idempotencyKey: string;
+    /** Replays attempted */
+    attempts: number;
+    /** ISO 8601 time the send was stored */
+    createdAt: string;
+    /** ISO 8601 time of the next background replay */
+    nextAttemptAt: string;
+    /** Last error message */
+    lastError: string;
+}
+
+export interface OutboxFlushResult {
+    /** Entries accepted by the API */
+    sent: number;
+    /** Entries removed after a non-retryable error or `maxAttempts` */
+    dropped: number;
+    /** Entries still pending */
+    remaining: number;
+}
+
+export interface OutboxEvents {
+    stored: { entry: OutboxEntry; error: ThorMailError };
+    sent: { entry: OutboxEntry; response: { id: number; status: 'accepted' } };
+    retry: { entry: OutboxEntry; error: ThorMailError };
+    dropped: { entry: OutboxEntry; error: Error };
+    error: Error;
+}
+
+export interface OutboxAPI {
+    /** Number of pending entries */
+    size(): Promise<number>;
+    /** Pending entries, oldest first */
+    list(): Promise<OutboxEntry[]>;
+    /** Replay every pending entry now, ignoring backoff */
+    flush(): Promise<OutboxFlushResult>;
+    /** Start the background replay (called automatically) */
+    start(): void;
+    /** Stop the background replay; pending entries stay in storage */
+    stop(): void;
+    on<E extends keyof OutboxEvents>(event: E, listener: (payload: OutboxEvents[E]) => void): this;
+    once<E extends keyof OutboxEvents>(event: E, listener: (payload: OutboxEvents[E]) => void): this;
+    off<E extends keyof OutboxEvents>(event: E, listener: (payload: OutboxEvents[E]) => void): this;
+}
+
+export interface CircuitBreakerConfig {
+    /** Consecutive retryable failures (attempts) that open the circuit (default: 5) */
+    failureThreshold?: number;
+    /** Milliseconds to stay open before letting a probe request through (default: 30000) */
+    cooldown?: number;
+    /** Called on every state transition */
+    onStateChange?: (state: CircuitState & { from: CircuitState['state'] }) => void;
+}
+
+export interface RateLimiterConfig {
+    /** Refill rate of the token bucket; lowered near the API limit (default: 10) */
+    requestsPerSecond?: number;
+    /** Bucket size: requests that may start at once (default: `requestsPerSecond`, rounded up) */
+    burst?: number;
+    /** Maximum requests in flight (default: 4) */
+    concurrency?: number;
+    /** Calls allowed to wait; more fail with `QUEUE_FULL` (default: 1000) */
+    maxQueue?: number;
+}
+
+export interface RateLimiterState {
+    /** Calls waiting for a token or a concurrency slot */
+    queued: number;
+    /** Requests awaiting a response */
+    inFlight: number;
+    /** Maximum requests in flight */
+    concurrency: number;
+    /** Maximum waiting calls */
+    maxQueue: number;
+    /** Requests that may start right now */
+    tokens: number;
+    /** Current refill rate */
+    requestsPerSecond: number;
+    /** ISO 8601 end of the API rate limit window or of a 429 pause, when known */
+    resetAt: string | null;
+}
+
+export interface CircuitState {
+    /** `half-open` once the cooldown has elapsed and a probe is allowed */
+    state: 'closed' | 'open' | 'half-open';
+    /** Consecutive retryable failures */
+    failures: number;
+    /** Failures that open the circuit */
+    failureThreshold: number;
+    /** ISO 8601 time the circuit last opened */
+    openedAt: string | null;
+    /** ISO 8601 time a probe request is allowed */
+    retryAt: string | null;
+}
+
+/** Log method, called as `(record, message)` */
+export type LogFn = (record: LogRecord, message: string) => void;
+
+export interface Logger {
+    /** Request attempts and successes */
+    debug?: LogFn;
+    /** Lifecycle messages */
+    info?: LogFn;
+    /** Failed responses, retries and rate limit pauses */
+    warn?: LogFn;
+    /** Requests that finally failed */
+    error?: LogFn;
+}
+
+export interface LogRecord {
+    /** Always 'thormail' */
+    component: 'thormail';
+    /** API endpoint, with recipient data redacted */
+    endpoint?: string;
+    /** HTTP method */
+    method?: string;
+    /** Attempt number */
+    attempt?: number;
+    /** Attempts made (final failures) */
+    attempts?: number;
+    /** HTTP status code */
+    statusCode?: number | null;
+    /** Duration in milliseconds */
+    durationMs?: number;
+    /** Queue ID returned by the API */
+    queueId?: number | null;
+    /** Backoff or pause in milliseconds */
+    delayMs?: number;
+    /** Error code */
+    code?: string | null;
+    /** Error message */
+    error?: string;
+    [key: string]: unknown;
+}
+export interface TelemetryConfig {
+    /** OpenTelemetry Tracer (default: tracer from the global provider) */
+    tracer?: any;
+    /** OpenTelemetry Meter (default: meter from the global provider) */
+    meter?: any;
+}
+
+export interface RequestHookContext {
+    /** API endpoint (e.g. '/v1/send') */
+    endpoint: string;
+    /** HTTP method */
+    method: string;
+    /** Attempt number (1 for the first try) */
+    attempt: number;
+    /** Outgoing headers (without the API key); mutable */
+    headers: Record<string, string>;
+    /** Request body */
+    body: unknown;
+}
+
+export interface ResponseHookContext {
+    /** API endpoint */
+    endpoint: string;
+    /** HTTP method */
+    method: string;
+    /** Attempt number */
+    attempt: number;
+    /** HTTP status code */
+    status: number;
+    /** Whether the status is 2xx */
+    ok: boolean;
+    /** Duration of this attempt in milliseconds */
+    durationMs: number;
+    /** Rate limit headers of the response */
+    rateLimit: RateLimitInfo | null;
+    /** Parsed response body */
+    data: any;
+}
+
+export interface RetryHookContext {
+    /** API endpoint */
+    endpoint: string;
+    /** HTTP method */
+    method: string;
+    /** Attempt that failed */
+    attempt: number;
+    /** Backoff before the next attempt, in milliseconds */
+    delay: number;
+    /** Error that triggered the retry */
+    error: ThorMailError;
+}
+
+export interface ErrorHookContext {
+    /** API endpoint */
+    endpoint: string;
+    /** HTTP method */
+    method: string;
+    /** Attempts made */
+    attempts: number;
+    /** Total duration including backoff, in milliseconds */
+    durationMs: number;
+    /** Final error */
+    error: Error;
+}
+
+export interface KeyRotationHookContext {
+    /** Workspace whose key was rotated */
+    workspaceId: string;
+    /** Request that found the primary key rejected */
+    endpoint: string;
+    /** Last 4 characters of the rejected key */
+    retiredKeyHint: string;
+    /** Last 4 characters of the key now in use */
+    activeKeyHint: string;
+}
+
+export interface ClientHooks {
+    /** Before every attempt; may edit `headers`. Errors abort the request. */
+    onRequest?: (context: RequestHookContext) => void | Promise<void>;
+    /** After every HTTP response, including retried errors */
+    onResponse?: (context: ResponseHookContext) => void | Promise<void>;
+    /** Before waiting for the next attempt */
+    onRetry?: (context: RetryHookContext) => void | Promise<void>;
+    /** When the request finally fails */
+    onError?: (context: ErrorHookContext) => void | Promise<void>;
+    /** When the primary API key was rejected and the secondary key took over */
+    onKeyRotation?: (context: KeyRotationHookContext) => void | Promise<void>;
+}
+
+export interface WorkspaceOptions {
+    /** Key tried when `apiKey` is rejected (see `ThorMailConfig.secondaryApiKey`) */
+    secondaryApiKey?: string | null;
+    /** Outbox of this workspace (outboxes are never shared) */
+    outbox?: boolean | OutboxConfig;
 }
 
 export interface RateLimitInfo {
@@ -44,7 +341,66 @@ export interface RateLimitInfo {
 
 export type MessageType = 'EMAIL' | 'SMS' | 'PUSH' | 'WEBHOOK';
 
-export interface MessagePayload {
+export interface MessageAttachment {
+    /** File name shown to the recipient */
+    filename: string;
+    /** http(s) URL the adapter downloads the file from */
+    path?: string;
+    /** Alias of `path` */
+    href?: string;
+    /** Inline file content */
+    content?: string;
+    /** MIME type */
+    contentType?: string;
+    /** Content-ID for inline images (`<img src="cid:...">`) */
+    cid?: string;
+}
+
+/** Options the email adapters (SMTP, SES, Resend, Mandrill...) read from `data` */
+export interface EmailAdapterOptions {
+    /** Carbon-copy recipients */
+    cc?: string | string[];
+    /** Blind carbon-copy recipients */
+    bcc?: string | string[];
+    /** Reply-To address */
+    replyTo?: string;
+    /** Attachments (remote files or inline content) */
+    attachments?: MessageAttachment[];
+    /** Custom email headers */
+    headers?: Record<string, string>;
+    /** Plain-text alternative body */
+    text?: string;
+}
+
+/**
+ * Map of template IDs to the data each template expects. Declare your own and
+ * pass it as the client's type parameter to get compile-time checking:
+ *
+ * ```typescript
+ * interface Templates {
+ *   welcome: { name: string };
+ *   'password-reset': { name: string; resetLink: string };
+ * }
+ * const client = new ThorMailClient<Templates>(config);
+ * ```
+ *
+ * The default registry accepts any template ID and any data.
+ */
+export type TemplateRegistry = Record<string, Record<string, unknown>>;
+
+/** Template IDs of a registry */
+export type TemplateId<TTemplates> = keyof TTemplates & string;
+
+/** Data accepted with a template: its variables plus email adapter options */
+export type TemplateData<TTemplates, K extends TemplateId<TTemplates>> = TTemplates[K] & EmailAdapterOptions;
+
+/** True when no registry was declared (any template ID is accepted) */
+type IsOpenRegistry<TTemplates> = string extends keyof TTemplates ? true : false;
+
+/** `data` is only required when the template has required variables */
+type TemplateDataField<TData> = {} extends TData ? { data?: TData } : { data: TData };
+
+interface MessageFields {
     /** Recipient identifier (email, phone, device token, etc.) */
     to: string;
     /** Message type (default: 'EMAIL') */
@@ -53,10 +409,6 @@ export interface MessagePayload {
     subject?: string;
     /** Message body content (HTML, text, or JSON) */
     body?: string;
-    /** Template variables and adapter-specific options */
-    data?: Record<string, unknown>;
-    /** ID of a stored template to use */
-    templateId?: string;
     /** ISO 8601 timestamp for scheduled delivery */
     scheduledAt?: string;
     /** Specific adapter to route to (bypasses rule engine) */
@@ -65,36 +417,112 @@ export interface MessagePayload {
     idempotencyKey?: string;
 }
 
-export interface RecipientObject {
+/** Message with inline content (no stored template) */
+export interface InlineMessagePayload extends MessageFields {
+    /** No stored template */
+    templateId?: undefined;
+    /** Variables and adapter-specific options */
+    data?: Record<string, unknown> & EmailAdapterOptions;
+}
+
+/**
+ * Single message payload. With a declared template registry, `templateId` must be
+ * one of its keys and `data` must match that template's variables.
+ */
+export type MessagePayload<TTemplates extends object = TemplateRegistry> = IsOpenRegistry<TTemplates> extends true
+    ? MessageFields & {
+        /** ID of a stored template to use */
+        templateId?: string;
+        /** Template variables and adapter-specific options */
+        data?: Record<string, unknown> & EmailAdapterOptions;
+    }
+    : InlineMessagePayload | {
+        [K in TemplateId<TTemplates>]: MessageFields & {
+            /** ID of a stored template to use */
+            templateId: K;
+        } & TemplateDataField<TemplateData<TTemplates, K>>
+    }[TemplateId<TTemplates>];
+
+export interface RecipientObject<TData = Record<string, unknown>> {
     /** Recipient identifier (email, phone, etc.) */
     to: string;
     /** Per-recipient variables/data */
-    data?: Record<string, unknown>;
+    data?: TData;
+    /** Deduplicates this recipient's message across batch retries */
+    idempotencyKey?: string;
 }
 
-export interface BatchPayload {
-    /** List of recipient objects (max 500) */
-    emails: RecipientObject[];
+interface BatchFields {
     /** Shared message type (default: 'EMAIL') */
     type?: MessageType;
     /** Shared subject/title */
     subject?: string;
     /** Shared body content */
     body?: string;
-    /** Shared template ID */
-    templateId?: string;
     /** Shared ISO 8601 schedule time */
     scheduledAt?: string;
     /** Shared adapter identifier */
     adapterId?: string;
+    /** Deduplicates the whole batch request (scoped per chunk in sendBulk) */
+    idempotencyKey?: string;
 }
 
-export interface SendResponse {
-    /** Queue ID of the message */
-    id: number;
-    /** Status of the request */
-    status: 'accepted';
-}
+/**
+ * Batch payload. With a declared template registry, shared and per-recipient `data`
+ * are checked against the template's variables (each may hold part of them).
+ */
+export type BatchPayload<TTemplates extends object = TemplateRegistry> = IsOpenRegistry<TTemplates> extends true
+    ? BatchFields & {
+        /** List of recipient objects (max 500) */
+        emails: RecipientObject[];
+        /** Shared template ID */
+        templateId?: string;
+        /** Shared variables and adapter-specific options, merged into each recipient's data */
+        data?: Record<string, unknown> & EmailAdapterOptions;
+    }
+    : (BatchFields & {
+        /** List of recipient objects (max 500) */
+        emails: RecipientObject[];
+        /** No stored template */
+        templateId?: undefined;
+        /** Shared variables and adapter-specific options */
+        data?: Record<string, unknown> & EmailAdapterOptions;
+    }) | {
+        [K in TemplateId<TTemplates>]: BatchFields & {
+            /** List of recipient objects (max 500) */
+            emails: Array<RecipientObject<Partial<TTemplates[K]>>>;
+            /** Shared template ID */
+            templateId: K;
+            /** Shared variables and adapter-specific options, merged into each recipient's data */
+            data?: Partial<TTemplates[K]> & EmailAdapterOptions;
+        }
+    }[TemplateId<TTemplates>];
+
+/** Batch payload without `emails`: the fields shared by every row of `sendStream()` */
+export type SendStreamPayload<TTemplates extends object = TemplateRegistry> =
+    BatchPayload<TTemplates> extends infer P ? (P extends unknown ? Omit<P, 'emails'> : never) : never;
+
+export type SendResponse =
+    | {
+        /** Queue ID of the message */
+        id: number;
+        /** Status of the request */
+        status: 'accepted';
+        /** Idempotency key sent with the request, if any */
+        idempotencyKey?: string;
+        /** True if the API answered from a previous request with the same key */
+        deduplicated?: boolean;
+    }
+    | {
+        /** No queue ID yet: the send is pending in the outbox */
+        id: null;
+        /** The API was unavailable and the send was stored in the outbox */
+        status: 'outboxed';
+        /** Outbox entry ID */
+        outboxId: string;
+        /** Key used for outbox replays */
+        idempotencyKey: string;
+    };
 
 export interface BatchResponse {
     /** Status of the request */
@@ -103,11 +531,195 @@ export interface BatchResponse {
     count: number;
     /** Array of queue IDs for each message */
     ids: number[];
+    /** True if the API answered from a previous request with the same key */
+    deduplicated?: boolean;
+}
+
+export type JobStatus = 'success' | 'bounced' | 'failed' | 'pending' | 'discarded' | 'processing' | 'unknown';
+
+export interface JobStatusRecord extends StatusResponse {
+    /** Queue ID */
+    id: number;
+}
+
+export interface StatusSummary {
+    /** IDs looked up */
+    total: number;
+    /** Jobs per status */
+    counts: Record<JobStatus, number>;
+    /** IDs the API did not know */
+    notFound: number;
+    /** True when every found job is in a terminal status */
+    complete: boolean;
+}
+
+export interface StatusManyResponse {
+    /** Status of each found job, in request order */
+    data: JobStatusRecord[];
+    /** IDs the API did not know */
+    notFound: Array<string | number>;
+    /** Counts by status */
+    summary: StatusSummary;
+}
+
+export interface WaitForStatusOptions {
+    /** Statuses that end the wait (default: ['success', 'bounced', 'failed', 'discarded']) */
+    until?: JobStatus | JobStatus[];
+    /** Maximum time to wait in milliseconds, status requests included (default: 60000) */
+    timeout?: number;
+    /** Delay before the second poll; grows by 1.5x per poll (default: 1000) */
+    interval?: number;
+    /** Upper bound for the polling delay (default: 10000) */
+    maxInterval?: number;
+    /** Stops waiting with an ABORTED error */
+    signal?: AbortSignal;
+    /** Timeout of each status request (default: client `timeout`) */
+    requestTimeout?: number;
+    /** Retry overrides for each status request */
+    retry?: RetryConfig | false;
+}
+
+export interface BulkProgress {
+    /** Chunks finished so far (fulfilled or rejected) */
+    completedChunks: number;
+    /** Total chunks to attempt */
+    totalChunks: number;
+    /** Recipients queued so far */
+    queued: number;
+    /** Recipients in rejected chunks so far */
+    failed: number;
+}
+
+export interface BulkOptions {
+    /** Recipients per batch request, 1-500 (default: 500) */
+    chunkSize?: number;
+    /** Maximum batch requests in flight (default: 2) */
+    concurrency?: number;
+    /** Offset in `emails` to start from, to resume a previous run (default: 0) */
+    cursor?: number;
+    /** Stop scheduling new chunks after a chunk fails (default: true) */
+    stopOnError?: boolean;
+    /** Stops scheduling new chunks and aborts in-flight batch requests */
+    signal?: AbortSignal;
+    /** Per-request timeout override in milliseconds */
+    timeout?: number;
+    /** Per-request retry overrides (`false` disables retries) */
+    retry?: RetryConfig | false;
+    /** Called after each chunk */
+    onProgress?: (progress: BulkProgress) => void;
+}
+
+export interface BulkChunkResult {
+    /** Chunk index */
+    index: number;
+    /** Offset of the first recipient of the chunk in `emails` */
+    offset: number;
+    /** Number of recipients in the chunk */
+    size: number;
+    /** Chunk outcome */
+    status: 'fulfilled' | 'rejected';
+    /** Queue IDs (fulfilled chunks) */
+    ids?: number[];
+    /** Failure reason (rejected chunks) */
+    error?: ThorMailError;
+}
+
+export interface BulkResponse {
+    /** Overall outcome */
+    status: 'completed' | 'partial' | 'failed';
+    /** Recipients considered (from the start cursor) */
+    total: number;
+    /** Recipients successfully queued */
+    queued: number;
+    /** Recipients in rejected chunks */
+    failed: number;
+    /** Queue IDs of all fulfilled chunks, in order */
+    ids: number[];
+    /** Per-chunk outcomes for attempted chunks */
+    chunks: BulkChunkResult[];
+    /** Offset of the first recipient not queued, or null if everything was queued */
+    cursor: number | null;
+    /** Base key of the bulk send (pass it back with `cursor` to resume) */
+    idempotencyKey?: string;
+}
+
+export interface SendStreamOptions extends RequestOptions {
+    /** Input format (default: 'csv') */
+    format?: 'csv' | 'ndjson';
+    /** CSV field delimiter (default: ',') */
+    delimiter?: string;
+    /** Column (or NDJSON field) holding the recipient (default: 'to') */
+    to?: string;
+    /** Columns copied into the recipient's `data` (default: every other non-empty column) */
+    data?: string[];
+    /** Custom row mapping; throw to reject the row */
+    map?: (row: Record<string, any>, rowNumber: number) => RecipientObject;
+    /** File path or stream receiving the rows that were not sent, with the reason */
+    rejects?: string | { write(chunk: string, callback?: (error?: Error | null) => void): boolean };
+    /** Rows per sendBatch request, 1-500 (default: 500) */
+    batchSize?: number;
+    /** Rows to skip, to resume a previous run (default: 0) */
+    cursor?: number;
+    /** Stop after a batch fails (default: true); when false, failed batches go to `rejects` */
+    stopOnError?: boolean;
+    /** Stops reading and aborts the batch in flight */
+    signal?: AbortSignal;
+    /** Called after each batch */
+    onProgress?: (progress: SendStreamProgress) => void;
+}
+
+export interface SendStreamProgress {
+    /** Rows read (after `cursor`) */
+    rows: number;
+    /** Rows queued by the API */
+    queued: number;
+    /** Invalid rows */
+    rejected: number;
+    /** Rows of failed batches */
+    failed: number;
+    /** Batches sent */
+    batches: number;
+}
+
+export interface SendStreamBatchResult {
+    /** Batch index */
+    index: number;
+    /** Row number of the first recipient of the batch (1-based, header excluded) */
+    firstRow: number;
+    /** Recipients in the batch */
+    size: number;
+    /** Batch outcome */
+    status: 'fulfilled' | 'rejected';
+    /** Queue IDs (fulfilled batches) */
+    ids?: number[];
+    /** Failure reason (rejected batches) */
+    error?: ThorMailError;
+}
+
+export interface SendStreamResponse {
+    /** Outcome of the batches (invalid rows do not count) */
+    status: 'completed' | 'partial' | 'failed';
+    /** Rows read (after `cursor`) */
+    rows: number;
+    /** Rows queued by the API */
+    queued: number;
+    /** Invalid rows (written to `rejects`) */
+    rejected: number;
+    /** Rows of failed batches */
+    failed: number;
+    /** Queue IDs of all fulfilled batches, in order */
+    ids: number[];
+    /** Per-batch outcomes */
+    batches: SendStreamBatchResult[];
+    /** Rows handled before the first row not sent, to resume from; null if the whole input was handled */
+    cursor: number | null;
+    /** Base key of the import (pass it back with `cursor` to resume) */
+    idempotencyKey?: string;
 }
 
 export interface StatusResponse {
     /** Current status */
-    status: 'success' | 'bounced' | 'failed' | 'pending' | 'discarded' | 'processing' | 'unknown';
+    status: JobStatus;
     /** Provider identifier */
     provider_identifier?: string;
     /** Raw provider entity/response */
@@ -118,6 +730,388 @@ export interface StatusResponse {
     error?: any;
 }
 
+export interface MessageFilter {
+    /** Exact recipient identifier (email, phone, device token, etc.) */
+    recipient?: string;
+    /** One or more job statuses */
+    status?: JobStatus | JobStatus[];
+    /** Adapter the message was routed to */
+    adapterId?: string;
+    /** Template used to render the message */
+    templateId?: string;
+    /** Message type */
+    type?: MessageType;
+    /** Only messages created at or after this date */
+    since?: string | Date;
+    /** Only messages created before this date */
+    until?: string | Date;
+    /** Page size, 1-100 (default: 50) */
+    limit?: number;
+    /** Cursor returned by a previous page */
+    cursor?: string;
+}
+
+export interface MessageRecord {
+    /** Queue ID of the message */
+    id: number;
+    /** Recipient identifier */
+    to: string;
+    /** Message type */
+    type: MessageType;
+    /** Current job status */
+    status: JobStatus;
+    /** Rendered subject/title */
+    subject?: string;
+    /** Template used, if any */
+    templateId?: string;
+    /** Adapter the message was routed to */
+    adapterId?: string;
+    /** Provider-side message identifier */
+    provider_identifier?: string;
+    /** Scheduled delivery time, if any */
+    scheduledAt?: string;
+    /** Job creation timestamp */
+    created_at: string;
+    /** Last status change timestamp */
+    updated_at?: string;
+}
+
+export interface MessageListResponse {
+    /** Messages in this page */
+    data: MessageRecord[];
+    /** Cursor for the next page (null on the last page) */
+    nextCursor: string | null;
+    /** Whether more pages are available */
+    hasMore: boolean;
+}
+
+export interface TemplateInput {
+    /** Template identifier (the `templateId` used when sending) */
+    id: string;
+    /** Template body (HTML, text, or JSON) with `{{variables}}` */
+    body: string;
+    /** Human-readable name */
+    name?: string;
+    /** Message type the template is for (default: 'EMAIL') */
+    type?: MessageType;
+    /** Subject/title template */
+    subject?: string;
+    /** Free-form description (e.g. commit SHA when syncing from CI) */
+    description?: string;
+}
+
+export interface Template {
+    /** Template identifier */
+    id: string;
+    /** Human-readable name */
+    name?: string;
+    /** Message type */
+    type: MessageType;
+    /** Subject/title template */
+    subject?: string;
+    /** Template body */
+    body: string;
+    /** Description */
+    description?: string;
+    /** Current version (incremented on every update) */
+    version: number;
+    /** Creation timestamp */
+    created_at: string;
+    /** Last update timestamp */
+    updated_at: string;
+}
+
+export interface TemplateListFilter {
+    /** Only templates of this type */
+    type?: MessageType;
+    /** Page size, 1-100 (default: 50) */
+    limit?: number;
+    /** Cursor returned by a previous page */
+    cursor?: string;
+}
+
+export interface TemplateListResponse {
+    /** Templates in this page */
+    data: Template[];
+    /** Cursor for the next page (null on the last page) */
+    nextCursor: string | null;
+    /** Whether more pages are available */
+    hasMore: boolean;
+}
+
+export interface RenderedTemplate {
+    /** Template identifier */
+    id: string;
+    /** Version that was rendered */
+    version: number;
+    /** Rendered subject/title */
+    subject?: string;
+    /** Rendered body */
+    body: string;
+    /** Variables referenced by the template but absent from `data` */
+    missingVariables?: string[];
+}
+
+export type SuppressionReason = 'bounce' | 'complaint' | 'manual' | 'unsubscribe';
+
+export interface SuppressionInput {
+    /** Suppressed recipient (email, phone, device token, etc.) */
+    address: string;
+    /** Why the recipient is suppressed (default: 'manual') */
+    reason?: SuppressionReason;
+    /** Free-form note (e.g. support ticket or GDPR request ID) */
+    note?: string;
+    /** Lift the suppression automatically at this time */
+    expiresAt?: string | Date;
+}
+
+export interface Suppression {
+    /** Suppressed recipient */
+    address: string;
+    /** Why the recipient is suppressed */
+    reason: SuppressionReason;
+    /** Free-form note */
+    note?: string;
+    /** When the recipient was suppressed */
+    created_at: string;
+    /** When the suppression is lifted, if ever */
+    expires_at?: string | null;
+}
+
+export interface SuppressionFilter {
+    /** One or more reasons */
+    reason?: SuppressionReason | SuppressionReason[];
+    /** Only entries created at or after this date */
+    since?: string | Date;
+    /** Only entries created before this date */
+    until?: string | Date;
+    /** Page size, 1-100 (default: 50) */
+    limit?: number;
+    /** Cursor returned by a previous page */
+    cursor?: string;
+}
+
+export interface SuppressionListResponse {
+    /** Entries in this page */
+    data: Suppression[];
+    /** Cursor for the next page (null on the last page) */
+    nextCursor: string | null;
+    /** Whether more pages are available */
+    hasMore: boolean;
+}
+
+export interface SuppressionCheck {
+    /** Checked recipient */
+    address: string;
+    /** Whether sends to this recipient are blocked */
+    suppressed: boolean;
+    /** Suppression entry, when suppressed */
+    entry: Suppression | null;
+}
+
+export interface SuppressionImportResult {
+    /** Entries added */
+    imported: number;
+    /** Entries that were already suppressed */
+    skipped: number;
+}
+
+export interface CancelResponse {
+    /** Queue ID of the message */
+    id: number;
+    /** New status of the job */
+    status: 'cancelled';
+}
+
+export interface CancelBatchResponse {
+    /** Queue IDs that were cancelled */
+    cancelled: number[];
+    /** Queue IDs that could not be cancelled */
+    failed: Array<{ id: number; code: 'JOB_PROCESSING' | 'JOB_ALREADY_SENT' | string; error: string }>;
+}
+
+export interface RescheduleResponse {
+    /** Queue ID of the message */
+    id: number;
+    /** Status of the request */
+    status: 'rescheduled';
+    /** New ISO 8601 schedule time */
+    scheduledAt: string;
+}
+
+export interface PaginateOptions extends RequestOptions {
+    /** Stops the iteration when aborted (throws a ThorMailError with code 'ABORTED') */
+    signal?: AbortSignal;
+}
+
+export interface TemplatesAPI {
+    /** Create a new template */
+    create(template: TemplateInput, options?: RequestOptions): Promise<Template>;
+    /** Update a template; every update creates a new version */
+    update(id: string, changes: Partial<Omit<TemplateInput, 'id'>>, options?: RequestOptions): Promise<Template>;
+    /** Create the template, or update it if it already exists */
+    upsert(template: TemplateInput, options?: RequestOptions): Promise<Template>;
+    /** Get a template (latest version unless `version` is given) */
+    get(id: string, options?: RequestOptions & { version?: number }): Promise<Template>;
+    /** List templates with cursor-based pagination */
+    list(filter?: TemplateListFilter, options?: RequestOptions): Promise<TemplateListResponse>;
+    /** Iterate over every template, following cursors automatically */
+    iterate(filter?: TemplateListFilter, options?: PaginateOptions): AsyncGenerator<Template, void, undefined>;
+    /** List the stored versions of a template, newest first */
+    versions(id: string, options?: RequestOptions): Promise<{ data: Template[] }>;
+    /** Delete a template and all of its versions */
+    delete(id: string, options?: RequestOptions): Promise<Record<string, unknown>>;
+    /** Render a template with sample data without sending anything */
+    render(id: string, data?: Record<string, unknown>, options?: RequestOptions & { version?: number }): Promise<RenderedTemplate>;
+}
+
+export interface SuppressionsAPI {
+    /** List suppressed recipients with cursor-based pagination */
+    list(filter?: SuppressionFilter, options?: RequestOptions): Promise<SuppressionListResponse>;
+    /** Iterate over every suppressed recipient, following cursors automatically */
+    iterate(filter?: SuppressionFilter, options?: PaginateOptions): AsyncGenerator<Suppression, void, undefined>;
+    /** Check whether a recipient is suppressed */
+    check(address: string, options?: RequestOptions): Promise<SuppressionCheck>;
+    /** Add a recipient to the suppression list (reason defaults to 'manual') */
+    add(entry: string | SuppressionInput, options?: RequestOptions): Promise<Suppression>;
+    /** Remove a recipient from the suppression list */
+    remove(address: string, options?: RequestOptions): Promise<Record<string, unknown>>;
+    /** Add many recipients at once, in chunks of 500; a failed chunk's error has `details.cursor` to resume from */
+    import(entries: SuppressionInput[], options?: RequestOptions & { cursor?: number }): Promise<SuppressionImportResult>;
+    /** Export every suppressed recipient matching the filter */
+    export(filter?: SuppressionFilter, options?: PaginateOptions): Promise<Suppression[]>;
+}
+
+export interface MessagesAPI {
+    /** Same as `client.listMessages()` */
+    list(filter?: MessageFilter, options?: RequestOptions): Promise<MessageListResponse>;
+    /** Same as `client.searchMessages()` */
+    search(query: string, filter?: MessageFilter, options?: RequestOptions): Promise<MessageListResponse>;
+    /**
+     * Iterates over every matching message, following cursors automatically
+     * and slowing down when close to the rate limit
+     */
+    iterate(filter?: MessageFilter, options?: PaginateOptions): AsyncGenerator<MessageRecord, void, undefined>;
+}
+
+export type WebhookStatus = 'ACCEPTED' | 'SOFT-REJECT' | 'HARD-REJECT' | 'OPENED' | 'CLICKED' | 'COMPLAINED';
+
+interface WebhookEventBase {
+    /** Unique event identifier (use it to de-duplicate deliveries) */
+    id: string;
+    /** ThorMail queue ID of the message (as returned by send/sendBatch) */
+    queueId: number;
+    /** Provider-side message identifier */
+    messageId?: string;
+    /** Adapter that reported the event */
+    adapterId?: string;
+    /** Recipient identifier */
+    to?: string;
+    /** Message type */
+    type?: MessageType;
+    /** ISO 8601 time the event happened */
+    occurredAt: string;
+    /** Raw provider details */
+    details?: Record<string, unknown>;
+}
+
+export interface AcceptedEvent extends WebhookEventBase {
+    status: 'ACCEPTED';
+}
+
+export interface SoftRejectEvent extends WebhookEventBase {
+    status: 'SOFT-REJECT';
+    /** Temporary failure reason */
+    reason?: string;
+}
+
+export interface HardRejectEvent extends WebhookEventBase {
+    status: 'HARD-REJECT';
+    /** Permanent failure (bounce) reason */
+    reason?: string;
+}
+
+export interface OpenedEvent extends WebhookEventBase {
+    status: 'OPENED';
+}
+
+export interface ClickedEvent extends WebhookEventBase {
+    status: 'CLICKED';
+    /** Clicked link */
+    url?: string;
+}
+
+export interface ComplainedEvent extends WebhookEventBase {
+    status: 'COMPLAINED';
+}
+
+/** Webhook event, discriminated by `status` */
+export type WebhookEvent =
+    | AcceptedEvent
+    | SoftRejectEvent
+    | HardRejectEvent
+    | OpenedEvent
+    | ClickedEvent
+    | ComplainedEvent;
+
+export interface VerifyWebhookOptions {
+    /** Maximum age (and clock skew) of the timestamp in seconds (default: 300) */
+    tolerance?: number;
+    /** Current Unix time in seconds (for testing) */
+    now?: number;
+}
+
+/** Minimal header bag accepted by webhook helpers */
+export type WebhookHeaders = Headers | Record<string, string | string[] | undefined>;
+
+/** Store of processed webhook event ids, used to reject replays (may be async, e.g. Redis) */
+export interface WebhookReplayStore {
+    /**
+     * Atomically remember an event id for `ttlMs` milliseconds (add-if-absent,
+     * e.g. Redis `SET NX PX`); returns false if the id is already stored
+     */
+    add(id: string, ttlMs: number): boolean | Promise<boolean>;
+    /** Forget an event id (handler failed, allow redelivery) */
+    delete(id: string): void | Promise<void>;
+}
+
+type WebhookEventHandler<E extends WebhookEvent = WebhookEvent> = (event: E) => unknown | Promise<unknown>;
+
+export interface WebhookHandlerOptions {
+    /** Webhook secret (pass an array during secret rotation) */
+    secret: string | string[];
+    /** Maximum timestamp age in seconds (default: 300) */
+    tolerance?: number;
+    /** Maximum accepted body size in bytes (default: 1 MiB) */
+    maxBodySize?: number;
+    /** Store of processed event ids (default: in-memory) */
+    replayStore?: WebhookReplayStore;
+    /** Called for every verified event, after the status-specific handlers */
+    onEvent?: WebhookEventHandler;
+    /** ACCEPTED */
+    onAccepted?: WebhookEventHandler<AcceptedEvent>;
+    /** SOFT-REJECT and HARD-REJECT */
+    onBounce?: WebhookEventHandler<SoftRejectEvent | HardRejectEvent>;
+    /** SOFT-REJECT */
+    onSoftReject?: WebhookEventHandler<SoftRejectEvent>;
+    /** HARD-REJECT */
+    onHardReject?: WebhookEventHandler<HardRejectEvent>;
+    /** OPENED */
+    onOpen?: WebhookEventHandler<OpenedEvent>;
+    /** CLICKED */
+    onClick?: WebhookEventHandler<ClickedEvent>;
+    /** COMPLAINED */
+    onComplaint?: WebhookEventHandler<ComplainedEvent>;
+    /** Called when a request is rejected or a handler throws */
+    onError?: (error: Error) => void;
+}
+
+/**
+ * Request handler usable as a `node:http` listener, Express middleware
+ * or Fastify route handler
+ */
+export type WebhookRequestHandler = (req: any, res: any, next?: (err?: unknown) => void) => Promise<void>;
+
 /**
  * Custom error class for ThorMail API errors
  */
@@ -161,6 +1155,16 @@ export class ThorMailError extends Error {
     isTimeout(): boolean;
     /** Check if the error is due to network failure */
     isNetworkError(): boolean;
+    /** Check if the job is already processing or sent (JOB_PROCESSING / JOB_ALREADY_SENT) */
+    isJobLocked(): boolean;
+    /** Check if the operation was aborted by the caller */
+    isAborted(): boolean;
+    /** Check if waitForStatus gave up before the job reached the expected status (WAIT_TIMEOUT) */
+    isWaitTimeout(): boolean;
+    /** Check if the request was refused by an open circuit breaker (CIRCUIT_OPEN) */
+    isCircuitOpen(): boolean;
+    /** Check if the call was refused because the rate limiter queue is full (QUEUE_FULL) */
+    isQueueFull(): boolean;
     /** Check if the error is retryable */
     isRetryable(): boolean;
     /** Returns JSON representation of the error */
@@ -170,7 +1174,7 @@ export class ThorMailError extends Error {
 /**
  * ThorMail API Client
  */
-export class ThorMailClient {
+export class ThorMailClient<TTemplates extends object = TemplateRegistry> {
     /** Base URL of the API */
     readonly baseUrl: string;
     /** Workspace ID */
@@ -179,8 +1183,20 @@ export class ThorMailClient {
     timeout: number;
     /** Debug mode enabled */
     debug: boolean;
+    /** Automatic idempotency keys enabled */
+    autoIdempotency: boolean;
     /** Retry configuration */
     readonly retryConfig: Required<RetryConfig>;
+    /** Field names redacted from log records */
+    readonly redact: readonly string[];
+    /** Message history helpers (list, search, iterate) */
+    readonly messages: MessagesAPI;
+    /** Template management (create, update, version, preview) */
+    readonly templates: TemplatesAPI;
+    /** Suppression list management */
+    readonly suppressions: SuppressionsAPI;
+    /** Durable outbox for sends that failed while the API was unavailable (null unless `outbox` is set) */
+    readonly outbox: OutboxAPI | null;
 
     /**
      * Creates a new ThorMail client instance
@@ -188,29 +1204,137 @@ export class ThorMailClient {
      */
     constructor(config: ThorMailConfig);
 
+    /**
+     * Start a fluent, validated message. One recipient is sent with `send()`,
+     * several with `sendBatch()`.
+     */
+    message(): MessageBuilder<TTemplates>;
+
     /**
      * Send a single message
      * @param payload - Message payload
+     * @param options - Per-call signal, timeout and retry overrides
      * @returns Response with queue ID
      * @throws ThorMailError If the request fails
      */
-    send(payload: MessagePayload): Promise<SendResponse>;
+    send(payload: MessagePayload<TTemplates>, options?: RequestOptions): Promise<SendResponse>;
 
     /**
      * Send multiple messages in a single batch
      * @param payload - Batch payload
+     * @param options - Per-call signal, timeout and retry overrides
      * @returns Response with queue IDs
      * @throws ThorMailError If the request fails
      */
-    sendBatch(payload: BatchPayload): Promise<BatchResponse>;
+    sendBatch(payload: BatchPayload<TTemplates>, options?: RequestOptions): Promise<BatchResponse>;
+
+    /**
+     * Send to any number of recipients, split into 500-recipient batches
+     * @param payload - Batch payload (no 500-recipient limit)
+     * @param options - Chunking and concurrency options
+     * @returns Aggregated result with per-chunk outcomes and a resume cursor
+     * @throws ThorMailError If the payload or options are invalid
+     */
+    sendBulk(payload: BatchPayload<TTemplates>, options?: BulkOptions): Promise<BulkResponse>;
+
+    /**
+     * Send to every row of a CSV or NDJSON stream in 500-row batches, writing
+     * invalid rows to a rejects file
+     * @param input - Readable stream (e.g. `fs.createReadStream()`)
+     * @param payload - Fields shared by every recipient (templateId, subject...)
+     * @param options - Format, column mapping, rejects and batching options
+     * @returns Counts, per-batch outcomes and a resume cursor
+     * @throws ThorMailError If the arguments are invalid or the CSV header has no recipient column
+     */
+    sendStream(
+        input: AsyncIterable<string | Uint8Array>,
+        payload?: SendStreamPayload<TTemplates>,
+        options?: SendStreamOptions
+    ): Promise<SendStreamResponse>;
 
     /**
      * Check the status of a specific job
      * @param id - Job ID
+     * @param options - Per-call signal, timeout and retry overrides
      * @returns Job status and details
      * @throws ThorMailError If the request fails
      */
-    status(id: string | number): Promise<StatusResponse>;
+    status(id: string | number, options?: RequestOptions): Promise<StatusResponse>;
+
+    /**
+     * Get the status of many jobs at once, in chunks of 500 IDs. Repeated IDs
+     * are looked up and counted once, in the order they first appear
+     * @param ids - Job IDs (e.g. `BatchResponse.ids`)
+     * @param options - Per-call signal, timeout and retry overrides
+     * @returns Per-job status and a summary by status
+     * @throws ThorMailError If the request fails
+     */
+    statusMany(ids: Array<string | number>, options?: RequestOptions): Promise<StatusManyResponse>;
+
+    /**
+     * Summarize how a batch went: counts by status for every queue ID it returned
+     * @param batch - Result of sendBatch() or sendBulk()
+     * @param options - Per-call signal, timeout and retry overrides
+     * @returns Counts by status
+     * @throws ThorMailError If the request fails
+     */
+    batchSummary(batch: { ids: number[] }, options?: RequestOptions): Promise<StatusSummary>;
+
+    /**
+     * Poll the status of a job until it reaches one of the expected statuses
+     * @param id - Job ID
+     * @param options - Target statuses, timeout and polling
+     * @returns The first status response whose status is in `until`
+     * @throws ThorMailError WAIT_TIMEOUT if `timeout` elapses, ABORTED if `signal` aborts
+     */
+    waitForStatus(id: string | number, options?: WaitForStatusOptions): Promise<StatusResponse>;
+
+    /**
+     * Cancel a queued or scheduled message before it is processed
+     * @param id - Job ID
+     * @param options - Per-call signal, timeout and retry overrides
+     * @returns Cancellation result
+     * @throws ThorMailError JOB_PROCESSING / JOB_ALREADY_SENT (409) if the job can no longer be cancelled
+     */
+    cancel(id: string | number, options?: RequestOptions): Promise<CancelResponse>;
+
+    /**
+     * Cancel multiple queued or scheduled messages (max 500)
+     * @param ids - Job IDs
+     * @param options - Per-call signal, timeout and retry overrides
+     * @returns Cancelled and failed IDs
+     * @throws ThorMailError If the request fails
+     */
+    cancelBatch(ids: Array<string | number>, options?: RequestOptions): Promise<CancelBatchResponse>;
+
+    /**
+     * Move a scheduled message to a new delivery time (must be in the future)
+     * @param id - Job ID
+     * @param newDate - New delivery time
+     * @param options - Per-call signal, timeout and retry overrides
+     * @returns Reschedule result
+     * @throws ThorMailError JOB_PROCESSING / JOB_ALREADY_SENT (409) if the job can no longer be rescheduled
+     */
+    reschedule(id: string | number, newDate: string | Date, options?: RequestOptions): Promise<RescheduleResponse>;
+
+    /**
+     * List sent and queued messages, newest first, with cursor-based pagination
+     * @param filter - Filters and pagination options
+     * @param options - Per-call signal, timeout and retry overrides
+     * @returns A page of messages
+     * @throws ThorMailError If the filter is invalid or the request fails
+     */
+    listMessages(filter?: MessageFilter, options?: RequestOptions): Promise<MessageListResponse>;
+
+    /**
+     * Full-text search over message history
+     * @param query - Search text
+     * @param filter - Additional filters and pagination options
+     * @param options - Per-call signal, timeout and retry overrides
+     * @returns A page of matching messages
+     * @throws ThorMailError If the query/filter is invalid or the request fails
+     */
+    searchMessages(query: string, filter?: MessageFilter, options?: RequestOptions): Promise<MessageListResponse>;
 
     /**
      * Updates the client configuration
@@ -218,6 +1342,26 @@ export class ThorMailClient {
      */
     configure(config: Partial<ThorMailConfig>): this;
 
+    /**
+     * Register request lifecycle hooks
+     * @param hooks - Hooks to register
+     * @returns Function that unregisters the hooks
+     */
+    use(hooks: ClientHooks): () => void;
+
+    /**
+     * Client for another workspace sharing this client's connection, retry,
+     * hooks, logger and telemetry settings. Cached per workspace.
+     * @param workspaceId - Workspace identifier
+     * @param apiKey - Workspace API key (required the first time)
+     * @param options - Secondary API key and outbox of the workspace
+     */
+    forWorkspace<TWorkspaceTemplates extends object = TTemplates>(
+        workspaceId: string | number,
+        apiKey?: string,
+        options?: WorkspaceOptions
+    ): ThorMailClient<TWorkspaceTemplates>;
+
     /**
      * Get the last known rate limit information
      */
@@ -228,10 +1372,61 @@ export class ThorMailClient {
      */
     isNearRateLimit(): boolean;
 
+    /**
+     * Get the circuit breaker state, e.g. for a health endpoint
+     * @returns Current state, or null if the breaker is disabled
+     */
+    getCircuitState(): CircuitState | null;
+
+    /**
+     * Get the client-side rate limiter state
+     * @returns Current state, or null if the limiter is disabled
+     */
+    getRateLimiterState(): RateLimiterState | null;
+
+    /**
+     * Number of calls waiting in the rate limiter queue (0 when disabled)
+     */
+    getQueueDepth(): number;
+
     /**
      * Get client configuration (without sensitive data)
      */
-    getConfig(): Omit<ThorMailConfig, 'apiKey'>;
+    getConfig(): Omit<ThorMailConfig, 'apiKey' | 'secondaryApiKey'> & { hasSecondaryApiKey: boolean };
+}
+
+/**
+ * Clients for many workspaces sharing one set of connection settings
+ */
+export class ThorMailPool<TTemplates extends object = TemplateRegistry> {
+    /**
+     * Creates a workspace pool
+     * @param config - Settings shared by every workspace client
+     * @throws Error If baseUrl is missing
+     */
+    constructor(config: Omit<ThorMailConfig, 'workspaceId' | 'apiKey' | 'secondaryApiKey' | 'outbox'>);
+
+    /**
+     * Returns the client of a workspace, creating it on first use. When the keys
+     * differ from the previous call, the cached client is reconfigured with them.
+     * @param workspaceId - Workspace identifier
+     * @param apiKey - Workspace API key (required the first time)
+     * @param options - Secondary API key and outbox of the workspace
+     */
+    forWorkspace<TWorkspaceTemplates extends object = TTemplates>(
+        workspaceId: string | number,
+        apiKey?: string,
+        options?: WorkspaceOptions
+    ): ThorMailClient<TWorkspaceTemplates>;
+
+    /** Returns the cached client of a workspace */
+    get(workspaceId: string | number): ThorMailClient<TTemplates> | null;
+
+    /** Removes a workspace client and stops its outbox */
+    delete(workspaceId: string | number): boolean;
+
+    /** Number of cached workspace clients */
+    size(): number;
 }
 
 /**
@@ -239,12 +1434,200 @@ export class ThorMailClient {
  * @param config - Client configuration
  * @returns ThorMail client instance
  */
-export function createClient(config: ThorMailConfig): ThorMailClient;
+export function createClient<TTemplates extends object = TemplateRegistry>(config: ThorMailConfig): ThorMailClient<TTemplates>;
+
+/**
+ * Fluent builder for send() / sendBatch() payloads, created with `client.message()`.
+ * Setters validate their input immediately; `build()` validates the whole message.
+ */
+export class MessageBuilder<TTemplates extends object = TemplateRegistry> {
+    constructor(client: ThorMailClient<TTemplates>);
+    /** Message type (default: EMAIL) */
+    type(type: MessageType): this;
+    /** Add one or more recipients; can be called repeatedly */
+    to(recipients: string | RecipientObject | Array<string | RecipientObject>, data?: Record<string, unknown>): this;
+    /** Subject/title */
+    subject(subject: string): this;
+    /** Body content (HTML for email) */
+    body(body: string): this;
+    /** Plain-text alternative for email (`data.text`) */
+    text(text: string): this;
+    /** Use a stored template; `data` is merged into the message data */
+    template<K extends TemplateId<TTemplates>>(templateId: K, data?: TemplateData<TTemplates, K>): this;
+    /** Merge template variables / adapter options into `data` */
+    data(data: Record<string, unknown>): this;
+    /** Carbon-copy recipients (`data.cc`) */
+    cc(...addresses: Array<string | string[]>): this;
+    /** Blind carbon-copy recipients (`data.bcc`) */
+    bcc(...addresses: Array<string | string[]>): this;
+    /** Reply-To address (`data.replyTo`) */
+    replyTo(address: string): this;
+    /** Custom email header (`data.headers`) */
+    header(name: string, value: string): this;
+    /** Attach files (`data.attachments`); `path`/`href` must be http(s) URLs */
+    attach(...attachments: Array<MessageAttachment | MessageAttachment[]>): this;
+    /** Schedule delivery (max 3 days ahead for one recipient, 30 for several) */
+    scheduleAt(date: string | Date): this;
+    /** Route to a specific adapter (bypasses the rule engine) */
+    adapter(adapterId: string): this;
+    /** Idempotency key for the request */
+    idempotencyKey(key: string): this;
+    /**
+     * Validate the message and return the payload `send()` would use
+     * @throws ThorMailError VALIDATION_ERROR if the message is incomplete or invalid
+     */
+    build(): MessagePayload<TTemplates> | BatchPayload<TTemplates>;
+    /** Validate and send: `send()` for one recipient, `sendBatch()` for several */
+    send(options?: RequestOptions): Promise<SendResponse | BatchResponse>;
+}
+
+/**
+ * Verifies the signature of a ThorMail webhook and returns the parsed event
+ * @param rawBody - Raw request body, exactly as received
+ * @param headers - Request headers
+ * @param secret - Webhook secret (pass an array during secret rotation)
+ * @param options - Verification options
+ * @returns Verified, normalized event
+ * @throws ThorMailError WEBHOOK_MISSING_HEADERS, WEBHOOK_TIMESTAMP_OUT_OF_RANGE,
+ *   WEBHOOK_INVALID_SIGNATURE or WEBHOOK_INVALID_PAYLOAD
+ */
+export function verifyWebhook(
+    rawBody: string | Uint8Array,
+    headers: WebhookHeaders,
+    secret: string | string[],
+    options?: VerifyWebhookOptions
+): WebhookEvent;
+
+/**
+ * Creates a request handler that verifies ThorMail webhooks, rejects replays
+ * and dispatches events to the matching `on*` handlers
+ * @param options - Secret, handlers and limits
+ * @returns Request handler for node:http, Express or Fastify
+ */
+export function createWebhookHandler(options: WebhookHandlerOptions): WebhookRequestHandler;
+
+/**
+ * Parses and validates a webhook payload (does NOT verify the signature)
+ * @param payload - Raw JSON body or already parsed object
+ * @returns Normalized event
+ * @throws ThorMailError WEBHOOK_INVALID_PAYLOAD if the payload is malformed
+ */
+export function parseWebhookEvent(payload: string | Uint8Array | object): WebhookEvent;
+
+/** Delivery statuses reported by adapters in webhook events */
+export const WEBHOOK_STATUSES: readonly WebhookStatus[];
+
+/** `info` passed back by `transporter.sendMail()` */
+export interface ThorMailTransportInfo {
+    /** ThorMail queue ID of the message, null while it waits in the outbox */
+    messageId: string | null;
+    /** Sender and every to/cc/bcc address */
+    envelope: { from: string | null; to: string[] };
+    /** Addresses handed to ThorMail */
+    accepted: string[];
+    /** Always empty: delivery failures show up in the job status */
+    rejected: string[];
+    /** `accepted`, or `outboxed` when the API was unavailable */
+    response: 'accepted' | 'outboxed';
+    /** Raw `send()` response */
+    thormail: SendResponse;
+}
+
+/** Nodemailer transport object, pass it to `nodemailer.createTransport()` */
+export interface ThorMailTransport {
+    name: string;
+    version: string;
+    /** Called by Nodemailer for every `sendMail()`; `mail.data` holds the message options */
+    send(mail: { data: Record<string, any> }, callback: (error: Error | null, info?: ThorMailTransportInfo) => void): void;
+    /** Checks the connection and credentials (`transporter.verify()`) */
+    verify(): Promise<boolean>;
+    verify(callback: (error: Error | null, success?: boolean) => void): void;
+}
+
+/**
+ * Creates a Nodemailer transport that queues messages through ThorMail.
+ * `html` becomes the body; `cc`, `bcc`, `replyTo`, `text`, `attachments` and
+ * `headers` are mapped onto the `data` keys the email adapters read. Messages
+ * with several `to` addresses are rejected with a VALIDATION_ERROR.
+ * @param client - Client used to queue the messages
+ * @returns Transport for `nodemailer.createTransport()`
+ */
+export function thormailTransport(client: ThorMailClient<any>): ThorMailTransport;
+
+export interface MockFailure {
+    /** HTTP status to answer with (0 simulates a network error) */
+    status: number;
+    /** Error code in the response body (e.g. 'suppression_list') */
+    code?: string;
+    /** Error message in the response body */
+    error?: string;
+    /** Retry-After header in seconds */
+    retryAfter?: number;
+    /** Only fail requests whose endpoint starts with this (e.g. '/v1/send-batch') */
+    endpoint?: string;
+    /** Number of requests to fail (default: 1) */
+    times?: number;
+}
+
+export interface MockSentMessage extends Omit<MessagePayload, 'idempotencyKey'> {
+    /** Fake queue ID */
+    id: number;
+    /** Whether the message was queued through sendBatch */
+    batch: boolean;
+    /** Idempotency key sent with the request */
+    idempotencyKey: string | null;
+    /** ISO 8601 time the mock accepted the message */
+    queuedAt: string;
+}
+
+export interface MockRequest {
+    method: string;
+    endpoint: string;
+    headers: Record<string, string>;
+    body: any;
+}
+
+export interface MockController {
+    /** Messages accepted by send/sendBatch, in order */
+    readonly sent: MockSentMessage[];
+    /** Every HTTP attempt, including retries */
+    readonly requests: MockRequest[];
+    /** Make the next matching request(s) fail */
+    failNext(failure: MockFailure): MockController;
+    /** Reject sends to an address with a 403 `suppression_list` error */
+    suppress(address: string): MockController;
+    /** Reject every request made with an API key with a 401 (key rotation tests) */
+    revokeApiKey(apiKey: string): MockController;
+    /** Messages sent to a given recipient */
+    sentTo(address: string): MockSentMessage[];
+    /** Clears recorded messages, requests, scripted failures, suppressions and revoked keys */
+    reset(): void;
+}
+
+export interface MockThorMailClient<TTemplates extends object = TemplateRegistry> extends ThorMailClient<TTemplates> {
+    /** In-memory API controller */
+    readonly mock: MockController;
+}
+
+/**
+ * Creates a ThorMailClient backed by an in-memory fake of the ThorMail API
+ * @param config - Client configuration overrides
+ * @returns Client with a `mock` controller
+ */
+export function createMockClient<TTemplates extends object = TemplateRegistry>(config?: Partial<ThorMailConfig>): MockThorMailClient<TTemplates>;
 
 declare const _default: {
     ThorMailClient: typeof ThorMailClient;
+    ThorMailPool: typeof ThorMailPool;
     ThorMailError: typeof ThorMailError;
+    MessageBuilder: typeof MessageBuilder;
     createClient: typeof createClient;
+    verifyWebhook: typeof verifyWebhook;
+    parseWebhookEvent: typeof parseWebhookEvent;
+    createWebhookHandler: typeof createWebhookHandler;
+    thormailTransport: typeof thormailTransport;
+    createMockClient: typeof createMockClient;
+    WEBHOOK_STATUSES: typeof WEBHOOK_STATUSES;
 };
 
 export default _default;
@@ -13,6 +13,9 @@
 
 'use strict';
 
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+
 // ============================================================================
 // Type Definitions (JSDoc)
 // ============================================================================
@@ -22,9 +25,163 @@
  * @property {string} baseUrl - Base URL of the ThorMail API (e.g., 'https://api.thormail.io')
  * @property {string|number} workspaceId - Your workspace identifier
  * @property {string} apiKey - Your workspace API key
+ * @property {string} [secondaryApiKey] - Key tried when `apiKey` is rejected with a 401; promoted if it works (key rotation)
  * @property {number} [timeout=30000] - Request timeout in milliseconds
  * @property {RetryConfig} [retry] - Retry configuration
  * @property {boolean} [debug=false] - Enable debug logging
+ * @property {typeof fetch} [fetch] - Fetch implementation used for HTTP calls (defaults to global fetch)
+ * @property {ClientHooks|ClientHooks[]} [hooks] - Request lifecycle hooks
+ * @property {boolean|TelemetryConfig} [telemetry=false] - Emit OpenTelemetry spans and metrics
+ * @property {Logger} [logger] - Structured logger (pino, bunyan, console...); receives every record regardless of `debug`
+ * @property {string[]} [redact] - Field names whose values are replaced in log records (the API key is always redacted)
+ * @property {boolean|CircuitBreakerConfig} [circuitBreaker=false] - Fail fast while the API keeps failing
+ * @property {boolean|RateLimiterConfig} [rateLimiter=false] - Pace and queue requests client-side instead of waiting for 429s
+ * @property {boolean|OutboxConfig} [outbox=false] - Store sends that fail with a retryable error and replay them later
+ * @property {boolean} [autoIdempotency=false] - Generate an idempotency key for every send and batch recipient that has none
+ */
+
+/**
+ * @typedef {Object} OutboxConfig
+ * @property {string} [path] - JSON file that persists pending sends (in memory if neither path nor storage is set)
+ * @property {OutboxStorage} [storage] - Custom storage (Redis, database...)
+ * @property {number} [interval=5000] - Milliseconds between background replay passes
+ * @property {number} [maxAttempts=25] - Replays before an entry is dropped
+ */
+
+/**
+ * @typedef {Object} OutboxStorage
+ * @property {function(): Promise<OutboxEntry[]>} list - All pending entries
+ * @property {function(OutboxEntry): Promise<void>} put - Insert or replace an entry by `id`
+ * @property {function(string): Promise<void>} delete - Remove an entry
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Outbox entry ID
+ * @property {Object} payload - Send payload
+ * @property {string} idempotencyKey - Sent with every replay so the API never queues it twice
+ * @property {number} attempts - Replays attempted
+ * @property {string} createdAt - ISO 8601 time the send was stored
+ * @property {string} nextAttemptAt - ISO 8601 time of the next background replay
+ * @property {string} lastError - Last error message
+ */
+
+/**
+ * @typedef {Object} OutboxFlushResult
+ * @property {number} sent - Entries accepted by the API
+ * @property {number} dropped - Entries removed after a non-retryable error or `maxAttempts`
+ * @property {number} remaining - Entries still pending
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {function(Object, string): void} [debug] - Request attempts and successes
+ * @property {function(Object, string): void} [info] - Lifecycle messages
+ * @property {function(Object, string): void} [warn] - Failed responses, retries and rate limit pauses
+ * @property {function(Object, string): void} [error] - Requests that finally failed
+ */
+
+/**
+ * @typedef {Object} TelemetryConfig
+ * @property {Object} [tracer] - OpenTelemetry Tracer (defaults to the global tracer provider)
+ * @property {Object} [meter] - OpenTelemetry Meter (defaults to the global meter provider)
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerConfig
+ * @property {number} [failureThreshold=5] - Consecutive retryable failures (attempts) that open the circuit
+ * @property {number} [cooldown=30000] - Milliseconds to stay open before letting a probe request through
+ * @property {function(CircuitState & {from: string}): void} [onStateChange] - Called on every state transition
+ */
+
+/**
+ * @typedef {Object} CircuitState
+ * @property {'closed'|'open'|'half-open'} state - `half-open` once the cooldown has elapsed
+ * @property {number} failures - Consecutive retryable failures
+ * @property {number} failureThreshold - Failures that open the circuit
+ * @property {string|null} openedAt - ISO 8601 time the circuit last opened
+ * @property {string|null} retryAt - ISO 8601 time a probe request is allowed
+ */
+
+/**
+ * @typedef {Object} RateLimiterConfig
+ * @property {number} [requestsPerSecond=10] - Refill rate of the token bucket (lowered near the API limit)
+ * @property {number} [burst] - Bucket size: requests that may start at once (default: `requestsPerSecond`, rounded up)
+ * @property {number} [concurrency=4] - Maximum requests in flight
+ * @property {number} [maxQueue=1000] - Calls allowed to wait; more fail with QUEUE_FULL
+ */
+
+/**
+ * @typedef {Object} RateLimiterState
+ * @property {number} queued - Calls waiting for a token or a concurrency slot
+ * @property {number} inFlight - Requests awaiting a response
+ * @property {number} concurrency - Maximum requests in flight
+ * @property {number} maxQueue - Maximum waiting calls
+ * @property {number} tokens - Requests that may start right now
+ * @property {number} requestsPerSecond - Current refill rate
+ * @property {string|null} resetAt - ISO 8601 end of the API rate limit window or of a 429 pause, when known
+ */
+
+/**
+ * @typedef {Object} ClientHooks
+ * @property {function(RequestHookContext): (void|Promise<void>)} [onRequest] - Before every attempt; may edit `headers`. Errors abort the request.
+ * @property {function(ResponseHookContext): (void|Promise<void>)} [onResponse] - After every HTTP response, including retried errors
+ * @property {function(RetryHookContext): (void|Promise<void>)} [onRetry] - Before waiting for the next attempt
+ * @property {function(ErrorHookContext): (void|Promise<void>)} [onError] - When the request finally fails
+ * @property {function(KeyRotationHookContext): (void|Promise<void>)} [onKeyRotation] - When the primary API key was rejected and the secondary key took over
+ */
+
+/**
+ * @typedef {Object} RequestHookContext
+ * @property {string} endpoint - API endpoint (e.g. '/v1/send')
+ * @property {string} method - HTTP method
+ * @property {number} attempt - Attempt number (1 for the first try)
+ * @property {Object} headers - Outgoing headers (without the API key); mutable
+ * @property {Object|null} body - Request body
+ */
+
+/**
+ * @typedef {Object} ResponseHookContext
+ * @property {string} endpoint - API endpoint
+ * @property {string} method - HTTP method
+ * @property {number} attempt - Attempt number
+ * @property {number} status - HTTP status code
+ * @property {boolean} ok - Whether the status is 2xx
+ * @property {number} durationMs - Duration of this attempt
+ * @property {RateLimitInfo|null} rateLimit - Rate limit headers of the response
+ * @property {Object} data - Parsed response body
+ */
+
+/**
+ * @typedef {Object} RetryHookContext
+ * @property {string} endpoint - API endpoint
+ * @property {string} method - HTTP method
+ * @property {number} attempt - Attempt that failed
+ * @property {number} delay - Backoff before the next attempt, in milliseconds
+ * @property {ThorMailError} error - Error that triggered the retry
+ */
+
+/**
+ * @typedef {Object} ErrorHookContext
+ * @property {string} endpoint - API endpoint
+ * @property {string} method - HTTP method
+ * @property {number} attempts - Attempts made
+ * @property {number} durationMs - Total duration including backoff
+ * @property {Error} error - Final error
+ */
+
+/**
+ * @typedef {Object} KeyRotationHookContext
+ * @property {string} workspaceId - Workspace whose key was rotated
+ * @property {string} endpoint - Request that found the primary key rejected
+ * @property {string} retiredKeyHint - Last 4 characters of the rejected key
+ * @property {string} activeKeyHint - Last 4 characters of the key now in use
+ */
+
+/**
+ * @typedef {Object} WorkspaceOptions
+ * @property {string} [secondaryApiKey] - Key tried when `apiKey` is rejected (see ThorMailConfig)
+ * @property {boolean|OutboxConfig} [outbox] - Outbox of this workspace (outboxes are never shared)
  */
 
 /**
@@ -37,6 +194,13 @@
  * @property {boolean} [retryOnNetwork=true] - Whether to retry on network errors
  */
 
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Aborts the request and any pending retry delay (ABORTED error, never retried)
+ * @property {number} [timeout] - Timeout of each attempt in milliseconds (overrides the client `timeout`)
+ * @property {RetryConfig|false} [retry] - Merged over the client retry config for this call; `false` disables retries
+ */
+
 /**
  * @typedef {Object} MessagePayload
  * @property {string} to - Recipient identifier (email, phone, device token, etc.)
@@ -49,10 +213,21 @@
  * @property {string} [adapterId] - Specific adapter to route to (bypasses rule engine)
  */
 
+/**
+ * @typedef {Object} MessageAttachment
+ * @property {string} filename - File name shown to the recipient
+ * @property {string} [path] - http(s) URL the adapter downloads the file from
+ * @property {string} [href] - Alias of `path`
+ * @property {string} [content] - Inline file content
+ * @property {string} [contentType] - MIME type
+ * @property {string} [cid] - Content-ID for inline images (`<img src="cid:...">`)
+ */
+
 /**
  * @typedef {Object} RecipientObject
  * @property {string} to - Recipient identifier
  * @property {Object} [data] - Per-recipient variables/data
+ * @property {string} [idempotencyKey] - Deduplicates this recipient's message across batch retries
  */
 
 /**
@@ -64,12 +239,16 @@
  * @property {string} [templateId] - Shared template ID
  * @property {string} [scheduledAt] - Shared ISO 8601 schedule time (max 30 days)
  * @property {string} [adapterId] - Shared adapter identifier
+ * @property {string} [idempotencyKey] - Deduplicates the whole batch request
  */
 
 /**
  * @typedef {Object} SendResponse
- * @property {number} id - Queue ID of the message
- * @property {'accepted'} status - Status of the request
+ * @property {number|null} id - Queue ID of the message (null when outboxed)
+ * @property {'accepted'|'outboxed'} status - Status of the request
+ * @property {string} [outboxId] - Outbox entry ID, when the API was unavailable and the send was stored
+ * @property {string} [idempotencyKey] - Idempotency key sent with the request
+ * @property {boolean} [deduplicated] - True if the API answered from a previous request with the same key
  */
 
 /**
@@ -77,6 +256,90 @@
  * @property {'accepted'} status - Status of the request
  * @property {number} count - Number of messages queued
  * @property {number[]} ids - Array of queue IDs for each message
+ * @property {boolean} [deduplicated] - True if the API answered from a previous request with the same key
+ */
+
+/**
+ * @typedef {Object} BulkOptions
+ * @property {number} [chunkSize=500] - Recipients per batch request (1-500)
+ * @property {number} [concurrency=2] - Maximum batch requests in flight
+ * @property {number} [cursor=0] - Offset in `emails` to start from (resume a previous run)
+ * @property {boolean} [stopOnError=true] - Stop scheduling new chunks after a chunk fails
+ * @property {AbortSignal} [signal] - Stops scheduling new chunks and aborts in-flight batch requests
+ * @property {number} [timeout] - Per-request timeout override in milliseconds
+ * @property {RetryConfig|false} [retry] - Per-request retry overrides (`false` disables retries)
+ * @property {function({completedChunks: number, totalChunks: number, queued: number, failed: number}): void} [onProgress] - Called after each chunk
+ */
+
+/**
+ * @typedef {Object} BulkChunkResult
+ * @property {number} index - Chunk index
+ * @property {number} offset - Offset of the first recipient of the chunk in `emails`
+ * @property {number} size - Number of recipients in the chunk
+ * @property {'fulfilled'|'rejected'} status - Chunk outcome
+ * @property {number[]} [ids] - Queue IDs (fulfilled chunks)
+ * @property {ThorMailError} [error] - Failure reason (rejected chunks)
+ */
+
+/**
+ * @typedef {Object} BulkResponse
+ * @property {'completed'|'partial'|'failed'} status - Overall outcome
+ * @property {number} total - Recipients considered (from the start cursor)
+ * @property {number} queued - Recipients successfully queued
+ * @property {number} failed - Recipients in rejected chunks
+ * @property {number[]} ids - Queue IDs of all fulfilled chunks, in order
+ * @property {BulkChunkResult[]} chunks - Per-chunk outcomes for attempted chunks
+ * @property {number|null} cursor - Offset of the first recipient not queued, or null if everything was queued
+ * @property {string} [idempotencyKey] - Base key of the bulk send (pass it back with `cursor` to resume)
+ */
+
+/**
+ * @typedef {Object} SendStreamOptions
+ * @property {'csv'|'ndjson'} [format='csv'] - Input format
+ * @property {string} [delimiter=','] - CSV field delimiter
+ * @property {string} [to='to'] - Column (or NDJSON field) holding the recipient
+ * @property {string[]} [data] - Columns copied into the recipient's `data` (default: every other non-empty column)
+ * @property {function(Object, number): RecipientObject} [map] - Custom row mapping (row object, row number); throw to reject the row
+ * @property {string|NodeJS.WritableStream} [rejects] - File path or stream receiving the rows that were not sent, with the reason
+ * @property {number} [batchSize=500] - Rows per sendBatch request (1-500)
+ * @property {number} [cursor=0] - Rows to skip, to resume a previous run
+ * @property {boolean} [stopOnError=true] - Stop after a batch fails (resume with `cursor`); when false, failed batches go to `rejects`
+ * @property {AbortSignal} [signal] - Stops reading and aborts the batch in flight
+ * @property {number} [timeout] - Per-request timeout override in milliseconds
+ * @property {RetryConfig|false} [retry] - Per-request retry overrides (`false` disables retries)
+ * @property {function(SendStreamProgress): void} [onProgress] - Called after each batch
+ */
+
+/**
+ * @typedef {Object} SendStreamProgress
+ * @property {number} rows - Rows read (after `cursor`)
+ * @property {number} queued - Rows queued by the API
+ * @property {number} rejected - Invalid rows
+ * @property {number} failed - Rows of failed batches
+ * @property {number} batches - Batches sent
+ */
+
+/**
+ * @typedef {Object} SendStreamBatchResult
+ * @property {number} index - Batch index
+ * @property {number} firstRow - Row number of the first recipient of the batch (1-based, header excluded)
+ * @property {number} size - Recipients in the batch
+ * @property {'fulfilled'|'rejected'} status - Batch outcome
+ * @property {number[]} [ids] - Queue IDs (fulfilled batches)
+ * @property {ThorMailError} [error] - Failure reason (rejected batches)
+ */
+
+/**
+ * @typedef {Object} SendStreamResponse
+ * @property {'completed'|'partial'|'failed'} status - Outcome of the batches (invalid rows do not count)
+ * @property {number} rows - Rows read (after `cursor`)
+ * @property {number} queued - Rows queued by the API
+ * @property {number} rejected - Invalid rows (written to `rejects`)
+ * @property {number} failed - Rows of failed batches
+ * @property {number[]} ids - Queue IDs of all fulfilled batches, in order
+ * @property {SendStreamBatchResult[]} batches - Per-batch outcomes
+ * @property {number|null} cursor - Rows handled before the first row not sent, to resume from; null if the whole input was handled
+ * @property {string} [idempotencyKey] - Base key of the import (pass it back with `cursor` to resume)
  */
 
 /**
@@ -86,6 +349,320 @@
  * @property {number} reset - Unix timestamp when the limit resets
  */
 
+/**
+ * @typedef {'success'|'bounced'|'failed'|'pending'|'discarded'|'processing'|'unknown'} JobStatus
+ */
+
+/**
+ * @typedef {Object} JobStatusRecord
+ * @property {number} id - Queue ID
+ * @property {JobStatus} status - Current status
+ * @property {string} created_at - Job creation timestamp
+ * @property {string} [provider_identifier] - Provider identifier
+ * @property {*} [error] - Error details if failed
+ */
+
+/**
+ * @typedef {Object} StatusSummary
+ * @property {number} total - IDs looked up
+ * @property {Record<JobStatus, number>} counts - Jobs per status
+ * @property {number} notFound - IDs the API did not know
+ * @property {boolean} complete - True when every found job is in a terminal status
+ */
+
+/**
+ * @typedef {Object} StatusManyResponse
+ * @property {JobStatusRecord[]} data - Status of each found job, in request order
+ * @property {Array<string|number>} notFound - IDs the API did not know
+ * @property {StatusSummary} summary - Counts by status
+ */
+
+/**
+ * @typedef {Object} WaitForStatusOptions
+ * @property {JobStatus[]} [until=['success','bounced','failed','discarded']] - Statuses that end the wait
+ * @property {number} [timeout=60000] - Maximum time to wait in milliseconds, status requests included
+ * @property {number} [interval=1000] - Delay before the second poll; grows by 1.5x per poll
+ * @property {number} [maxInterval=10000] - Upper bound for the polling delay
+ * @property {AbortSignal} [signal] - Stops waiting (and the pending status request) with an ABORTED error
+ * @property {number} [requestTimeout] - Timeout of each status request (default: client `timeout`)
+ * @property {RetryConfig|false} [retry] - Retry overrides for each status request
+ */
+
+/**
+ * @typedef {Object} MessageFilter
+ * @property {string} [recipient] - Exact recipient identifier (email, phone, device token, etc.)
+ * @property {JobStatus|JobStatus[]} [status] - One or more job statuses
+ * @property {string} [adapterId] - Adapter the message was routed to
+ * @property {string} [templateId] - Template used to render the message
+ * @property {'EMAIL'|'SMS'|'PUSH'|'WEBHOOK'} [type] - Message type
+ * @property {string|Date} [since] - Only messages created at or after this date
+ * @property {string|Date} [until] - Only messages created before this date
+ * @property {number} [limit=50] - Page size (1-100)
+ * @property {string} [cursor] - Cursor returned by a previous page
+ */
+
+/**
+ * @typedef {Object} MessageRecord
+ * @property {number} id - Queue ID of the message
+ * @property {string} to - Recipient identifier
+ * @property {'EMAIL'|'SMS'|'PUSH'|'WEBHOOK'} type - Message type
+ * @property {JobStatus} status - Current job status
+ * @property {string} [subject] - Rendered subject/title
+ * @property {string} [templateId] - Template used, if any
+ * @property {string} [adapterId] - Adapter the message was routed to
+ * @property {string} [provider_identifier] - Provider-side message identifier
+ * @property {string} [scheduledAt] - Scheduled delivery time, if any
+ * @property {string} created_at - Job creation timestamp
+ * @property {string} [updated_at] - Last status change timestamp
+ */
+
+/**
+ * @typedef {Object} MessageListResponse
+ * @property {MessageRecord[]} data - Messages in this page
+ * @property {string|null} nextCursor - Cursor for the next page (null on the last page)
+ * @property {boolean} hasMore - Whether more pages are available
+ */
+
+/**
+ * @typedef {Object} CancelResponse
+ * @property {number} id - Queue ID of the message
+ * @property {'cancelled'} status - New status of the job
+ */
+
+/**
+ * @typedef {Object} CancelBatchResponse
+ * @property {number[]} cancelled - Queue IDs that were cancelled
+ * @property {Array<{id: number, code: string, error: string}>} failed - Queue IDs that could not be cancelled
+ */
+
+/**
+ * @typedef {Object} RescheduleResponse
+ * @property {number} id - Queue ID of the message
+ * @property {'rescheduled'} status - Status of the request
+ * @property {string} scheduledAt - New ISO 8601 schedule time
+ */
+
+/**
+ * @typedef {'ACCEPTED'|'SOFT-REJECT'|'HARD-REJECT'|'OPENED'|'CLICKED'|'COMPLAINED'} WebhookStatus
+ */
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} id - Unique event identifier (use it to de-duplicate deliveries)
+ * @property {WebhookStatus} status - Normalized delivery status, as reported by the adapter
+ * @property {number} queueId - ThorMail queue ID of the message (as returned by send/sendBatch)
+ * @property {string} [messageId] - Provider-side message identifier
+ * @property {string} [adapterId] - Adapter that reported the event
+ * @property {string} [to] - Recipient identifier
+ * @property {'EMAIL'|'SMS'|'PUSH'|'WEBHOOK'} [type] - Message type
+ * @property {string} occurredAt - ISO 8601 time the event happened
+ * @property {string} [reason] - Rejection reason (SOFT-REJECT / HARD-REJECT)
+ * @property {string} [url] - Clicked link (CLICKED)
+ * @property {Object} [details] - Raw provider details
+ */
+
+/**
+ * @typedef {Object} VerifyWebhookOptions
+ * @property {number} [tolerance=300] - Maximum age (and clock skew) of the timestamp in seconds
+ * @property {number} [now] - Current Unix time in seconds (for testing)
+ */
+
+/**
+ * @typedef {Object} WebhookReplayStore
+ * @property {function(string, number): (boolean|Promise<boolean>)} add - Atomically remember an event id for `ttlMs` milliseconds; returns false if it is already stored (e.g. Redis `SET NX PX`)
+ * @property {function(string): (void|Promise<void>)} delete - Forget an event id (handler failed, allow redelivery)
+ */
+
+/**
+ * @typedef {Object} WebhookHandlerOptions
+ * @property {string|string[]} secret - Webhook secret (pass an array during secret rotation)
+ * @property {number} [tolerance=300] - Maximum timestamp age in seconds
+ * @property {number} [maxBodySize=1048576] - Maximum accepted body size in bytes
+ * @property {WebhookReplayStore} [replayStore] - Store of processed event ids (defaults to in-memory)
+ * @property {function(WebhookEvent): any} [onEvent] - Called for every verified event
+ * @property {function(WebhookEvent): any} [onAccepted] - ACCEPTED
+ * @property {function(WebhookEvent): any} [onBounce] - SOFT-REJECT and HARD-REJECT
+ * @property {function(WebhookEvent): any} [onSoftReject] - SOFT-REJECT
+ * @property {function(WebhookEvent): any} [onHardReject] - HARD-REJECT
+ * @property {function(WebhookEvent): any} [onOpen] - OPENED
+ * @property {function(WebhookEvent): any} [onClick] - CLICKED
+ * @property {function(WebhookEvent): any} [onComplaint] - COMPLAINED
+ * @property {function(Error): void} [onError] - Called when a request is rejected or a handler throws
+ */
+
+/**
+ * @typedef {Object} TemplateInput
+ * @property {string} id - Template identifier (the `templateId` used when sending)
+ * @property {string} body - Template body (HTML, text, or JSON) with `{{variables}}`
+ * @property {string} [name] - Human-readable name
+ * @property {'EMAIL'|'SMS'|'PUSH'|'WEBHOOK'} [type='EMAIL'] - Message type the template is for
+ * @property {string} [subject] - Subject/title template
+ * @property {string} [description] - Free-form description (e.g. commit SHA when syncing from CI)
+ */
+
+/**
+ * @typedef {Object} Template
+ * @property {string} id - Template identifier
+ * @property {string} [name] - Human-readable name
+ * @property {'EMAIL'|'SMS'|'PUSH'|'WEBHOOK'} type - Message type
+ * @property {string} [subject] - Subject/title template
+ * @property {string} body - Template body
+ * @property {string} [description] - Description
+ * @property {number} version - Current version (incremented on every update)
+ * @property {string} created_at - Creation timestamp
+ * @property {string} updated_at - Last update timestamp
+ */
+
+/**
+ * @typedef {Object} TemplateListFilter
+ * @property {'EMAIL'|'SMS'|'PUSH'|'WEBHOOK'} [type] - Only templates of this type
+ * @property {number} [limit=50] - Page size (1-100)
+ * @property {string} [cursor] - Cursor returned by a previous page
+ */
+
+/**
+ * @typedef {Object} TemplateListResponse
+ * @property {Template[]} data - Templates in this page
+ * @property {string|null} nextCursor - Cursor for the next page (null on the last page)
+ * @property {boolean} hasMore - Whether more pages are available
+ */
+
+/**
+ * @typedef {Object} RenderedTemplate
+ * @property {string} id - Template identifier
+ * @property {number} version - Version that was rendered
+ * @property {string} [subject] - Rendered subject/title
+ * @property {string} body - Rendered body
+ * @property {string[]} [missingVariables] - Variables referenced by the template but absent from `data`
+ */
+
+/**
+ * @typedef {'bounce'|'complaint'|'manual'|'unsubscribe'} SuppressionReason
+ */
+
+/**
+ * @typedef {Object} SuppressionInput
+ * @property {string} address - Suppressed recipient (email, phone, device token, etc.)
+ * @property {SuppressionReason} [reason='manual'] - Why the recipient is suppressed
+ * @property {string} [note] - Free-form note (e.g. support ticket or GDPR request ID)
+ * @property {string|Date} [expiresAt] - Lift the suppression automatically at this time
+ */
+
+/**
+ * @typedef {Object} Suppression
+ * @property {string} address - Suppressed recipient
+ * @property {SuppressionReason} reason - Why the recipient is suppressed
+ * @property {string} [note] - Free-form note
+ * @property {string} created_at - When the recipient was suppressed
+ * @property {string|null} [expires_at] - When the suppression is lifted, if ever
+ */
+
+/**
+ * @typedef {Object} SuppressionFilter
+ * @property {SuppressionReason|SuppressionReason[]} [reason] - One or more reasons
+ * @property {string|Date} [since] - Only entries created at or after this date
+ * @property {string|Date} [until] - Only entries created before this date
+ * @property {number} [limit=50] - Page size (1-100)
+ * @property {string} [cursor] - Cursor returned by a previous page
+ */
+
+/**
+ * @typedef {Object} SuppressionCheck
+ * @property {string} address - Checked recipient
+ * @property {boolean} suppressed - Whether sends to this recipient are blocked
+ * @property {Suppression|null} entry - Suppression entry, when suppressed
+ */
+
+/**
+ * @typedef {Object} SuppressionImportResult
+ * @property {number} imported - Entries added
+ * @property {number} skipped - Entries that were already suppressed
+ */
+
+/**
+ * @typedef {Object} PaginateOptions
+ * @property {AbortSignal} [signal] - Stops the iteration (and the pending page request) when aborted
+ * @property {number} [timeout] - Timeout of each page request
+ * @property {RetryConfig|false} [retry] - Retry overrides for each page request
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Supported message types */
+const MESSAGE_TYPES = ['EMAIL', 'SMS', 'PUSH', 'WEBHOOK'];
+
+/** Job statuses reported by the status and message history endpoints */
+const JOB_STATUSES = ['success', 'bounced', 'failed', 'pending', 'discarded', 'processing', 'unknown'];
+
+/** Job statuses that will not change anymore */
+const TERMINAL_JOB_STATUSES = ['success', 'bounced', 'failed', 'discarded'];
+
+/** Maximum page size accepted by list endpoints */
+const MAX_PAGE_SIZE = 100;
+
+/** Reasons a recipient can be on the suppression list */
+const SUPPRESSION_REASONS = ['bounce', 'complaint', 'manual', 'unsubscribe'];
+
+/** Maximum number of items in a batch request */
+const MAX_BATCH_SIZE = 500;
+
+/** Maximum schedule horizon in days (batch sends; single sends allow 3) */
+const MAX_SCHEDULE_DAYS = 30;
+
+/** Maximum schedule horizon in days for single sends */
+const MAX_SEND_SCHEDULE_DAYS = 3;
+
+/** Loose email check (local@domain.tld); the adapter/provider does the strict one */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** E.164 phone number, as expected by SMS adapters */
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+/** Recipient format per message type, used in validation errors */
+const RECIPIENT_FORMATS = Object.freeze({
+    EMAIL: 'email address',
+    SMS: 'phone number (E.164, e.g. +14155550123)',
+    PUSH: 'device token',
+    WEBHOOK: 'webhook URL (http or https)'
+});
+
+/** Delivery statuses reported by adapters in webhook events */
+const WEBHOOK_STATUSES = ['ACCEPTED', 'SOFT-REJECT', 'HARD-REJECT', 'OPENED', 'CLICKED', 'COMPLAINED'];
+
+/** Headers sent with every ThorMail webhook */
+const WEBHOOK_HEADERS = Object.freeze({
+    id: 'x-thormail-id',
+    timestamp: 'x-thormail-timestamp',
+    signature: 'x-thormail-signature'
+});
+
+/** Webhook handler options called for each status, in order (`onEvent` runs last for every event) */
+const WEBHOOK_STATUS_HANDLERS = Object.freeze({
+    'ACCEPTED': ['onAccepted'],
+    'SOFT-REJECT': ['onSoftReject', 'onBounce'],
+    'HARD-REJECT': ['onHardReject', 'onBounce'],
+    'OPENED': ['onOpen'],
+    'CLICKED': ['onClick'],
+    'COMPLAINED': ['onComplaint']
+});
+
+/** Fields redacted from log records by default (recipient data) */
+const DEFAULT_REDACT_FIELDS = ['to', 'recipient', 'address', 'data', 'subject', 'body'];
+
+/** Replacement for redacted values */
+const REDACTED = '[REDACTED]';
+
+/** Errors built from an API response, whose free-text message can echo recipient data */
+const API_ERRORS = new WeakSet();
+
+/** Error codes returned when a job can no longer be cancelled or rescheduled */
+const JOB_LOCKED_CODES = ['JOB_PROCESSING', 'JOB_ALREADY_SENT'];
+
+/** Remaining requests at or below which the client slows down */
+const RATE_LIMIT_LOW_WATERMARK = 10;
+
 // ============================================================================
 // Error Class
 // ============================================================================
@@ -162,6 +739,31 @@ class ThorMailError extends Error {
         return this.code === 'NETWORK_ERROR';
     }
 
+    /** @returns {boolean} True if the job is already processing or sent and cannot be changed */
+    isJobLocked() {
+        return JOB_LOCKED_CODES.includes(this.code);
+    }
+
+    /** @returns {boolean} True if the operation was aborted by the caller */
+    isAborted() {
+        return this.code === 'ABORTED';
+    }
+
+    /** @returns {boolean} True if waitForStatus gave up before the job reached the expected status */
+    isWaitTimeout() {
+        return this.code === 'WAIT_TIMEOUT';
+    }
+
+    /** @returns {boolean} True if the request was refused by an open circuit breaker */
+    isCircuitOpen() {
+        return this.code === 'CIRCUIT_OPEN';
+    }
+
+    /** @returns {boolean} True if the call was refused because the rate limiter queue is full */
+    isQueueFull() {
+        return this.code === 'QUEUE_FULL';
+    }
+
     /** @returns {boolean} True if error can be retried */
     isRetryable() {
         const retryableCodes = [429, 500, 502, 503, 504];
@@ -185,64 +787,731 @@ class ThorMailError extends Error {
 }
 
 // ============================================================================
-// Main Client Class
+// Telemetry
 // ============================================================================
 
+/** No-op telemetry used when disabled or when @opentelemetry/api is not installed */
+const NOOP_TELEMETRY = Object.freeze({
+    enabled: false,
+    startOperation: () => ({ headers: {}, run: fn => fn(), end: () => { } })
+});
+
+/** Path segments that belong to a route; any other segment is a parameter (job ID, template ID, address) */
+const ROUTE_SEGMENTS = new Set([
+    'v1', 'send', 'send-batch', 'status', 'status-batch', 'cancel', 'cancel-batch', 'reschedule',
+    'messages', 'search', 'templates', 'versions', 'render', 'suppressions', 'import'
+]);
+
 /**
- * ThorMail API Client - Professional, resilient, and lightweight
- * 
- * @example
- * ```javascript
- * import { ThorMailClient } from '@thormail/client';
- * 
- * const client = new ThorMailClient({
- *   baseUrl: 'https://api.thormail.io',
- *   workspaceId: 'your-workspace-id',
- *   apiKey: 'your-api-key'
- * });
- * 
- * // Send a single message
- * const result = await client.send({
- *   to: 'user@example.com',
- *   templateId: 'welcome',
- *   data: { name: 'John' }
- * });
- * console.log('Queued:', result.id);
- * ```
+ * Route template of an endpoint for span attributes: parameters are replaced
+ * with `{id}` and the query is dropped, so traces never carry recipient data
+ * @param {string} endpoint - API endpoint (e.g. '/v1/suppressions/user@example.com')
+ * @returns {string} Template (e.g. '/v1/suppressions/{id}')
+ * @private
  */
-class ThorMailClient {
-    /** @type {string} */
-    #apiKey;
+function endpointTemplate(endpoint) {
+    const [path] = endpoint.split('?');
+    return path.split('/').map((segment, i) => (i === 0 || ROUTE_SEGMENTS.has(segment) ? segment : '{id}')).join('/');
+}
 
-    /** @type {RateLimitInfo|null} */
-    #lastRateLimit = null;
+/**
+ * Creates the telemetry recorder used by the client.
+ * `@opentelemetry/api` is loaded lazily so the package keeps zero dependencies.
+ * @param {boolean|TelemetryConfig} [option] - Client `telemetry` option
+ * @returns {{enabled: boolean, startOperation: Function}}
+ * @private
+ */
+function createTelemetry(option) {
+    if (!option) {
+        return NOOP_TELEMETRY;
+    }
 
-    /**
-     * Creates a new ThorMail client instance
-     * @param {ThorMailConfig} config - Client configuration
-     * @throws {Error} If required config options are missing
-     */
-    constructor(config) {
-        // Validate required fields
-        if (!config) {
-            throw new Error('ThorMailClient: Configuration object is required');
-        }
-        if (!config.baseUrl) {
-            throw new Error('ThorMailClient: baseUrl is required');
-        }
-        if (!config.workspaceId) {
-            throw new Error('ThorMailClient: workspaceId is required');
-        }
-        if (!config.apiKey) {
-            throw new Error('ThorMailClient: apiKey is required');
-        }
+    let api = null;
+    try {
+        api = require('@opentelemetry/api');
+    } catch {
+        // Optional peer dependency not installed
+    }
 
-        // Normalize and store config
-        this.baseUrl = config.baseUrl.replace(/\/+$/, ''); // Remove trailing slashes
-        this.workspaceId = String(config.workspaceId);
+    const config = typeof option === 'object' ? option : {};
+    const tracer = config.tracer ?? api?.trace.getTracer('@thormail/client');
+    const meter = config.meter ?? api?.metrics.getMeter('@thormail/client');
+    if (!tracer && !meter) {
+        return NOOP_TELEMETRY;
+    }
+
+    const instruments = meter ? {
+        requests: meter.createCounter('thormail.client.requests', { description: 'ThorMail API calls' }),
+        retries: meter.createCounter('thormail.client.retries', { description: 'ThorMail API retry attempts' }),
+        errors: meter.createCounter('thormail.client.errors', { description: 'Failed ThorMail API calls' }),
+        duration: meter.createHistogram('thormail.client.duration', {
+            description: 'Duration of ThorMail API calls, including retries',
+            unit: 'ms'
+        })
+    } : null;
+
+    return {
+        enabled: true,
+
+        /**
+         * Starts a span for one logical API call (all attempts included)
+         * @param {string} operation - Operation name (send, send_batch, status...)
+         * @param {{endpoint: string, method: string}} info - Request info
+         */
+        startOperation(operation, { endpoint, method }) {
+            const startedAt = Date.now();
+            const span = tracer?.startSpan(`thormail.${operation}`, {
+                kind: api?.SpanKind.CLIENT ?? 2,
+                attributes: {
+                    'thormail.operation': operation,
+                    'http.request.method': method,
+                    'url.template': endpointTemplate(endpoint)
+                }
+            });
+
+            // Propagate the trace context to the ThorMail API
+            const context = span && api ? api.trace.setSpan(api.context.active(), span) : null;
+            const headers = {};
+            if (context) {
+                api.propagation.inject(context, headers);
+            }
+
+            return {
+                headers,
+                run: fn => (context ? api.context.with(context, fn) : fn()),
+
+                /**
+                 * Ends the span and records metrics
+                 * @param {{attempts: number, status?: number, data?: Object, error?: Error, rateLimit?: RateLimitInfo|null}} outcome
+                 */
+                end({ attempts, status, data, error, rateLimit }) {
+                    const outcome = error ? 'error' : 'success';
+                    const attributes = { 'thormail.operation': operation, 'thormail.outcome': outcome };
+
+                    if (span) {
+                        span.setAttribute('thormail.attempts', attempts);
+                        if (status) span.setAttribute('http.response.status_code', status);
+                        if (data?.id !== undefined) span.setAttribute('thormail.queue_id', data.id);
+                        if (data?.count !== undefined) span.setAttribute('thormail.batch.count', data.count);
+                        if (rateLimit) span.setAttribute('thormail.ratelimit.remaining', rateLimit.remaining);
+                        if (error) {
+                            span.setAttribute('error.type', error.code || error.name);
+                            span.recordException(error);
+                            span.setStatus({ code: api?.SpanStatusCode.ERROR ?? 2, message: error.message });
+                        }
+                        span.end();
+                    }
+
+                    if (instruments) {
+                        instruments.requests.add(1, attributes);
+                        instruments.duration.record(Date.now() - startedAt, attributes);
+                        if (attempts > 1) {
+                            instruments.retries.add(attempts - 1, { 'thormail.operation': operation });
+                        }
+                        if (error) {
+                            instruments.errors.add(1, { 'thormail.operation': operation, 'error.type': error.code || error.name });
+                        }
+                    }
+                }
+            };
+        }
+    };
+}
+
+// ============================================================================
+// Circuit Breaker
+// ============================================================================
+
+/**
+ * Creates the circuit breaker used by the client, or `null` when disabled.
+ * Only retryable failures (429, 5xx, timeouts, network errors) count toward
+ * opening the circuit; any other response proves the API is reachable.
+ * @param {boolean|CircuitBreakerConfig} [option] - `circuitBreaker` config option
+ * @param {function(string, string, Object): void} [log] - Client logger
+ * @returns {Object|null} Breaker with acquire/success/failure/release/getState
+ */
+function createCircuitBreaker(option, log = () => { }) {
+    if (!option) return null;
+
+    const config = option === true ? {} : option;
+    const failureThreshold = config.failureThreshold ?? 5;
+    const cooldown = config.cooldown ?? 30000;
+    const onStateChange = config.onStateChange ?? null;
+
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = null;
+    let probeInFlight = false;
+
+    const snapshot = () => ({
+        state: state === 'open' && Date.now() - openedAt >= cooldown ? 'half-open' : state,
+        failures,
+        failureThreshold,
+        openedAt: openedAt === null ? null : new Date(openedAt).toISOString(),
+        retryAt: state === 'closed' ? null : new Date(openedAt + cooldown).toISOString()
+    });
+
+    const transition = (next) => {
+        if (state === next) return;
+        const previous = state;
+        state = next;
+        log(`Circuit ${next}`, { from: previous, to: next, failures }, next === 'open' ? 'warn' : 'info');
+        if (onStateChange) {
+            try {
+                onStateChange({ from: previous, ...snapshot() });
+            } catch (err) {
+                log('Circuit breaker onStateChange failed', { error: err.message }, 'warn');
+            }
+        }
+    };
+
+    return {
+        /**
+         * Claims permission for one attempt. While open, fails until the cooldown
+         * has elapsed; then lets a single probe through (half-open).
+         * @returns {ThorMailError|null} A CIRCUIT_OPEN error, or null if the attempt may proceed
+         */
+        acquire() {
+            if (state === 'open' && Date.now() - openedAt >= cooldown) {
+                transition('half-open');
+            }
+            if (state === 'closed') return null;
+            if (state === 'half-open' && !probeInFlight) {
+                probeInFlight = true;
+                return null;
+            }
+            const retryAfter = Math.max(0, Math.ceil((openedAt + cooldown - Date.now()) / 1000));
+            return new ThorMailError(
+                'Circuit breaker is open: ThorMail API is unavailable',
+                0,
+                'CIRCUIT_OPEN',
+                retryAfter,
+                snapshot()
+            );
+        },
+
+        /** Records an attempt that reached the API without a retryable failure */
+        success() {
+            probeInFlight = false;
+            failures = 0;
+            openedAt = null;
+            transition('closed');
+        },
+
+        /** Records a retryable failure; opens the circuit at the threshold or on a failed probe */
+        failure() {
+            probeInFlight = false;
+            failures++;
+            if (state === 'half-open' || (state === 'closed' && failures >= failureThreshold)) {
+                openedAt = Date.now();
+                transition('open');
+            }
+        },
+
+        /** Releases a claimed probe when the attempt ended without an outcome */
+        release() {
+            probeInFlight = false;
+        },
+
+        /** @returns {CircuitState} Current state */
+        getState() {
+            return snapshot();
+        }
+    };
+}
+
+// ============================================================================
+// Rate Limiter
+// ============================================================================
+
+/**
+ * Creates the token-bucket limiter used by the client, or `null` when disabled.
+ *
+ * Every attempt takes a token and a concurrency slot; calls wait in a bounded
+ * FIFO queue. The bucket refills at `requestsPerSecond` and is kept in sync
+ * with the `X-RateLimit-*` headers: it never holds more tokens than the API
+ * says remain, slows down to spread the last requests over the window, and
+ * stops until the reset time once the API reports no requests left.
+ * @param {boolean|RateLimiterConfig} [option] - `rateLimiter` config option
+ * @param {function(string, Object, string): void} [log] - Client logger
+ * @returns {Object|null} Limiter with acquire/release/update/pause/getState
+ */
+function createRateLimiter(option, log = () => { }) {
+    if (!option) return null;
+
+    const config = option === true ? {} : option;
+    const baseRate = config.requestsPerSecond ?? 10;
+    const burst = config.burst ?? Math.max(1, Math.ceil(baseRate));
+    const concurrency = config.concurrency ?? 4;
+    const maxQueue = config.maxQueue ?? 1000;
+
+    if (!(baseRate > 0)) {
+        throw new Error('ThorMailClient: rateLimiter.requestsPerSecond must be greater than 0');
+    }
+    for (const [name, value] of [['burst', burst], ['concurrency', concurrency], ['maxQueue', maxQueue]]) {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`ThorMailClient: rateLimiter.${name} must be a positive integer`);
+        }
+    }
+
+    /** @type {Array<{resolve: function(boolean): void, signal: AbortSignal|null, onAbort: function(): void}>} */
+    const queue = [];
+    let rate = baseRate;
+    let tokens = burst;
+    let refilledAt = Date.now();
+    let resetAt = null;
+    // Set by a 429 pause; rate limit headers never shorten it
+    let pausedUntil = null;
+    let inFlight = 0;
+    let timer = null;
+
+    const refill = () => {
+        const now = Date.now();
+        if (pausedUntil !== null) {
+            if (now < pausedUntil) {
+                tokens = 0;
+                refilledAt = now;
+                return;
+            }
+            pausedUntil = null;
+            tokens = burst;
+        } else if (resetAt !== null && now >= resetAt) {
+            // New window: back to the configured pace
+            resetAt = null;
+            rate = baseRate;
+            tokens = burst;
+        } else {
+            tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * rate);
+        }
+        refilledAt = now;
+    };
+
+    const snapshot = () => {
+        refill();
+        return {
+            queued: queue.length,
+            inFlight,
+            concurrency,
+            maxQueue,
+            tokens: Math.floor(tokens),
+            requestsPerSecond: pausedUntil === null ? rate : 0,
+            resetAt: (pausedUntil ?? resetAt) === null ? null : new Date(pausedUntil ?? resetAt).toISOString()
+        };
+    };
+
+    const drain = () => {
+        refill();
+        while (queue.length > 0 && inFlight < concurrency && tokens >= 1) {
+            const waiter = queue.shift();
+            waiter.signal?.removeEventListener('abort', waiter.onAbort);
+            tokens--;
+            inFlight++;
+            waiter.resolve(true);
+        }
+        if (queue.length === 0 || inFlight >= concurrency || timer) {
+            return;
+        }
+        const wakeAt = pausedUntil ?? resetAt;
+        const untilReset = wakeAt === null ? Infinity : wakeAt - Date.now();
+        const untilToken = pausedUntil === null && rate > 0 ? ((1 - tokens) / rate) * 1000 : Infinity;
+        timer = setTimeout(() => {
+            timer = null;
+            drain();
+        }, Math.max(1, Math.ceil(Math.min(untilToken, untilReset))));
+    };
+
+    return {
+        /**
+         * Waits for a token and a concurrency slot
+         * @param {AbortSignal|null} [signal] - Stops waiting when aborted
+         * @param {boolean} [admitted=false] - The call was already let in by an earlier attempt:
+         *   retries wait in the queue but are never refused halfway through a call
+         * @returns {Promise<boolean>} true once the attempt may proceed, false if aborted while queued
+         * @throws {ThorMailError} QUEUE_FULL when `maxQueue` calls are already waiting
+         */
+        acquire(signal = null, admitted = false) {
+            if (signal?.aborted) {
+                return Promise.resolve(false);
+            }
+            if (!admitted && queue.length >= maxQueue) {
+                log('Rate limiter queue full, request refused', { queued: queue.length, maxQueue }, 'warn');
+                throw new ThorMailError(
+                    `Rate limiter queue is full (${maxQueue} calls waiting)`,
+                    0,
+                    'QUEUE_FULL',
+                    null,
+                    snapshot()
+                );
+            }
+            return new Promise(resolve => {
+                const waiter = {
+                    resolve,
+                    signal,
+                    onAbort: () => {
+                        const index = queue.indexOf(waiter);
+                        if (index !== -1) queue.splice(index, 1);
+                        resolve(false);
+                    }
+                };
+                signal?.addEventListener('abort', waiter.onAbort, { once: true });
+                queue.push(waiter);
+                drain();
+            });
+        },
+
+        /** Frees the concurrency slot of an attempt that got its response (or failed) */
+        release() {
+            inFlight = Math.max(0, inFlight - 1);
+            drain();
+        },
+
+        /**
+         * Syncs the bucket with the rate limit headers of a response
+         * @param {RateLimitInfo|null} info - Parsed headers
+         */
+        update(info) {
+            if (!info) return;
+            const untilReset = info.reset * 1000 - Date.now();
+            if (untilReset <= 0) return;
+
+            refill();
+            // Requests still in flight are not counted by the API yet
+            const available = Math.max(0, info.remaining - inFlight);
+            tokens = Math.min(tokens, available);
+            resetAt = info.reset * 1000;
+            rate = info.remaining <= RATE_LIMIT_LOW_WATERMARK
+                ? Math.min(baseRate, available / (untilReset / 1000))
+                : baseRate;
+            if (available === 0) {
+                log('Rate limit exhausted, holding requests until reset', { resetAt: new Date(resetAt).toISOString(), queued: queue.length }, 'warn');
+            }
+        },
+
+        /**
+         * Stops handing out tokens for a while (429 with Retry-After)
+         * @param {number} ms - Pause in milliseconds
+         */
+        pause(ms) {
+            refill();
+            tokens = 0;
+            pausedUntil = Math.max(pausedUntil ?? 0, Date.now() + ms);
+            drain();
+        },
+
+        /** @returns {RateLimiterState} Current state */
+        getState() {
+            return snapshot();
+        }
+    };
+}
+
+// ============================================================================
+// Stream Parsers
+// ============================================================================
+
+/**
+ * Creates an incremental CSV parser (RFC 4180: quoted fields, escaped quotes,
+ * CRLF). Text can be pushed in chunks of any size; blank lines are skipped.
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {{push: function(string): string[][], end: function(): string[][]}} `push` returns the
+ *   records completed by the chunk, `end` the last one (throws on an unterminated quoted field,
+ *   with the broken record in `details.record`)
+ */
+function createCsvParser(delimiter = ',') {
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let quotePending = false;
+    let skipLineFeed = false;
+
+    const endRow = (rows) => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    return {
+        push(text) {
+            const rows = [];
+            for (const char of text) {
+                if (skipLineFeed) {
+                    skipLineFeed = false;
+                    if (char === '\n') continue;
+                }
+                // A quote inside a quoted field is either escaped ("") or closes the field
+                if (quotePending) {
+                    quotePending = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    quoted = false;
+                }
+                if (quoted) {
+                    if (char === '"') {
+                        quotePending = true;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    endRow(rows);
+                    skipLineFeed = char === '\r';
+                } else {
+                    field += char;
+                }
+            }
+            return rows;
+        },
+
+        end() {
+            if (quotePending) {
+                quotePending = false;
+                quoted = false;
+            }
+            if (quoted) {
+                const broken = [...row, field];
+                row = [];
+                field = '';
+                quoted = false;
+                throw new ThorMailError('Invalid CSV: unterminated quoted field', 400, 'VALIDATION_ERROR', null, { record: broken });
+            }
+            const rows = [];
+            endRow(rows);
+            return rows;
+        }
+    };
+}
+
+/**
+ * Creates an incremental NDJSON line splitter. Lines are returned unparsed
+ * so that invalid JSON can be reported per row.
+ * @returns {{push: function(string): string[], end: function(): string[]}}
+ */
+function createNdjsonParser() {
+    let buffer = '';
+    const lines = (text) => text.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim() !== '');
+
+    return {
+        push(text) {
+            buffer += text;
+            const end = buffer.lastIndexOf('\n');
+            if (end === -1) return [];
+            const complete = buffer.slice(0, end);
+            buffer = buffer.slice(end + 1);
+            return lines(complete);
+        },
+
+        end() {
+            const rest = buffer;
+            buffer = '';
+            return lines(rest);
+        }
+    };
+}
+
+/**
+ * Formats one CSV record, quoting fields that need it
+ * @param {Array<string|number|null|undefined>} fields - Field values
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string} Record without the line terminator
+ */
+function formatCsvRecord(fields, delimiter = ',') {
+    return fields.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter);
+}
+
+// ============================================================================
+// Outbox Storage
+// ============================================================================
+
+/**
+ * Creates an in-memory outbox storage (lost on restart)
+ * @returns {OutboxStorage}
+ * @private
+ */
+function createMemoryOutboxStorage() {
+    /** @type {Map<string, OutboxEntry>} */
+    const entries = new Map();
+
+    return {
+        async list() {
+            return [...entries.values()].map(entry => ({ ...entry }));
+        },
+        async put(entry) {
+            entries.set(entry.id, { ...entry });
+        },
+        async delete(id) {
+            entries.delete(id);
+        }
+    };
+}
+
+/**
+ * Creates a JSON file outbox storage. The file is rewritten atomically
+ * (temp file + rename) on every change, and writes are serialized.
+ * @param {string} path - File path; created on first write
+ * @returns {OutboxStorage}
+ * @private
+ */
+function createFileOutboxStorage(path) {
+    const fs = require('node:fs/promises');
+
+    /** @type {Promise<Map<string, OutboxEntry>>|null} */
+    let loading = null;
+    let writing = Promise.resolve();
+
+    const load = () => {
+        loading ??= fs.readFile(path, 'utf8')
+            .then(content => new Map(JSON.parse(content).map(entry => [entry.id, entry])))
+            .catch(err => {
+                if (err.code === 'ENOENT') return new Map();
+                // Unreadable or corrupt file: let the next call try again
+                loading = null;
+                throw err;
+            });
+        return loading;
+    };
+
+    const update = async (change) => {
+        const entries = await load();
+        const run = writing.then(async () => {
+            change(entries);
+            const tmp = `${path}.${process.pid}.${crypto.randomUUID()}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify([...entries.values()]), { mode: 0o600 });
+            await fs.rename(tmp, path);
+        });
+        writing = run.catch(() => { });
+        return run;
+    };
+
+    return {
+        async list() {
+            return [...(await load()).values()].map(entry => ({ ...entry }));
+        },
+        put(entry) {
+            return update(entries => entries.set(entry.id, { ...entry }));
+        },
+        delete(id) {
+            return update(entries => entries.delete(id));
+        }
+    };
+}
+
+// ============================================================================
+// Main Client Class
+// ============================================================================
+
+/**
+ * ThorMail API Client - Professional, resilient, and lightweight
+ * 
+ * @example
+ * ```javascript
+ * import { ThorMailClient } from '@thormail/client';
+ * 
+ * const client = new ThorMailClient({
+ *   baseUrl: 'https://api.thormail.io',
+ *   workspaceId: 'your-workspace-id',
+ *   apiKey: 'your-api-key'
+ * });
+ * 
+ * // Send a single message
+ * const result = await client.send({
+ *   to: 'user@example.com',
+ *   templateId: 'welcome',
+ *   data: { name: 'John' }
+ * });
+ * console.log('Queued:', result.id);
+ * ```
+ */
+class ThorMailClient {
+    /** @type {string} */
+    #apiKey;
+
+    /** @type {string|null} */
+    #secondaryApiKey = null;
+
+    /** @type {ThorMailConfig} */
+    #config;
+
+    /** @type {ThorMailPool|null} */
+    #workspaces = null;
+
+    /** @type {RateLimitInfo|null} */
+    #lastRateLimit = null;
+
+    /** @type {typeof fetch|null} */
+    #fetch = null;
+
+    /** @type {ClientHooks[]} */
+    #hooks = [];
+
+    /** @type {ReturnType<typeof createTelemetry>} */
+    #telemetry;
+
+    /** @type {Logger|null} */
+    #logger = null;
+
+    /** @type {ReturnType<typeof createCircuitBreaker>} */
+    #circuit = null;
+
+    /** @type {ReturnType<typeof createRateLimiter>} */
+    #limiter = null;
+
+    /** @type {function(Object, string, ThorMailError): Promise<OutboxEntry>|null} */
+    #outboxStore = null;
+
+    /**
+     * Creates a new ThorMail client instance
+     * @param {ThorMailConfig} config - Client configuration
+     * @throws {Error} If required config options are missing
+     */
+    constructor(config) {
+        // Validate required fields
+        if (!config) {
+            throw new Error('ThorMailClient: Configuration object is required');
+        }
+        if (!config.baseUrl) {
+            throw new Error('ThorMailClient: baseUrl is required');
+        }
+        if (!config.workspaceId) {
+            throw new Error('ThorMailClient: workspaceId is required');
+        }
+        if (!config.apiKey) {
+            throw new Error('ThorMailClient: apiKey is required');
+        }
+        if (config.secondaryApiKey != null && typeof config.secondaryApiKey !== 'string') {
+            throw new Error('ThorMailClient: secondaryApiKey must be a string');
+        }
+
+        // Normalize and store config
+        this.baseUrl = config.baseUrl.replace(/\/+$/, ''); // Remove trailing slashes
+        this.workspaceId = String(config.workspaceId);
         this.#apiKey = config.apiKey;
+        this.#secondaryApiKey = config.secondaryApiKey || null;
+        this.#config = config;
         this.timeout = config.timeout ?? 30000;
         this.debug = config.debug ?? false;
+        this.autoIdempotency = config.autoIdempotency ?? false;
+        this.#fetch = config.fetch ?? null;
+        this.#telemetry = createTelemetry(config.telemetry);
+        this.#logger = config.logger ?? null;
+        this.redact = Object.freeze([...(config.redact ?? DEFAULT_REDACT_FIELDS)]);
+        this.#circuit = createCircuitBreaker(config.circuitBreaker, (msg, data, level) => this._log(msg, data, level));
+        this.#limiter = createRateLimiter(config.rateLimiter, (msg, data, level) => this._log(msg, data, level));
+
+        if (config.hooks) {
+            [].concat(config.hooks).forEach(hooks => this.use(hooks));
+        }
 
         /** @type {Required<RetryConfig>} */
         this.retryConfig = Object.freeze({
@@ -254,20 +1523,122 @@ class ThorMailClient {
             retryOnNetwork: config.retry?.retryOnNetwork ?? true
         });
 
+        /**
+         * Message history helpers
+         * @type {{ list: Function, search: Function, iterate: Function }}
+         */
+        this.messages = Object.freeze({
+            list: (filter, options) => this.listMessages(filter, options),
+            search: (query, filter, options) => this.searchMessages(query, filter, options),
+            iterate: (filter, options) => this._paginate((params, requestOptions) => this.listMessages(params, requestOptions), filter, options)
+        });
+
+        /**
+         * Template management (create, update, version, preview)
+         * @type {Object}
+         */
+        this.templates = this._createTemplatesApi();
+
+        /**
+         * Suppression list management
+         * @type {Object}
+         */
+        this.suppressions = this._createSuppressionsApi();
+
+        /**
+         * Durable outbox for sends that failed while the API was unavailable
+         * @type {Object|null}
+         */
+        this.outbox = config.outbox ? this._createOutbox(config.outbox) : null;
+
         this._log('Client initialized', { baseUrl: this.baseUrl, workspaceId: this.workspaceId });
     }
 
     /**
-     * Internal debug logger
+     * Internal logger. Sends redacted records to the configured `logger`,
+     * or to the console when `debug` is enabled and no logger is set.
      * @param {string} msg - Message to log
-     * @param {Object} [data] - Optional data to log
+     * @param {Object} [data] - Optional structured fields
+     * @param {'debug'|'info'|'warn'|'error'} [level='debug'] - Log level
      * @private
      */
-    _log(msg, data = null) {
+    _log(msg, data = null, level = 'debug') {
+        if (this.#logger) {
+            if (typeof this.#logger[level] === 'function') {
+                this.#logger[level]({ component: 'thormail', ...this._redact(data || {}) }, msg);
+            }
+            return;
+        }
         if (this.debug) {
             const timestamp = new Date().toISOString();
-            console.log(`[ThorMail ${timestamp}] ${msg}`, data ? JSON.stringify(data) : '');
+            console.log(`[ThorMail ${timestamp}] ${msg}`, data ? JSON.stringify(this._redact(data)) : '');
+        }
+    }
+
+    /**
+     * Returns a copy of a log record with redacted fields, query parameters
+     * and path segments replaced, and the API key masked everywhere
+     * @param {any} value - Value to redact
+     * @param {string} [key] - Key the value is stored under
+     * @returns {any}
+     * @private
+     */
+    _redact(value, key = null) {
+        if (key !== null && this.redact.includes(key)) {
+            return REDACTED;
+        }
+        if (typeof value === 'string') {
+            let masked = value.split(this.#apiKey).join(REDACTED);
+            if (this.#secondaryApiKey) {
+                masked = masked.split(this.#secondaryApiKey).join(REDACTED);
+            }
+            return key === 'endpoint' ? this._redactEndpoint(masked) : masked;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this._redact(item));
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const copy = {};
+            for (const [k, v] of Object.entries(value)) {
+                copy[k] = this._redact(v, k);
+            }
+            return copy;
+        }
+        return value;
+    }
+
+    /**
+     * Message of an error for a log record: API error messages are free text that
+     * can quote the recipient, so they are redacted along with the recipient fields
+     * @param {Error} err - Error to log
+     * @returns {string}
+     * @private
+     */
+    _errorMessage(err) {
+        const redactsRecipients = this.redact.includes('to') || this.redact.includes('address');
+        return redactsRecipients && API_ERRORS.has(err) ? REDACTED : err.message;
+    }
+
+    /**
+     * Redacts recipient data embedded in an endpoint (query parameters, suppression addresses)
+     * @param {string} endpoint - API endpoint
+     * @returns {string}
+     * @private
+     */
+    _redactEndpoint(endpoint) {
+        let [path, query] = endpoint.split('?');
+
+        if (this.redact.includes('address')) {
+            path = path.replace(/^(\/v1\/suppressions\/)(?!import$)[^/]+/, `$1${REDACTED}`);
         }
+        if (!query) {
+            return path;
+        }
+
+        const params = [...new URLSearchParams(query)].map(([name, value]) =>
+            `${encodeURIComponent(name)}=${this.redact.includes(name) ? REDACTED : encodeURIComponent(value)}`
+        );
+        return `${path}?${params.join('&')}`;
     }
 
     /**
@@ -285,37 +1656,126 @@ class ThorMailClient {
         };
     }
 
+    /**
+     * Picks a key not yet tried by this request: the current primary (if it was
+     * rotated meanwhile), then the secondary key
+     * @param {string[]} triedKeys - Keys already rejected for this request
+     * @returns {string|null} Key to try next, or null if none is left
+     * @private
+     */
+    _fallbackApiKey(triedKeys) {
+        return [this.#apiKey, this.#secondaryApiKey].find(key => key && !triedKeys.includes(key)) ?? null;
+    }
+
+    /**
+     * Promotes the secondary key after the primary key was rejected and the
+     * secondary one was accepted, then notifies the `onKeyRotation` hooks.
+     * Does nothing if a concurrent request already rotated the keys.
+     * @param {string} retiredKey - Key rejected with a 401
+     * @param {string} activeKey - Key accepted by the API
+     * @param {string} endpoint - Endpoint of the request
+     * @private
+     */
+    async _rotateApiKey(retiredKey, activeKey, endpoint) {
+        if (this.#apiKey !== retiredKey || this.#secondaryApiKey !== activeKey) {
+            return;
+        }
+        this.#apiKey = activeKey;
+        this.#secondaryApiKey = null;
+
+        const hint = key => key.length > 8 ? key.slice(-4) : REDACTED;
+        const context = {
+            workspaceId: this.workspaceId,
+            endpoint,
+            retiredKeyHint: hint(retiredKey),
+            activeKeyHint: hint(activeKey)
+        };
+        this._log('Primary API key rejected, secondary key promoted', context, 'warn');
+        await this._runHooks('onKeyRotation', context);
+    }
+
     /**
      * Calculates exponential backoff delay with jitter
      * @param {number} attempt - Current attempt (0-indexed)
      * @param {number} [serverRetryAfter] - Server-suggested delay in seconds
+     * @param {Required<RetryConfig>} [retryConfig] - Retry settings (defaults to the client's)
      * @returns {number} Delay in milliseconds
      * @private
      */
-    _calculateBackoff(attempt, serverRetryAfter = null) {
+    _calculateBackoff(attempt, serverRetryAfter = null, retryConfig = this.retryConfig) {
         // Respect server's Retry-After header if provided
         if (serverRetryAfter && serverRetryAfter > 0) {
-            return Math.min(serverRetryAfter * 1000, this.retryConfig.maxDelay);
+            return Math.min(serverRetryAfter * 1000, retryConfig.maxDelay);
         }
 
         // Exponential backoff: baseDelay * 2^attempt
-        const exponentialDelay = this.retryConfig.baseDelay * Math.pow(2, attempt);
+        const exponentialDelay = retryConfig.baseDelay * Math.pow(2, attempt);
 
         // Add jitter (±25%) to prevent thundering herd
         const jitter = exponentialDelay * 0.25 * (Math.random() * 2 - 1);
         const delay = exponentialDelay + jitter;
 
-        return Math.min(Math.max(delay, 0), this.retryConfig.maxDelay);
+        return Math.min(Math.max(delay, 0), retryConfig.maxDelay);
     }
 
     /**
      * Promise-based delay
      * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} [signal] - Rejects early with an ABORTED error when aborted
      * @returns {Promise<void>}
      * @private
      */
-    _delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    _delay(ms, signal = null) {
+        if (!signal) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(this._abortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this._abortError());
+            };
+            const timeoutId = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Creates the error thrown when a caller-provided signal aborts an operation
+     * @returns {ThorMailError}
+     * @private
+     */
+    _abortError() {
+        return new ThorMailError('Operation aborted', 0, 'ABORTED');
+    }
+
+    /**
+     * Computes how long to wait before the next request to avoid hitting a 429.
+     * Spreads the remaining requests evenly over the time left in the window.
+     * @returns {number} Delay in milliseconds (0 when not near the limit)
+     * @private
+     */
+    _rateLimitDelay() {
+        const info = this.getRateLimitInfo();
+        // The rate limiter already paces every request
+        if (this.#limiter || !info || !this.isNearRateLimit()) {
+            return 0;
+        }
+
+        const untilReset = info.reset * 1000 - Date.now();
+        if (untilReset <= 0) {
+            return 0;
+        }
+
+        const delay = info.remaining > 0 ? untilReset / info.remaining : untilReset;
+        return Math.min(delay, this.retryConfig.maxDelay);
     }
 
     /**
@@ -343,50 +1803,263 @@ class ThorMailClient {
      * Determines if an error should trigger a retry
      * @param {ThorMailError} error - The error to check
      * @param {number} attempt - Current attempt number
+     * @param {Required<RetryConfig>} [retryConfig] - Retry settings (defaults to the client's)
      * @returns {boolean}
      * @private
      */
-    _shouldRetry(error, attempt) {
-        if (attempt >= this.retryConfig.maxRetries) {
+    _shouldRetry(error, attempt, retryConfig = this.retryConfig) {
+        if (attempt >= retryConfig.maxRetries) {
             return false;
         }
 
         // Check timeout
-        if (error.isTimeout() && this.retryConfig.retryOnTimeout) {
+        if (error.isTimeout() && retryConfig.retryOnTimeout) {
             return true;
         }
 
         // Check network errors
-        if (error.isNetworkError() && this.retryConfig.retryOnNetwork) {
+        if (error.isNetworkError() && retryConfig.retryOnNetwork) {
             return true;
         }
 
         // Check status codes
-        return this.retryConfig.retryOn.includes(error.statusCode);
+        return retryConfig.retryOn.includes(error.statusCode);
+    }
+
+    /**
+     * Picks and validates the per-call overrides accepted by public methods
+     * @param {RequestOptions} [options] - Per-call options
+     * @returns {{signal?: AbortSignal, timeout?: number, retry?: RetryConfig}} Options for `_request`
+     * @throws {ThorMailError} If an override is invalid
+     * @private
+     */
+    _callOptions(options) {
+        if (!options) return {};
+        const { signal, timeout, retry } = options;
+        const picked = {};
+
+        if (signal !== undefined && signal !== null) {
+            if (typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function') {
+                throw new ThorMailError('Invalid "signal", must be an AbortSignal', 400, 'VALIDATION_ERROR');
+            }
+            picked.signal = signal;
+        }
+        if (timeout !== undefined) {
+            if (typeof timeout !== 'number' || !(timeout > 0)) {
+                throw new ThorMailError('Invalid "timeout", must be a positive number of milliseconds', 400, 'VALIDATION_ERROR');
+            }
+            picked.timeout = timeout;
+        }
+        if (retry !== undefined) {
+            if (retry !== false && (!retry || typeof retry !== 'object')) {
+                throw new ThorMailError('Invalid "retry", must be a retry config object or false', 400, 'VALIDATION_ERROR');
+            }
+            picked.retry = retry === false ? { maxRetries: 0 } : retry;
+        }
+        return picked;
+    }
+
+    /**
+     * Builds a query string from a params object, skipping empty values
+     * @param {Object} params - Query parameters
+     * @returns {string} Query string including the leading '?', or '' if empty
+     * @private
+     */
+    _buildQuery(params) {
+        const search = new URLSearchParams();
+
+        for (const [key, value] of Object.entries(params || {})) {
+            if (value === undefined || value === null || value === '') continue;
+
+            if (value instanceof Date) {
+                search.append(key, value.toISOString());
+            } else if (Array.isArray(value)) {
+                if (value.length > 0) search.append(key, value.join(','));
+            } else {
+                search.append(key, String(value));
+            }
+        }
+
+        const query = search.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Validates and normalizes a list filter (type, status, since/until, limit)
+     * @param {MessageFilter} [filter] - Filter to validate
+     * @returns {MessageFilter} Normalized filter (dates as ISO strings)
+     * @throws {ThorMailError} If the filter is invalid
+     * @private
+     */
+    _normalizeListFilter(filter = {}) {
+        if (typeof filter !== 'object' || filter === null) {
+            throw new ThorMailError('Filter must be an object', 400, 'VALIDATION_ERROR');
+        }
+
+        const normalized = { ...filter };
+
+        if (normalized.type && !MESSAGE_TYPES.includes(normalized.type)) {
+            throw new ThorMailError(
+                `Invalid "type" filter, must be one of: ${MESSAGE_TYPES.join(', ')}`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+
+        if (normalized.status) {
+            const statuses = Array.isArray(normalized.status) ? normalized.status : [normalized.status];
+            const invalid = statuses.find(s => !JOB_STATUSES.includes(s));
+            if (invalid) {
+                throw new ThorMailError(`Invalid "status" filter: ${invalid}`, 400, 'VALIDATION_ERROR');
+            }
+        }
+
+        for (const key of ['since', 'until']) {
+            if (normalized[key]) {
+                const date = new Date(normalized[key]);
+                if (isNaN(date.getTime())) {
+                    throw new ThorMailError(`Invalid "${key}" date format`, 400, 'VALIDATION_ERROR');
+                }
+                normalized[key] = date.toISOString();
+            }
+        }
+
+        if (normalized.since && normalized.until && normalized.since > normalized.until) {
+            throw new ThorMailError('"since" must be before "until"', 400, 'VALIDATION_ERROR');
+        }
+
+        if (normalized.limit !== undefined) {
+            if (!Number.isInteger(normalized.limit) || normalized.limit < 1 || normalized.limit > MAX_PAGE_SIZE) {
+                throw new ThorMailError(
+                    `Invalid "limit", must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+                    400,
+                    'VALIDATION_ERROR'
+                );
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Runs a lifecycle hook on every registered hook set.
+     * `onRequest` errors propagate; errors in the other hooks are logged and ignored.
+     * @param {'onRequest'|'onResponse'|'onRetry'|'onError'} name - Hook name
+     * @param {Object} context - Hook context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runHooks(name, context) {
+        for (const hooks of this.#hooks) {
+            if (typeof hooks[name] !== 'function') continue;
+
+            if (name === 'onRequest') {
+                await hooks[name](context);
+                continue;
+            }
+            try {
+                await hooks[name](context);
+            } catch (err) {
+                this._log(`${name} hook failed`, { error: err.message }, 'warn');
+            }
+        }
     }
 
     /**
      * Makes an HTTP request with retry logic and resilience
      * @param {string} endpoint - API endpoint (e.g., '/v1/send')
      * @param {Object} [body] - Request body (optional for GET)
-     * @param {Object} [options] - Request options
+     * @param {Object} [options] - Request options (`method`, `headers`, `operation`, plus the per-call `signal`, `timeout` and `retry`)
      * @returns {Promise<Object>} Response data
      * @throws {ThorMailError} If request fails after all retries
      * @private
      */
     async _request(endpoint, body, options = {}) {
+        const method = options.method || 'POST';
+        const state = { attempts: 0, status: null, rateLimit: null, startedAt: Date.now() };
+        const operation = this.#telemetry.startOperation(options.operation || 'request', { endpoint, method });
+        const requestOptions = { ...options, headers: { ...operation.headers, ...(options.headers || {}) } };
+
+        try {
+            const data = await operation.run(() => this._requestWithRetry(endpoint, body, requestOptions, state));
+            operation.end({ attempts: state.attempts, status: state.status, data, rateLimit: state.rateLimit });
+            return data;
+        } catch (err) {
+            operation.end({ attempts: state.attempts, status: state.status, error: err, rateLimit: state.rateLimit });
+            this._log('Request failed permanently', {
+                endpoint,
+                method,
+                attempts: state.attempts,
+                statusCode: err.statusCode ?? null,
+                durationMs: Date.now() - state.startedAt,
+                code: err.code ?? null,
+                error: this._errorMessage(err)
+            }, 'error');
+            await this._runHooks('onError', {
+                endpoint,
+                method,
+                attempts: state.attempts,
+                durationMs: Date.now() - state.startedAt,
+                error: err
+            });
+            throw err;
+        }
+    }
+
+    /**
+     * Retry loop behind `_request`
+     * @param {string} endpoint - API endpoint
+     * @param {Object} [body] - Request body
+     * @param {Object} options - Request options
+     * @param {{attempts: number, status: number|null, rateLimit: RateLimitInfo|null}} state - Updated with the attempts made, last HTTP status and last rate limit headers of this call
+     * @returns {Promise<Object>} Response data
+     * @throws {ThorMailError} If request fails after all retries
+     * @private
+     */
+    async _requestWithRetry(endpoint, body, options, state) {
         const url = `${this.baseUrl}${endpoint}`;
-        const headers = { ...this._buildHeaders(), ...(options.headers || {}) };
+        const { 'X-API-Key': initialKey, ...baseHeaders } = { ...this._buildHeaders(), ...(options.headers || {}) };
+        let apiKey = initialKey;
         const method = options.method || 'POST';
+        const retryConfig = options.retry ? { ...this.retryConfig, ...options.retry } : this.retryConfig;
+        const timeout = options.timeout ?? this.timeout;
+        const signal = options.signal ?? null;
+        const triedKeys = [initialKey];
+        let rejectedKey = null;
+        // The limiter's queue limit applies once per call, not to each retry
+        let admitted = false;
         let lastError = null;
 
-        for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
-            this._log(`Request attempt ${attempt + 1}/${this.retryConfig.maxRetries + 1}`, { endpoint, method });
+        for (let attempt = 0; attempt <= retryConfig.maxRetries; attempt++) {
+            if (signal?.aborted) {
+                throw this._abortError();
+            }
+            this._log(`Request attempt ${attempt + 1}/${retryConfig.maxRetries + 1}`, { endpoint, method, attempt: attempt + 1 });
+            state.attempts = attempt + 1;
+
+            // Hooks see (and may edit) the headers, but never the API key
+            const requestContext = { endpoint, method, attempt: attempt + 1, headers: { ...baseHeaders }, body: body ?? null };
+            await this._runHooks('onRequest', requestContext);
+            const headers = { ...requestContext.headers, 'X-API-Key': apiKey };
+
+            if (this.#limiter && !(await this.#limiter.acquire(signal, admitted))) {
+                throw this._abortError();
+            }
+            admitted = true;
+            const circuitError = this.#circuit?.acquire();
+            if (circuitError) {
+                this.#limiter?.release();
+                this._log('Circuit open, request refused', { endpoint, method, retryAfter: circuitError.retryAfter }, 'warn');
+                throw circuitError;
+            }
+            const attemptStartedAt = Date.now();
 
             try {
                 // Create abort controller for timeout
                 const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+                const timeoutId = setTimeout(() => controller.abort(), timeout);
+                const onAbort = () => controller.abort();
+                signal?.addEventListener('abort', onAbort, { once: true });
 
                 let response;
                 try {
@@ -401,15 +2074,27 @@ class ThorMailClient {
                         fetchOptions.body = JSON.stringify(body);
                     }
 
-                    response = await fetch(url, fetchOptions);
+                    response = await (this.#fetch ?? fetch)(url, fetchOptions);
                 } finally {
                     clearTimeout(timeoutId);
+                    signal?.removeEventListener('abort', onAbort);
+                    this.#limiter?.release();
+                }
+
+                state.status = response.status;
+
+                // Only a successful response proves the secondary key is active
+                if (rejectedKey && response.ok) {
+                    await this._rotateApiKey(rejectedKey, apiKey, endpoint);
+                    rejectedKey = null;
                 }
 
                 // Parse rate limit info
                 const rateLimit = this._parseRateLimitHeaders(response);
                 if (rateLimit) {
+                    state.rateLimit = rateLimit;
                     this.#lastRateLimit = rateLimit;
+                    this.#limiter?.update(rateLimit);
                 }
 
                 // Parse response body (handle empty responses)
@@ -423,9 +2108,31 @@ class ThorMailClient {
                     }
                 }
 
+                await this._runHooks('onResponse', {
+                    endpoint,
+                    method,
+                    attempt: attempt + 1,
+                    status: response.status,
+                    ok: response.ok,
+                    durationMs: Date.now() - attemptStartedAt,
+                    rateLimit,
+                    data
+                });
+
                 // Success - return data
                 if (response.ok) {
-                    this._log('Request successful', { status: response.status });
+                    this.#circuit?.success();
+                    if (response.headers.get('Idempotent-Replayed') === 'true' && data && typeof data === 'object') {
+                        data.deduplicated = true;
+                    }
+                    this._log('Request successful', {
+                        endpoint,
+                        method,
+                        attempt: attempt + 1,
+                        statusCode: response.status,
+                        durationMs: Date.now() - attemptStartedAt,
+                        queueId: data.id ?? null
+                    });
                     return data;
                 }
 
@@ -441,15 +2148,47 @@ class ThorMailClient {
                     retryAfterSeconds || data.retryAfter || null,
                     data.details || null
                 );
+                API_ERRORS.add(error);
+
+                // Hold every queued call, not just this one, until the API accepts requests again
+                if (error.isRateLimited() && error.retryAfter) {
+                    this.#limiter?.pause(error.retryAfter * 1000);
+                }
+
+                if (error.isRetryable()) {
+                    this.#circuit?.failure();
+                } else {
+                    this.#circuit?.success();
+                }
+
+                // Rejected key during a rotation: repeat the same attempt with the other key
+                const fallbackKey = error.isAuthError() ? this._fallbackApiKey(triedKeys) : null;
+                if (fallbackKey) {
+                    this._log('API key rejected, trying the secondary key', { endpoint, method, attempt: attempt + 1 }, 'warn');
+                    rejectedKey = rejectedKey ?? apiKey;
+                    apiKey = fallbackKey;
+                    triedKeys.push(fallbackKey);
+                    attempt--;
+                    continue;
+                }
 
-                this._log('Request failed', { status: response.status, error: error.message });
+                this._log('Request failed', {
+                    endpoint,
+                    method,
+                    attempt: attempt + 1,
+                    statusCode: response.status,
+                    durationMs: Date.now() - attemptStartedAt,
+                    code: error.code,
+                    error: this._errorMessage(error)
+                }, 'warn');
 
                 // Check if we should retry
-                if (this._shouldRetry(error, attempt)) {
+                if (this._shouldRetry(error, attempt, retryConfig)) {
                     lastError = error;
-                    const delay = this._calculateBackoff(attempt, error.retryAfter);
-                    this._log(`Retrying in ${delay}ms...`);
-                    await this._delay(delay);
+                    const delay = this._calculateBackoff(attempt, error.retryAfter, retryConfig);
+                    this._log(`Retrying in ${delay}ms...`, { endpoint, attempt: attempt + 1, delayMs: delay }, 'warn');
+                    await this._runHooks('onRetry', { endpoint, method, attempt: attempt + 1, delay, error });
+                    await this._delay(delay, signal);
                     continue;
                 }
 
@@ -457,19 +2196,27 @@ class ThorMailClient {
                 throw error;
 
             } catch (err) {
+                // Aborted by the caller: never retried
+                if (err.name === 'AbortError' && signal?.aborted) {
+                    this.#circuit?.release();
+                    throw this._abortError();
+                }
+
                 // Handle AbortError (timeout)
                 if (err.name === 'AbortError') {
                     const timeoutError = new ThorMailError(
-                        `Request timeout after ${this.timeout}ms`,
+                        `Request timeout after ${timeout}ms`,
                         0,
                         'TIMEOUT'
                     );
+                    this.#circuit?.failure();
 
-                    if (this._shouldRetry(timeoutError, attempt)) {
+                    if (this._shouldRetry(timeoutError, attempt, retryConfig)) {
                         lastError = timeoutError;
-                        const delay = this._calculateBackoff(attempt);
-                        this._log(`Timeout, retrying in ${delay}ms...`);
-                        await this._delay(delay);
+                        const delay = this._calculateBackoff(attempt, null, retryConfig);
+                        this._log(`Timeout, retrying in ${delay}ms...`, { endpoint, attempt: attempt + 1, delayMs: delay }, 'warn');
+                        await this._runHooks('onRetry', { endpoint, method, attempt: attempt + 1, delay, error: timeoutError });
+                        await this._delay(delay, signal);
                         continue;
                     }
                     throw timeoutError;
@@ -484,17 +2231,22 @@ class ThorMailClient {
                         null,
                         { originalError: err.message }
                     );
+                    this.#circuit?.failure();
 
-                    if (this._shouldRetry(networkError, attempt)) {
+                    if (this._shouldRetry(networkError, attempt, retryConfig)) {
                         lastError = networkError;
-                        const delay = this._calculateBackoff(attempt);
-                        this._log(`Network error, retrying in ${delay}ms...`);
-                        await this._delay(delay);
+                        const delay = this._calculateBackoff(attempt, null, retryConfig);
+                        this._log(`Network error, retrying in ${delay}ms...`, { endpoint, attempt: attempt + 1, delayMs: delay }, 'warn');
+                        await this._runHooks('onRetry', { endpoint, method, attempt: attempt + 1, delay, error: networkError });
+                        await this._delay(delay, signal);
                         continue;
                     }
                     throw networkError;
                 }
 
+                // Attempt ended without a response (e.g. a hook threw)
+                this.#circuit?.release();
+
                 // Re-throw ThorMailError as-is
                 if (err instanceof ThorMailError) {
                     throw err;
@@ -513,26 +2265,170 @@ class ThorMailClient {
 
         // All retries exhausted
         if (lastError) {
-            lastError.message = `${lastError.message} (after ${this.retryConfig.maxRetries} retries)`;
+            lastError.message = `${lastError.message} (after ${retryConfig.maxRetries} retries)`;
             throw lastError;
         }
 
         throw new ThorMailError(
-            `Request failed after ${this.retryConfig.maxRetries} retries`,
+            `Request failed after ${retryConfig.maxRetries} retries`,
             0,
             'MAX_RETRIES_EXCEEDED'
         );
     }
 
+    /**
+     * Validates a single batch recipient
+     * @param {RecipientObject} recipient - Recipient to validate
+     * @param {number} index - Position in the batch (for error messages)
+     * @param {string} [location] - Where the recipient came from in error messages (default: `index <index>`)
+     * @throws {ThorMailError} If the recipient is invalid
+     * @private
+     */
+    _validateRecipient(recipient, index, location = `index ${index}`) {
+        if (!recipient || typeof recipient !== 'object') {
+            throw new ThorMailError(
+                `Invalid recipient at ${location}`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+        if (!recipient.to || typeof recipient.to !== 'string' || recipient.to.trim() === '') {
+            throw new ThorMailError(
+                `Missing or invalid "to" field at ${location}`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+    }
+
+    /**
+     * Counts job status records by status
+     * @param {JobStatusRecord[]} records - Found jobs
+     * @param {number} total - IDs looked up, including unknown ones
+     * @returns {StatusSummary}
+     * @private
+     */
+    _summarizeStatuses(records, total) {
+        const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+        for (const record of records) {
+            const status = JOB_STATUSES.includes(record.status) ? record.status : 'unknown';
+            counts[status]++;
+        }
+        return {
+            total,
+            counts,
+            notFound: total - records.length,
+            complete: records.every(record => TERMINAL_JOB_STATUSES.includes(record.status))
+        };
+    }
+
+    /**
+     * Validates a caller-provided idempotency key, or generates one when
+     * `autoIdempotency` is enabled. The key is fixed for the logical call, so
+     * every retry attempt sends the same one.
+     * @param {*} key - Key provided by the caller
+     * @param {string} field - Field name used in validation errors
+     * @param {boolean} [required=false] - Generate a key even without `autoIdempotency`
+     * @returns {string|null} Key to send, or null
+     * @throws {ThorMailError} If the key is not a non-empty string
+     * @private
+     */
+    _resolveIdempotencyKey(key, field, required = false) {
+        if (key !== undefined && key !== null && (typeof key !== 'string' || key === '')) {
+            throw new ThorMailError(`Invalid "${field}" format, must be string`, 400, 'VALIDATION_ERROR');
+        }
+        return key || (this.autoIdempotency || required ? crypto.randomUUID() : null);
+    }
+
+    /**
+     * Normalizes 409 Conflict errors from job mutation endpoints into
+     * JOB_PROCESSING / JOB_ALREADY_SENT codes. Only conflicts that report the
+     * job status are relabelled; other conflicts keep the server's code.
+     * @param {Error} err - Error thrown by _request
+     * @returns {Error} The same error, with a normalized code when applicable
+     * @private
+     */
+    _normalizeJobStateError(err) {
+        if (err instanceof ThorMailError && err.statusCode === 409 && !JOB_LOCKED_CODES.includes(err.code)) {
+            const status = err.details?.status;
+            if (status === 'processing') {
+                err.code = 'JOB_PROCESSING';
+            } else if (TERMINAL_JOB_STATUSES.includes(status)) {
+                err.code = 'JOB_ALREADY_SENT';
+            }
+        }
+        return err;
+    }
+
+    /**
+     * Iterates over every item of a cursor-paginated endpoint
+     * @param {function(Object, Object): Promise<{data: Array, nextCursor: string|null, hasMore: boolean}>} fetchPage - Fetches one page for the given params and request options
+     * @param {Object} [params] - Base params (filters); `cursor` is managed by the paginator
+     * @param {PaginateOptions} [options] - Iteration options
+     * @returns {AsyncGenerator<any>}
+     * @throws {ThorMailError} If a page request fails or the signal is aborted
+     * @private
+     */
+    async *_paginate(fetchPage, params = {}, options = {}) {
+        const { signal = null } = options;
+        const requestOptions = this._callOptions(options);
+        let cursor = params.cursor ?? null;
+
+        do {
+            if (signal?.aborted) {
+                throw this._abortError();
+            }
+
+            // Slow down before the server starts answering with 429
+            const wait = this._rateLimitDelay();
+            if (wait > 0) {
+                this._log(`Near rate limit, pausing pagination for ${Math.round(wait)}ms`, { delayMs: Math.round(wait) }, 'warn');
+                await this._delay(wait, signal);
+            }
+
+            const page = await fetchPage({ ...params, cursor }, requestOptions);
+
+            for (const item of page.data || []) {
+                if (signal?.aborted) {
+                    throw this._abortError();
+                }
+                yield item;
+            }
+
+            cursor = page.hasMore ? page.nextCursor : null;
+        } while (cursor);
+    }
+
     // ==========================================================================
     // Public API Methods
     // ==========================================================================
 
+    /**
+     * Start a fluent, validated message. One recipient is sent with `send()`,
+     * several with `sendBatch()`.
+     *
+     * @returns {MessageBuilder} Builder bound to this client
+     *
+     * @example
+     * ```javascript
+     * await client.message()
+     *   .to('user@example.com')
+     *   .subject('Your invoice')
+     *   .template('invoice', { number: 'INV-42' })
+     *   .replyTo('billing@example.com')
+     *   .send();
+     * ```
+     */
+    message() {
+        return new MessageBuilder(this);
+    }
+
     /**
      * Send a single message
      * 
      * @param {MessagePayload} payload - Message payload
-     * @returns {Promise<SendResponse>} Response with queue ID
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<SendResponse>} Response with queue ID (`status: 'outboxed'` if stored in the outbox)
      * @throws {ThorMailError} If the request fails
      * 
      * @example
@@ -574,7 +2470,7 @@ class ThorMailClient {
      * });
      * ```
      */
-    async send(payload) {
+    async send(payload, options = {}) {
         // Validate required field
         if (!payload || typeof payload !== 'object') {
             throw new ThorMailError('Payload must be an object', 400, 'VALIDATION_ERROR');
@@ -591,26 +2487,40 @@ class ThorMailClient {
             }
         }
 
-        // Extract idempotency key if present
-        const { idempotencyKey, ...restPayload } = payload;
+        // Outbox replays must be deduplicated, so the key has to exist from the first attempt
+        const { idempotencyKey: providedKey, ...restPayload } = payload;
+        const idempotencyKey = this._resolveIdempotencyKey(providedKey, 'idempotencyKey', Boolean(this.outbox));
         const requestOptions = {};
 
         if (idempotencyKey) {
-            if (typeof idempotencyKey !== 'string') {
-                throw new ThorMailError('Invalid "idempotencyKey" format, must be string', 400, 'VALIDATION_ERROR');
-            }
             requestOptions.headers = {
                 'x-idempotency-key': idempotencyKey
             };
         }
 
-        return this._request('/v1/send', restPayload, requestOptions);
+        try {
+            const result = await this._request('/v1/send', restPayload, { ...this._callOptions(options), ...requestOptions, operation: 'send' });
+            return idempotencyKey ? { ...result, idempotencyKey, deduplicated: result.deduplicated === true } : result;
+        } catch (err) {
+            if (!this.outbox || !this._isOutboxable(err)) throw err;
+            let entry;
+            try {
+                entry = await this.#outboxStore(restPayload, idempotencyKey, err);
+            } catch (storageError) {
+                // The caller must learn that the send failed, not just that storage did
+                this._log('Send could not be stored in outbox', { code: err.code ?? null, error: storageError.message }, 'error');
+                err.details = { ...(err.details || {}), outboxError: storageError };
+                throw err;
+            }
+            return { id: null, status: 'outboxed', outboxId: entry.id, idempotencyKey };
+        }
     }
 
     /**
      * Send multiple messages in a single batch (more efficient than multiple send() calls)
      * 
      * @param {BatchPayload} payload - Batch payload
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
      * @returns {Promise<BatchResponse>} Response with queue IDs
      * @throws {ThorMailError} If the request fails
      * 
@@ -629,7 +2539,7 @@ class ThorMailClient {
      * console.log('Queue IDs:', result.ids);
      * ```
      */
-    async sendBatch(payload) {
+    async sendBatch(payload, options = {}) {
         // Validate payload
         if (!payload || typeof payload !== 'object') {
             throw new ThorMailError('Payload must be an object', 400, 'VALIDATION_ERROR');
@@ -642,9 +2552,9 @@ class ThorMailClient {
         if (payload.emails.length === 0) {
             throw new ThorMailError('The "emails" array cannot be empty', 400, 'VALIDATION_ERROR');
         }
-        if (payload.emails.length > 500) {
+        if (payload.emails.length > MAX_BATCH_SIZE) {
             throw new ThorMailError(
-                `Batch size ${payload.emails.length} exceeds maximum of 500`,
+                `Batch size ${payload.emails.length} exceeds maximum of ${MAX_BATCH_SIZE}`,
                 400,
                 'BATCH_SIZE_EXCEEDED'
             );
@@ -652,116 +2562,2072 @@ class ThorMailClient {
 
         // Validate each recipient
         for (let i = 0; i < payload.emails.length; i++) {
-            const recipient = payload.emails[i];
-            if (!recipient || typeof recipient !== 'object') {
-                throw new ThorMailError(
-                    `Invalid recipient at index ${i}`,
-                    400,
-                    'VALIDATION_ERROR'
-                );
-            }
-            if (!recipient.to || typeof recipient.to !== 'string' || recipient.to.trim() === '') {
-                throw new ThorMailError(
-                    `Missing or invalid "to" field at index ${i}`,
-                    400,
-                    'VALIDATION_ERROR'
-                );
-            }
+            this._validateRecipient(payload.emails[i], i);
         }
 
-        return this._request('/v1/send-batch', payload);
+        // Keys are resolved once, so retries of this call resend the same ones
+        const { idempotencyKey: providedKey, ...restPayload } = payload;
+        const idempotencyKey = this._resolveIdempotencyKey(providedKey, 'idempotencyKey');
+        const emails = payload.emails.map((recipient, i) => {
+            const key = this._resolveIdempotencyKey(recipient.idempotencyKey, `emails[${i}].idempotencyKey`);
+            return key ? { ...recipient, idempotencyKey: key } : recipient;
+        });
+
+        const result = await this._request('/v1/send-batch', { ...restPayload, emails }, {
+            ...this._callOptions(options),
+            headers: idempotencyKey ? { 'x-idempotency-key': idempotencyKey } : {},
+            operation: 'send_batch'
+        });
+        return idempotencyKey ? { ...result, deduplicated: result.deduplicated === true } : result;
     }
 
     /**
-     * Check the status of a specific job
-     * 
-     * @param {string|number} id - Job ID
-     * @returns {Promise<Object>} Job status and details
-     * @throws {ThorMailError} If the request fails
-     * 
+     * Send to any number of recipients by splitting them into 500-recipient batches
+     *
+     * Chunks run with bounded concurrency and pause when the client is close to its
+     * rate limit. By default the bulk send stops scheduling new chunks after the first
+     * failed chunk; the returned `cursor` is the offset to resume from. With
+     * `concurrency > 1`, chunks that were already in flight past that offset may have
+     * been queued too: check `chunks` before resuming if duplicates matter.
+     *
+     * @param {BatchPayload} payload - Batch payload (no 500-recipient limit)
+     * @param {BulkOptions} [options] - Chunking and concurrency options
+     * @returns {Promise<BulkResponse>} Aggregated result with per-chunk outcomes
+     * @throws {ThorMailError} If the payload or options are invalid
+     *
      * @example
      * ```javascript
-     * const status = await client.status('12345');
-     * console.log('Job Status:', status);
+     * const result = await client.sendBulk({
+     *   templateId: 'newsletter',
+     *   emails: subscribers.map(s => ({ to: s.email, data: { name: s.name } }))
+     * }, { concurrency: 3 });
+     *
+     * console.log(`Queued ${result.queued}/${result.total}`);
+     *
+     * // Resume later if it stopped midway
+     * if (result.cursor !== null) {
+     *   await client.sendBulk(payload, { cursor: result.cursor });
+     * }
      * ```
      */
-    async status(id) {
-        if (!id) {
-            throw new ThorMailError('Job ID is required', 400, 'VALIDATION_ERROR');
+    async sendBulk(payload, options = {}) {
+        if (!payload || typeof payload !== 'object') {
+            throw new ThorMailError('Payload must be an object', 400, 'VALIDATION_ERROR');
+        }
+        if (!payload.emails || !Array.isArray(payload.emails)) {
+            throw new ThorMailError('Missing or invalid "emails" array', 400, 'VALIDATION_ERROR');
+        }
+        if (payload.emails.length === 0) {
+            throw new ThorMailError('The "emails" array cannot be empty', 400, 'VALIDATION_ERROR');
         }
-        return this._request(`/v1/status/${id}`, null, { method: 'GET' });
-    }
 
-    // ==========================================================================
-    // Configuration & Utility Methods
-    // ==========================================================================
+        const chunkSize = options.chunkSize ?? MAX_BATCH_SIZE;
+        const concurrency = options.concurrency ?? 2;
+        const startOffset = options.cursor ?? 0;
+        const stopOnError = options.stopOnError ?? true;
+        const { signal = null, onProgress = null } = options;
+        const requestOptions = this._callOptions({ signal, timeout: options.timeout, retry: options.retry });
 
-    /**
-     * Update client configuration dynamically
-     * 
-     * @param {Partial<ThorMailConfig>} config - Configuration to update
-     * @returns {ThorMailClient} Returns this for chaining
-     * 
-     * @example
-     * ```javascript
-     * client.configure({ timeout: 60000 });
-     * client.configure({ apiKey: 'new-api-key' });
-     * ```
-     */
-    configure(config) {
-        if (config.baseUrl) {
-            this.baseUrl = config.baseUrl.replace(/\/+$/, '');
-        }
-        if (config.workspaceId) {
-            this.workspaceId = String(config.workspaceId);
+        if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_BATCH_SIZE) {
+            throw new ThorMailError(
+                `Invalid "chunkSize", must be an integer between 1 and ${MAX_BATCH_SIZE}`,
+                400,
+                'VALIDATION_ERROR'
+            );
         }
-        if (config.apiKey) {
-            this.#apiKey = config.apiKey;
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new ThorMailError('Invalid "concurrency", must be a positive integer', 400, 'VALIDATION_ERROR');
         }
-        if (typeof config.timeout === 'number') {
-            this.timeout = config.timeout;
+        if (!Number.isInteger(startOffset) || startOffset < 0 || startOffset >= payload.emails.length) {
+            throw new ThorMailError('Invalid "cursor", out of range for "emails"', 400, 'VALIDATION_ERROR');
         }
-        if (typeof config.debug === 'boolean') {
-            this.debug = config.debug;
+
+        // Validate everything up front so a bad row never leaves a half-sent list
+        for (let i = startOffset; i < payload.emails.length; i++) {
+            this._validateRecipient(payload.emails[i], i);
         }
-        if (config.retry) {
-            this.retryConfig = Object.freeze({
-                ...this.retryConfig,
-                ...config.retry
-            });
+
+        const { emails, idempotencyKey: providedKey, ...shared } = payload;
+        // One base key for the whole list: chunk and recipient keys derive from it by
+        // offset, so resuming from `cursor` with the same base reuses the same keys
+        const idempotencyKey = this._resolveIdempotencyKey(providedKey, 'idempotencyKey');
+        const offsets = [];
+        for (let offset = startOffset; offset < emails.length; offset += chunkSize) {
+            offsets.push(offset);
         }
-        return this;
-    }
 
-    /**
-     * Get the last known rate limit information
-     * @returns {RateLimitInfo|null}
-     */
-    getRateLimitInfo() {
-        return this.#lastRateLimit;
-    }
+        /** @type {BulkChunkResult[]} */
+        const chunks = [];
+        let next = 0;
+        let stopped = false;
+        let queued = 0;
+        let failed = 0;
 
-    /**
-     * Check if the client is likely to be rate limited
-     * @returns {boolean}
-     */
-    isNearRateLimit() {
-        if (!this.#lastRateLimit) return false;
-        return this.#lastRateLimit.remaining <= 10;
-    }
+        const worker = async () => {
+            while (!stopped && next < offsets.length) {
+                if (signal?.aborted) {
+                    stopped = true;
+                    break;
+                }
 
-    /**
+                const wait = this._rateLimitDelay();
+                if (wait > 0) {
+                    this._log(`Near rate limit, pausing bulk send for ${Math.round(wait)}ms`, { delayMs: Math.round(wait) }, 'warn');
+                    try {
+                        await this._delay(wait, signal);
+                    } catch {
+                        stopped = true;
+                        break;
+                    }
+                    if (stopped) break;
+                }
+
+                const index = next++;
+                const offset = offsets[index];
+                const slice = this.autoIdempotency
+                    ? emails.slice(offset, offset + chunkSize).map((recipient, i) => (
+                        recipient.idempotencyKey ? recipient : { ...recipient, idempotencyKey: `${idempotencyKey}:r${offset + i}` }
+                    ))
+                    : emails.slice(offset, offset + chunkSize);
+
+                try {
+                    // A bulk key is scoped per chunk so resuming from `cursor` reuses it
+                    const chunkKey = idempotencyKey ? { idempotencyKey: `${idempotencyKey}:${offset}` } : {};
+                    const response = await this.sendBatch({ ...shared, ...chunkKey, emails: slice }, requestOptions);
+                    chunks[index] = { index, offset, size: slice.length, status: 'fulfilled', ids: response.ids || [] };
+                    queued += response.count ?? slice.length;
+                } catch (err) {
+                    chunks[index] = { index, offset, size: slice.length, status: 'rejected', error: err };
+                    failed += slice.length;
+                    this._log('Bulk chunk failed', { index, offset, code: err.code, error: this._errorMessage(err) }, 'warn');
+                    if (stopOnError) {
+                        stopped = true;
+                    }
+                }
+
+                // A throwing callback must not stop this worker while the others keep sending
+                if (onProgress) {
+                    try {
+                        onProgress({ completedChunks: chunks.filter(Boolean).length, totalChunks: offsets.length, queued, failed });
+                    } catch (err) {
+                        this._log('onProgress callback failed', { error: err.message }, 'warn');
+                    }
+                }
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, offsets.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        // Resume from the first chunk that was not queued (failed or never attempted)
+        let resumeIndex = 0;
+        while (resumeIndex < next && chunks[resumeIndex].status === 'fulfilled') {
+            resumeIndex++;
+        }
+        const cursor = resumeIndex < offsets.length ? offsets[resumeIndex] : null;
+        const status = failed === 0 && cursor === null ? 'completed' : (queued === 0 ? 'failed' : 'partial');
+
+        return {
+            status,
+            total: emails.length - startOffset,
+            queued,
+            failed,
+            ids: chunks.flatMap(chunk => chunk.ids || []),
+            chunks,
+            cursor,
+            ...(idempotencyKey ? { idempotencyKey } : {})
+        };
+    }
+
+    /**
+     * Send to every row of a CSV or NDJSON stream in 500-row batches
+     *
+     * Rows are mapped to recipients (the `to` column, everything else into `data`),
+     * validated like `sendBatch()` recipients and sent one batch at a time while the
+     * input is read, so files of any size use constant memory. Invalid rows are
+     * skipped and written to `rejects` with the reason. CSV rejects keep the input
+     * columns plus an `error` column; NDJSON rejects are `{ row, error, data }` lines.
+     *
+     * NDJSON rows that have a `data` object are used as-is (`{ "to": ..., "data": {...} }`).
+     *
+     * @param {AsyncIterable<string|Uint8Array>} input - Readable stream (e.g. `fs.createReadStream()`)
+     * @param {Omit<BatchPayload, 'emails'>} [payload] - Fields shared by every recipient (templateId, subject...)
+     * @param {SendStreamOptions} [options] - Format, column mapping, rejects and batching options
+     * @returns {Promise<SendStreamResponse>} Counts, per-batch outcomes and a resume cursor
+     * @throws {ThorMailError} If the arguments are invalid or the CSV header has no recipient column
+     *
+     * @example
+     * ```javascript
+     * const result = await client.sendStream(fs.createReadStream('recipients.csv'), {
+     *   templateId: 'newsletter'
+     * }, {
+     *   to: 'email',
+     *   data: ['first_name', 'plan'],
+     *   rejects: 'recipients.rejects.csv',
+     *   onProgress: p => console.log(`${p.queued} queued, ${p.rejected} rejected`)
+     * });
+     *
+     * // Resume later if a batch failed
+     * if (result.cursor !== null) {
+     *   await client.sendStream(fs.createReadStream('recipients.csv'), payload, { cursor: result.cursor });
+     * }
+     * ```
+     */
+    async sendStream(input, payload = {}, options = {}) {
+        if (!input || typeof input[Symbol.asyncIterator] !== 'function') {
+            throw new ThorMailError('Input must be a readable stream or async iterable', 400, 'VALIDATION_ERROR');
+        }
+        if (!payload || typeof payload !== 'object') {
+            throw new ThorMailError('Payload must be an object', 400, 'VALIDATION_ERROR');
+        }
+        if (payload.emails !== undefined) {
+            throw new ThorMailError('Recipients come from the input, remove "emails" from the payload', 400, 'VALIDATION_ERROR');
+        }
+
+        const format = options.format ?? 'csv';
+        const delimiter = options.delimiter ?? ',';
+        const toField = options.to ?? 'to';
+        const dataFields = options.data ?? null;
+        const batchSize = options.batchSize ?? MAX_BATCH_SIZE;
+        const startCursor = options.cursor ?? 0;
+        const stopOnError = options.stopOnError ?? true;
+        const { map = null, rejects = null, signal = null, onProgress = null } = options;
+        const requestOptions = this._callOptions({ signal, timeout: options.timeout, retry: options.retry });
+
+        if (format !== 'csv' && format !== 'ndjson') {
+            throw new ThorMailError('Invalid "format", must be "csv" or "ndjson"', 400, 'VALIDATION_ERROR');
+        }
+        if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+            throw new ThorMailError('Invalid "delimiter", must be a single character', 400, 'VALIDATION_ERROR');
+        }
+        if (dataFields !== null && (!Array.isArray(dataFields) || dataFields.some(f => typeof f !== 'string'))) {
+            throw new ThorMailError('Invalid "data", must be an array of column names', 400, 'VALIDATION_ERROR');
+        }
+        if (map !== null && typeof map !== 'function') {
+            throw new ThorMailError('Invalid "map", must be a function', 400, 'VALIDATION_ERROR');
+        }
+        if (rejects !== null && typeof rejects !== 'string' && typeof rejects?.write !== 'function') {
+            throw new ThorMailError('Invalid "rejects", must be a file path or a writable stream', 400, 'VALIDATION_ERROR');
+        }
+        if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+            throw new ThorMailError(
+                `Invalid "batchSize", must be an integer between 1 and ${MAX_BATCH_SIZE}`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+        if (!Number.isInteger(startCursor) || startCursor < 0) {
+            throw new ThorMailError('Invalid "cursor", must be a non-negative integer', 400, 'VALIDATION_ERROR');
+        }
+
+        const { idempotencyKey: providedKey, ...shared } = payload;
+        // Batch and recipient keys derive from one base key by row number, like in sendBulk()
+        const idempotencyKey = this._resolveIdempotencyKey(providedKey, 'idempotencyKey');
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const toRecipient = map ?? ((row) => {
+            const { [toField]: to, ...rest } = row;
+            const recipient = { to: typeof to === 'string' ? to.trim() : to };
+            const data = format === 'ndjson' && dataFields === null && isPlainObject(row.data)
+                ? row.data
+                : Object.fromEntries(Object.entries(rest).filter(([name, value]) =>
+                    (dataFields === null || dataFields.includes(name)) && value !== undefined && value !== ''));
+            if (Object.keys(data).length > 0) {
+                recipient.data = data;
+            }
+            return recipient;
+        });
+
+        // Rejects are written in the input format; the file is only created when a row is rejected,
+        // and appended to when resuming from a cursor
+        let header = null;
+        let rejectsStream = null;
+        let pending = [];
+        const writeRejects = (text) => new Promise((resolve, reject) => {
+            rejectsStream.write(text, err => err ? reject(err) : resolve());
+        });
+        const writeReject = async ({ rowNumber, record, message }) => {
+            if (rejectsStream === null) {
+                let append = false;
+                if (typeof rejects === 'string') {
+                    const fs = require('node:fs');
+                    append = startCursor > 0 && fs.existsSync(rejects) && fs.statSync(rejects).size > 0;
+                    rejectsStream = fs.createWriteStream(rejects, { flags: append ? 'a' : 'w', mode: 0o600 });
+                    // Write errors are reported through the write callbacks
+                    rejectsStream.on('error', () => { });
+                } else {
+                    rejectsStream = rejects;
+                }
+                if (format === 'csv' && !append) {
+                    await writeRejects(`${formatCsvRecord([...(header ?? []), 'error'], delimiter)}\n`);
+                }
+            }
+            // Short CSV rows are padded so the error stays in the `error` column
+            const fields = format === 'csv' ? [...record, ...new Array(Math.max(0, (header?.length ?? 0) - record.length)).fill('')] : null;
+            await writeRejects(format === 'csv'
+                ? `${formatCsvRecord([...fields, message], delimiter)}\n`
+                : `${JSON.stringify({ row: rowNumber, error: message, data: record })}\n`);
+        };
+
+        // A row rejected while a batch is pending waits for that batch: if the import stops
+        // there, rows after the returned cursor are read again on resume and must not be written twice
+        const deferred = [];
+        const reject = async (rowNumber, record, message) => {
+            if (pending.length > 0 || deferred.length > 0) {
+                deferred.push({ rowNumber, record, message });
+            } else if (rejects !== null) {
+                await writeReject({ rowNumber, record, message });
+            }
+        };
+        // Writes the deferred rows up to `lastRow`, drops the others; returns how many were dropped
+        const settle = async (lastRow = Infinity) => {
+            const ready = deferred.filter(item => item.rowNumber <= lastRow).sort((a, b) => a.rowNumber - b.rowNumber);
+            const dropped = deferred.length - ready.length;
+            deferred.length = 0;
+            if (rejects !== null) {
+                for (const item of ready) {
+                    await writeReject(item);
+                }
+            }
+            return dropped;
+        };
+
+        /** @type {SendStreamBatchResult[]} */
+        const batches = [];
+        let rowNumber = 0;
+        let rows = 0;
+        let queued = 0;
+        let rejected = 0;
+        let failed = 0;
+        let cursor = null;
+
+        const progress = () => {
+            if (!onProgress) return;
+            try {
+                onProgress({ rows, queued, rejected, failed, batches: batches.length });
+            } catch (err) {
+                this._log('onProgress callback failed', { error: err.message }, 'warn');
+            }
+        };
+
+        // Sends the pending rows; returns false when the import must stop
+        const flush = async () => {
+            if (pending.length === 0) {
+                await settle();
+                return true;
+            }
+            const batch = pending;
+            pending = [];
+            const index = batches.length;
+            const firstRow = batch[0].rowNumber;
+
+            try {
+                // A batch key is scoped per batch so resuming from `cursor` reuses it
+                const batchKey = idempotencyKey ? { idempotencyKey: `${idempotencyKey}:${firstRow}` } : {};
+                const emails = batch.map(({ rowNumber, recipient }) => (
+                    this.autoIdempotency && !recipient.idempotencyKey
+                        ? { ...recipient, idempotencyKey: `${idempotencyKey}:r${rowNumber}` }
+                        : recipient
+                ));
+                const response = await this.sendBatch({ ...shared, ...batchKey, emails }, requestOptions);
+                batches.push({ index, firstRow, size: batch.length, status: 'fulfilled', ids: response.ids || [] });
+                queued += response.count ?? batch.length;
+            } catch (err) {
+                if (err.isAborted?.()) {
+                    cursor = firstRow - 1;
+                    return false;
+                }
+                batches.push({ index, firstRow, size: batch.length, status: 'rejected', error: err });
+                this._log('Stream batch failed', { index, firstRow, code: err.code, error: this._errorMessage(err) }, 'warn');
+                if (stopOnError) {
+                    cursor = firstRow - 1;
+                    failed += batch.length;
+                    progress();
+                    return false;
+                }
+                failed += batch.length;
+                for (const item of batch) {
+                    await reject(item.rowNumber, item.record, err.message);
+                }
+            }
+            await settle();
+            progress();
+            return true;
+        };
+
+        // Maps, validates and queues one parsed record; returns false when the import must stop
+        const handle = async (record) => {
+            if (format === 'csv' && header === null) {
+                header = record.map((name, i) => (i === 0 ? name.replace(/^\uFEFF/, '') : name).trim());
+                if (map === null && !header.includes(toField)) {
+                    throw new ThorMailError(
+                        `CSV header has no "${toField}" column (columns: ${header.join(', ')})`,
+                        400,
+                        'VALIDATION_ERROR'
+                    );
+                }
+                return true;
+            }
+
+            rowNumber++;
+            if (rowNumber <= startCursor) return true;
+            rows++;
+
+            let original = record;
+            let recipient;
+            try {
+                let row;
+                if (format === 'csv') {
+                    if (record.length > header.length) {
+                        throw new Error(`Row ${rowNumber} has ${record.length} fields, the header has ${header.length}`);
+                    }
+                    row = Object.fromEntries(header.map((name, i) => [name, record[i]]));
+                } else {
+                    try {
+                        row = JSON.parse(record);
+                    } catch (err) {
+                        throw new Error(`Row ${rowNumber} is not valid JSON: ${err.message}`);
+                    }
+                    if (!isPlainObject(row)) {
+                        throw new Error(`Row ${rowNumber} is not a JSON object`);
+                    }
+                    original = row;
+                }
+                recipient = toRecipient(row, rowNumber);
+                this._validateRecipient(recipient, rowNumber - 1, `row ${rowNumber}`);
+            } catch (err) {
+                rejected++;
+                await reject(rowNumber, original, err.message);
+                return true;
+            }
+
+            pending.push({ rowNumber, record: original, recipient });
+            return pending.length < batchSize || flush();
+        };
+
+        const parser = format === 'csv' ? createCsvParser(delimiter) : createNdjsonParser();
+        const decoder = new TextDecoder();
+        let stopped = false;
+
+        try {
+            for await (const chunk of input) {
+                const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+                for (const record of parser.push(text)) {
+                    if (signal?.aborted || !(await handle(record))) {
+                        stopped = true;
+                        break;
+                    }
+                }
+                if (stopped) break;
+            }
+
+            if (!stopped) {
+                const tail = parser.push(decoder.decode());
+                let last = [];
+                try {
+                    last = parser.end();
+                } catch (err) {
+                    // Unterminated quote: the rest of the input is one broken row
+                    rowNumber++;
+                    rows++;
+                    rejected++;
+                    await reject(rowNumber, err.details?.record ?? [], err.message);
+                }
+                for (const record of [...tail, ...last]) {
+                    if (signal?.aborted || !(await handle(record))) {
+                        stopped = true;
+                        break;
+                    }
+                }
+            }
+            if (!stopped && !signal?.aborted) {
+                stopped = !(await flush());
+            }
+            if (cursor === null && (stopped || signal?.aborted) && pending.length > 0) {
+                cursor = pending[0].rowNumber - 1;
+            }
+            if (cursor === null && signal?.aborted) {
+                cursor = rowNumber;
+            }
+            // Rows after the cursor are read again on resume: their rejects are written then
+            rejected -= await settle(cursor ?? Infinity);
+        } finally {
+            if (rejectsStream !== null && typeof rejects === 'string') {
+                await new Promise(resolve => rejectsStream.end(resolve));
+            }
+        }
+        const status = failed === 0 && cursor === null ? 'completed' : (queued === 0 ? 'failed' : 'partial');
+
+        return {
+            status,
+            rows,
+            queued,
+            rejected,
+            failed,
+            ids: batches.flatMap(batch => batch.ids || []),
+            batches,
+            cursor,
+            ...(idempotencyKey ? { idempotencyKey } : {})
+        };
+    }
+
+    /**
+     * Check the status of a specific job
+     * 
+     * @param {string|number} id - Job ID
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<Object>} Job status and details
+     * @throws {ThorMailError} If the request fails
+     * 
+     * @example
+     * ```javascript
+     * const status = await client.status('12345');
+     * console.log('Job Status:', status);
+     * ```
+     */
+    async status(id, options = {}) {
+        if (!id) {
+            throw new ThorMailError('Job ID is required', 400, 'VALIDATION_ERROR');
+        }
+        return this._request(`/v1/status/${id}`, null, { ...this._callOptions(options), method: 'GET', operation: 'status' });
+    }
+
+    /**
+     * Get the status of many jobs at once, in chunks of 500 IDs. Repeated IDs
+     * are looked up and counted once, in the order they first appear
+     *
+     * @param {Array<string|number>} ids - Job IDs (e.g. `BatchResponse.ids`)
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<StatusManyResponse>} Per-job status and a summary by status
+     * @throws {ThorMailError} If the request fails
+     *
+     * @example
+     * ```javascript
+     * const batch = await client.sendBatch({ ... });
+     * const { data, summary } = await client.statusMany(batch.ids);
+     * console.log(`${summary.counts.success} delivered, ${summary.counts.bounced} bounced`);
+     * ```
+     */
+    async statusMany(ids, options = {}) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new ThorMailError('Missing or empty "ids" array', 400, 'VALIDATION_ERROR');
+        }
+        const invalidIndex = ids.findIndex(id => !id || (typeof id !== 'string' && typeof id !== 'number'));
+        if (invalidIndex !== -1) {
+            throw new ThorMailError(`Invalid job ID at index ${invalidIndex}`, 400, 'VALIDATION_ERROR');
+        }
+
+        // 42 and '42' are the same job
+        const seen = new Set();
+        const unique = ids.filter(id => !seen.has(String(id)) && seen.add(String(id)));
+
+        const requestOptions = { ...this._callOptions(options), operation: 'status_batch' };
+        const found = new Map();
+        for (let offset = 0; offset < unique.length; offset += MAX_BATCH_SIZE) {
+            const chunk = unique.slice(offset, offset + MAX_BATCH_SIZE);
+            const response = await this._request('/v1/status-batch', { ids: chunk }, requestOptions);
+            for (const record of response.data || []) {
+                found.set(String(record.id), record);
+            }
+        }
+
+        const data = [];
+        const notFound = [];
+        for (const id of unique) {
+            const record = found.get(String(id));
+            if (record) {
+                data.push(record);
+            } else {
+                notFound.push(id);
+            }
+        }
+        return { data, notFound, summary: this._summarizeStatuses(data, unique.length) };
+    }
+
+    /**
+     * Summarize how a batch went: counts by status for every queue ID it returned
+     *
+     * @param {BatchResponse|BulkResponse} batch - Result of sendBatch() or sendBulk()
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<StatusSummary>} Counts by status
+     * @throws {ThorMailError} If the request fails
+     *
+     * @example
+     * ```javascript
+     * const batch = await client.sendBatch({ ... });
+     * const summary = await client.batchSummary(batch);
+     * if (summary.complete) console.log(summary.counts);
+     * ```
+     */
+    async batchSummary(batch, options = {}) {
+        if (!batch || !Array.isArray(batch.ids)) {
+            throw new ThorMailError('Missing or invalid batch response ("ids" array)', 400, 'VALIDATION_ERROR');
+        }
+        if (batch.ids.length === 0) {
+            return this._summarizeStatuses([], 0);
+        }
+        return (await this.statusMany(batch.ids, options)).summary;
+    }
+
+    /**
+     * Poll the status of a job until it reaches one of the expected statuses
+     *
+     * Polls immediately, then backs off (`interval` x1.5 per poll, up to `maxInterval`).
+     * API errors are not swallowed: a failing `status()` call rejects the wait.
+     *
+     * @param {string|number} id - Job ID
+     * @param {WaitForStatusOptions} [options] - Target statuses, timeout and polling
+     * @returns {Promise<Object>} The first status response whose status is in `until`
+     * @throws {ThorMailError} WAIT_TIMEOUT if `timeout` elapses, ABORTED if `signal` aborts
+     *
+     * @example
+     * ```javascript
+     * const { id } = await client.send({ to: 'user@example.com', templateId: 'welcome' });
+     * try {
+     *   const final = await client.waitForStatus(id, { timeout: 30000 });
+     *   console.log('Delivered?', final.status === 'success');
+     * } catch (error) {
+     *   if (error.isWaitTimeout()) console.log('Still', error.details.lastStatus);
+     * }
+     * ```
+     */
+    async waitForStatus(id, options = {}) {
+        if (!id) {
+            throw new ThorMailError('Job ID is required', 400, 'VALIDATION_ERROR');
+        }
+        const {
+            until = TERMINAL_JOB_STATUSES,
+            timeout = 60000,
+            interval = 1000,
+            maxInterval = 10000,
+            signal = null
+        } = options;
+        const requestOptions = this._callOptions({ signal, timeout: options.requestTimeout, retry: options.retry });
+
+        const statuses = [].concat(until);
+        if (statuses.length === 0) {
+            throw new ThorMailError('The "until" statuses cannot be empty', 400, 'VALIDATION_ERROR');
+        }
+        const invalid = statuses.find(status => !JOB_STATUSES.includes(status));
+        if (invalid !== undefined) {
+            throw new ThorMailError(
+                `Invalid "until" status "${invalid}", expected one of: ${JOB_STATUSES.join(', ')}`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+        for (const [name, value] of [['timeout', timeout], ['interval', interval], ['maxInterval', maxInterval]]) {
+            if (typeof value !== 'number' || !(value > 0)) {
+                throw new ThorMailError(`Invalid "${name}", must be a positive number`, 400, 'VALIDATION_ERROR');
+            }
+        }
+
+        const deadline = Date.now() + timeout;
+        let delay = interval;
+        let polls = 0;
+        let last = null;
+
+        const timedOut = () => new ThorMailError(
+            `Job ${id} did not reach ${statuses.join('/')} within ${timeout}ms (last status: ${last ? last.status : 'unknown'})`,
+            0,
+            'WAIT_TIMEOUT',
+            null,
+            { id, lastStatus: last ? last.status : null, polls, until: statuses }
+        );
+
+        while (true) {
+            if (signal?.aborted) throw this._abortError();
+
+            // Neither a status request nor its retries may outlive the wait
+            const remaining = Math.max(deadline - Date.now(), 1);
+            const controller = new AbortController();
+            const deadlineId = setTimeout(() => controller.abort(), remaining);
+            const onAbort = () => controller.abort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+            try {
+                last = await this.status(id, {
+                    ...requestOptions,
+                    signal: controller.signal,
+                    timeout: Math.min(requestOptions.timeout ?? this.timeout, remaining)
+                });
+            } catch (err) {
+                const cutOff = err.code === 'ABORTED' || err.code === 'TIMEOUT';
+                if (cutOff && !signal?.aborted && Date.now() >= deadline) throw timedOut();
+                throw err;
+            } finally {
+                clearTimeout(deadlineId);
+                signal?.removeEventListener('abort', onAbort);
+            }
+            polls++;
+            if (statuses.includes(last.status)) {
+                return last;
+            }
+
+            const left = deadline - Date.now();
+            if (left <= 0) {
+                throw timedOut();
+            }
+
+            this._log(`Job ${id} is ${last.status}, polling again in ${Math.min(delay, left)}ms`, { id, polls });
+            await this._delay(Math.min(delay, left), signal);
+            delay = Math.min(delay * 1.5, maxInterval);
+        }
+    }
+
+    /**
+     * Cancel a queued or scheduled message before it is processed
+     *
+     * @param {string|number} id - Job ID
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<CancelResponse>} Cancellation result
+     * @throws {ThorMailError} JOB_PROCESSING / JOB_ALREADY_SENT (409) if the job can no longer be cancelled
+     *
+     * @example
+     * ```javascript
+     * try {
+     *   await client.cancel(12345);
+     * } catch (error) {
+     *   if (error.isJobLocked()) {
+     *     console.log('Too late, the message is already on its way');
+     *   }
+     * }
+     * ```
+     */
+    async cancel(id, options = {}) {
+        if (!id) {
+            throw new ThorMailError('Job ID is required', 400, 'VALIDATION_ERROR');
+        }
+        try {
+            return await this._request(`/v1/cancel/${id}`, {}, { ...this._callOptions(options), operation: 'cancel' });
+        } catch (err) {
+            throw this._normalizeJobStateError(err);
+        }
+    }
+
+    /**
+     * Cancel multiple queued or scheduled messages (max 500)
+     *
+     * Jobs that are already processing or sent do not fail the whole request;
+     * they are reported in `failed` with their JOB_PROCESSING / JOB_ALREADY_SENT code.
+     *
+     * @param {Array<string|number>} ids - Job IDs (e.g. `BatchResponse.ids`)
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<CancelBatchResponse>} Cancelled and failed IDs
+     * @throws {ThorMailError} If the request fails
+     *
+     * @example
+     * ```javascript
+     * const batch = await client.sendBatch({ ... });
+     * const result = await client.cancelBatch(batch.ids);
+     * console.log(`Cancelled ${result.cancelled.length}, failed ${result.failed.length}`);
+     * ```
+     */
+    async cancelBatch(ids, options = {}) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new ThorMailError('Missing or empty "ids" array', 400, 'VALIDATION_ERROR');
+        }
+        if (ids.length > MAX_BATCH_SIZE) {
+            throw new ThorMailError(
+                `Batch size ${ids.length} exceeds maximum of ${MAX_BATCH_SIZE}`,
+                400,
+                'BATCH_SIZE_EXCEEDED'
+            );
+        }
+        const invalidIndex = ids.findIndex(id => !id || (typeof id !== 'string' && typeof id !== 'number'));
+        if (invalidIndex !== -1) {
+            throw new ThorMailError(`Invalid job ID at index ${invalidIndex}`, 400, 'VALIDATION_ERROR');
+        }
+
+        return this._request('/v1/cancel-batch', { ids }, { ...this._callOptions(options), operation: 'cancel_batch' });
+    }
+
+    /**
+     * Move a scheduled message to a new delivery time
+     *
+     * The new date must be in the future. The server enforces the same limits as
+     * the original send (3 days for `send()`, 30 days for `sendBatch()`).
+     *
+     * @param {string|number} id - Job ID
+     * @param {string|Date} newDate - New delivery time (ISO 8601 string or Date)
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<RescheduleResponse>} Reschedule result
+     * @throws {ThorMailError} JOB_PROCESSING / JOB_ALREADY_SENT (409) if the job can no longer be rescheduled
+     *
+     * @example
+     * ```javascript
+     * await client.reschedule(12345, new Date(Date.now() + 2 * 3600000)); // 2h later
+     * ```
+     */
+    async reschedule(id, newDate, options = {}) {
+        if (!id) {
+            throw new ThorMailError('Job ID is required', 400, 'VALIDATION_ERROR');
+        }
+        if (!newDate) {
+            throw new ThorMailError('Missing "scheduledAt" date', 400, 'VALIDATION_ERROR');
+        }
+
+        const scheduled = new Date(newDate);
+        if (isNaN(scheduled.getTime())) {
+            throw new ThorMailError('Invalid "scheduledAt" date format', 400, 'VALIDATION_ERROR');
+        }
+        if (scheduled.getTime() <= Date.now()) {
+            throw new ThorMailError('"scheduledAt" must be in the future', 400, 'VALIDATION_ERROR');
+        }
+        if (scheduled.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 86400000) {
+            throw new ThorMailError(
+                `"scheduledAt" cannot be more than ${MAX_SCHEDULE_DAYS} days in the future`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+
+        try {
+            return await this._request(
+                `/v1/reschedule/${id}`,
+                { scheduledAt: scheduled.toISOString() },
+                { ...this._callOptions(options), operation: 'reschedule' }
+            );
+        } catch (err) {
+            throw this._normalizeJobStateError(err);
+        }
+    }
+
+    /**
+     * List sent and queued messages, newest first, with cursor-based pagination
+     *
+     * @param {MessageFilter} [filter] - Filters and pagination options
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<MessageListResponse>} A page of messages
+     * @throws {ThorMailError} If the filter is invalid or the request fails
+     *
+     * @example
+     * ```javascript
+     * // What did we send to this address last week?
+     * const page = await client.listMessages({
+     *   recipient: 'user@example.com',
+     *   since: new Date(Date.now() - 7 * 86400000),
+     *   limit: 100
+     * });
+     *
+     * // Fetch the next page
+     * if (page.hasMore) {
+     *   const next = await client.listMessages({ cursor: page.nextCursor });
+     * }
+     * ```
+     */
+    async listMessages(filter = {}, options = {}) {
+        const query = this._buildQuery(this._normalizeListFilter(filter));
+        return this._request(`/v1/messages${query}`, null, { ...this._callOptions(options), method: 'GET', operation: 'list_messages' });
+    }
+
+    /**
+     * Full-text search over message history (recipient, subject and provider identifier)
+     *
+     * @param {string} query - Search text
+     * @param {MessageFilter} [filter] - Additional filters and pagination options
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<MessageListResponse>} A page of matching messages
+     * @throws {ThorMailError} If the query/filter is invalid or the request fails
+     *
+     * @example
+     * ```javascript
+     * const results = await client.searchMessages('order #12345', {
+     *   status: ['bounced', 'failed'],
+     *   type: 'EMAIL'
+     * });
+     * ```
+     */
+    async searchMessages(query, filter = {}, options = {}) {
+        if (!query || typeof query !== 'string' || query.trim() === '') {
+            throw new ThorMailError('Search query must be a non-empty string', 400, 'VALIDATION_ERROR');
+        }
+        const normalized = this._normalizeListFilter(filter);
+        return this._request('/v1/messages/search', { query: query.trim(), ...normalized }, { ...this._callOptions(options), operation: 'search_messages' });
+    }
+
+    // ==========================================================================
+    // Template Management
+    // ==========================================================================
+
+    /**
+     * Validates a template identifier and encodes it for use in a URL path
+     * @param {string} id - Template identifier
+     * @returns {string} URL-encoded identifier
+     * @throws {ThorMailError} If the identifier is missing
+     * @private
+     */
+    _templatePath(id) {
+        if (!id || typeof id !== 'string' || id.trim() === '') {
+            throw new ThorMailError('Template ID is required', 400, 'VALIDATION_ERROR');
+        }
+        return `/v1/templates/${encodeURIComponent(id)}`;
+    }
+
+    /**
+     * Validates template fields shared by create and update
+     * @param {Partial<TemplateInput>} template - Template fields
+     * @throws {ThorMailError} If a field is invalid
+     * @private
+     */
+    _validateTemplateFields(template) {
+        if (template.type && !MESSAGE_TYPES.includes(template.type)) {
+            throw new ThorMailError(
+                `Invalid "type", must be one of: ${MESSAGE_TYPES.join(', ')}`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+        for (const key of ['body', 'name', 'subject', 'description']) {
+            if (template[key] !== undefined && typeof template[key] !== 'string') {
+                throw new ThorMailError(`Invalid "${key}" field, must be string`, 400, 'VALIDATION_ERROR');
+            }
+        }
+    }
+
+    /**
+     * Builds the `client.templates` namespace
+     * @returns {Object} Template API bound to this client
+     * @private
+     */
+    _createTemplatesApi() {
+        const api = {
+            /**
+             * Create a new template
+             * @param {TemplateInput} template - Template definition
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<Template>}
+             */
+            create: async (template, options = {}) => {
+                if (!template || typeof template !== 'object') {
+                    throw new ThorMailError('Template must be an object', 400, 'VALIDATION_ERROR');
+                }
+                this._templatePath(template.id);
+                if (!template.body || typeof template.body !== 'string') {
+                    throw new ThorMailError('Missing or invalid "body" field', 400, 'VALIDATION_ERROR');
+                }
+                this._validateTemplateFields(template);
+                return this._request('/v1/templates', template, this._callOptions(options));
+            },
+
+            /**
+             * Update a template; every update creates a new version
+             * @param {string} id - Template identifier
+             * @param {Partial<Omit<TemplateInput, 'id'>>} changes - Fields to change
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<Template>}
+             */
+            update: async (id, changes, options = {}) => {
+                const path = this._templatePath(id);
+                if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+                    throw new ThorMailError('No template changes provided', 400, 'VALIDATION_ERROR');
+                }
+                this._validateTemplateFields(changes);
+                const { id: _id, ...fields } = changes;
+                return this._request(path, fields, { ...this._callOptions(options), method: 'PUT' });
+            },
+
+            /**
+             * Create the template, or update it if it already exists (handy for CI sync)
+             * @param {TemplateInput} template - Template definition
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<Template>}
+             */
+            upsert: async (template, options = {}) => {
+                try {
+                    return await api.update(template?.id, template, options);
+                } catch (err) {
+                    if (err instanceof ThorMailError && err.isNotFound()) {
+                        return api.create(template, options);
+                    }
+                    throw err;
+                }
+            },
+
+            /**
+             * Get a template (latest version unless `version` is given)
+             * @param {string} id - Template identifier
+             * @param {RequestOptions & {version?: number}} [options] - Specific version to fetch, plus per-call overrides
+             * @returns {Promise<Template>}
+             */
+            get: async (id, options = {}) => {
+                const query = this._buildQuery({ version: options.version });
+                return this._request(`${this._templatePath(id)}${query}`, null, { ...this._callOptions(options), method: 'GET' });
+            },
+
+            /**
+             * List templates with cursor-based pagination
+             * @param {TemplateListFilter} [filter] - Filters and pagination options
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<TemplateListResponse>}
+             */
+            list: async (filter = {}, options = {}) => {
+                const { type, limit, cursor } = this._normalizeListFilter({
+                    type: filter.type,
+                    limit: filter.limit,
+                    cursor: filter.cursor
+                });
+                return this._request(`/v1/templates${this._buildQuery({ type, limit, cursor })}`, null, { ...this._callOptions(options), method: 'GET' });
+            },
+
+            /**
+             * Iterate over every template, following cursors automatically
+             * @param {TemplateListFilter} [filter] - Filters
+             * @param {PaginateOptions} [options] - Iteration options
+             * @returns {AsyncGenerator<Template>}
+             */
+            iterate: (filter = {}, options = {}) => this._paginate((params, requestOptions) => api.list(params, requestOptions), filter, options),
+
+            /**
+             * List the stored versions of a template, newest first
+             * @param {string} id - Template identifier
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<{data: Template[]}>}
+             */
+            versions: async (id, options = {}) => {
+                return this._request(`${this._templatePath(id)}/versions`, null, { ...this._callOptions(options), method: 'GET' });
+            },
+
+            /**
+             * Delete a template and all of its versions
+             * @param {string} id - Template identifier
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<Object>}
+             */
+            delete: async (id, options = {}) => {
+                return this._request(this._templatePath(id), null, { ...this._callOptions(options), method: 'DELETE' });
+            },
+
+            /**
+             * Render a template with sample data without sending anything
+             * @param {string} id - Template identifier
+             * @param {Object} [data] - Template variables
+             * @param {RequestOptions & {version?: number}} [options] - Specific version to render, plus per-call overrides
+             * @returns {Promise<RenderedTemplate>}
+             */
+            render: async (id, data = {}, options = {}) => {
+                const path = this._templatePath(id);
+                if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+                    throw new ThorMailError('Invalid "data", must be an object', 400, 'VALIDATION_ERROR');
+                }
+                const body = { data };
+                if (options.version !== undefined) {
+                    body.version = options.version;
+                }
+                return this._request(`${path}/render`, body, this._callOptions(options));
+            }
+        };
+
+        return Object.freeze(api);
+    }
+
+    // ==========================================================================
+    // Suppression List
+    // ==========================================================================
+
+    /**
+     * Validates a suppression address and encodes it for use in a URL path
+     * @param {string} address - Recipient identifier
+     * @returns {string} URL path for the address
+     * @throws {ThorMailError} If the address is missing
+     * @private
+     */
+    _suppressionPath(address) {
+        if (!address || typeof address !== 'string' || address.trim() === '') {
+            throw new ThorMailError('Missing or invalid "address"', 400, 'VALIDATION_ERROR');
+        }
+        return `/v1/suppressions/${encodeURIComponent(address.trim())}`;
+    }
+
+    /**
+     * Validates and normalizes a suppression entry
+     * @param {SuppressionInput} entry - Entry to validate
+     * @param {number} [index] - Position in a bulk import (for error messages)
+     * @returns {SuppressionInput} Normalized entry
+     * @throws {ThorMailError} If the entry is invalid
+     * @private
+     */
+    _normalizeSuppression(entry, index = null) {
+        const at = index === null ? '' : ` at index ${index}`;
+
+        if (!entry || typeof entry !== 'object') {
+            throw new ThorMailError(`Invalid suppression entry${at}`, 400, 'VALIDATION_ERROR');
+        }
+        if (!entry.address || typeof entry.address !== 'string' || entry.address.trim() === '') {
+            throw new ThorMailError(`Missing or invalid "address"${at}`, 400, 'VALIDATION_ERROR');
+        }
+
+        const reason = entry.reason ?? 'manual';
+        if (!SUPPRESSION_REASONS.includes(reason)) {
+            throw new ThorMailError(
+                `Invalid "reason"${at}, must be one of: ${SUPPRESSION_REASONS.join(', ')}`,
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+
+        const normalized = { address: entry.address.trim(), reason };
+        if (entry.note !== undefined) {
+            normalized.note = String(entry.note);
+        }
+        if (entry.expiresAt) {
+            const expires = new Date(entry.expiresAt);
+            if (isNaN(expires.getTime())) {
+                throw new ThorMailError(`Invalid "expiresAt" date format${at}`, 400, 'VALIDATION_ERROR');
+            }
+            normalized.expiresAt = expires.toISOString();
+        }
+        return normalized;
+    }
+
+    /**
+     * Builds the `client.suppressions` namespace
+     * @returns {Object} Suppression API bound to this client
+     * @private
+     */
+    _createSuppressionsApi() {
+        const api = {
+            /**
+             * List suppressed recipients with cursor-based pagination
+             * @param {SuppressionFilter} [filter] - Filters and pagination options
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<{data: Suppression[], nextCursor: string|null, hasMore: boolean}>}
+             */
+            list: async (filter = {}, options = {}) => {
+                const reasons = filter.reason === undefined ? [] : [].concat(filter.reason);
+                const invalid = reasons.find(r => !SUPPRESSION_REASONS.includes(r));
+                if (invalid) {
+                    throw new ThorMailError(`Invalid "reason" filter: ${invalid}`, 400, 'VALIDATION_ERROR');
+                }
+                const { since, until, limit, cursor } = this._normalizeListFilter({
+                    since: filter.since,
+                    until: filter.until,
+                    limit: filter.limit,
+                    cursor: filter.cursor
+                });
+                const query = this._buildQuery({ reason: reasons, since, until, limit, cursor });
+                return this._request(`/v1/suppressions${query}`, null, { ...this._callOptions(options), method: 'GET' });
+            },
+
+            /**
+             * Iterate over every suppressed recipient, following cursors automatically
+             * @param {SuppressionFilter} [filter] - Filters
+             * @param {PaginateOptions} [options] - Iteration options
+             * @returns {AsyncGenerator<Suppression>}
+             */
+            iterate: (filter = {}, options = {}) => this._paginate((params, requestOptions) => api.list(params, requestOptions), filter, options),
+
+            /**
+             * Check whether a recipient is suppressed
+             * @param {string} address - Recipient identifier
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<SuppressionCheck>}
+             */
+            check: async (address, options = {}) => {
+                const path = this._suppressionPath(address);
+                try {
+                    const entry = await this._request(path, null, { ...this._callOptions(options), method: 'GET' });
+                    return { address: address.trim(), suppressed: true, entry };
+                } catch (err) {
+                    if (err instanceof ThorMailError && err.isNotFound()) {
+                        return { address: address.trim(), suppressed: false, entry: null };
+                    }
+                    throw err;
+                }
+            },
+
+            /**
+             * Add a recipient to the suppression list
+             * @param {string|SuppressionInput} entry - Address, or entry with reason/note/expiry
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<Suppression>}
+             */
+            add: async (entry, options = {}) => {
+                const input = typeof entry === 'string' ? { address: entry } : entry;
+                return this._request('/v1/suppressions', this._normalizeSuppression(input), this._callOptions(options));
+            },
+
+            /**
+             * Remove a recipient from the suppression list
+             * @param {string} address - Recipient identifier
+             * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+             * @returns {Promise<Object>}
+             */
+            remove: async (address, options = {}) => {
+                return this._request(this._suppressionPath(address), null, { ...this._callOptions(options), method: 'DELETE' });
+            },
+
+            /**
+             * Add many recipients at once, in chunks of 500
+             *
+             * If a chunk fails, the error's `details` carry the counts so far and the
+             * `cursor` (offset of the failed chunk) to resume from.
+             * @param {SuppressionInput[]} entries - Entries to import
+             * @param {RequestOptions & {cursor?: number}} [options] - Offset to resume from, plus per-call overrides
+             * @returns {Promise<SuppressionImportResult>}
+             * @throws {ThorMailError} If an entry is invalid or a chunk fails (`details`: `{imported, skipped, failed, cursor}`)
+             */
+            import: async (entries, options = {}) => {
+                if (!Array.isArray(entries) || entries.length === 0) {
+                    throw new ThorMailError('Missing or empty "entries" array', 400, 'VALIDATION_ERROR');
+                }
+                const startOffset = options.cursor ?? 0;
+                if (!Number.isInteger(startOffset) || startOffset < 0 || startOffset >= entries.length) {
+                    throw new ThorMailError('Invalid "cursor", out of range for "entries"', 400, 'VALIDATION_ERROR');
+                }
+                // Validate everything up front so a bad row never leaves a half-imported list
+                const normalized = entries.map((entry, i) => this._normalizeSuppression(entry, i));
+                const requestOptions = this._callOptions(options);
+
+                const result = { imported: 0, skipped: 0 };
+                for (let offset = startOffset; offset < normalized.length; offset += MAX_BATCH_SIZE) {
+                    const chunk = normalized.slice(offset, offset + MAX_BATCH_SIZE);
+                    let response;
+                    try {
+                        response = await this._request('/v1/suppressions/import', { entries: chunk }, requestOptions);
+                    } catch (err) {
+                        if (err instanceof ThorMailError) {
+                            err.details = { ...(err.details || {}), ...result, failed: normalized.length - offset, cursor: offset };
+                        }
+                        throw err;
+                    }
+                    result.imported += response.imported ?? chunk.length;
+                    result.skipped += response.skipped ?? 0;
+                }
+                return result;
+            },
+
+            /**
+             * Export every suppressed recipient matching the filter
+             * @param {SuppressionFilter} [filter] - Filters
+             * @param {PaginateOptions} [options] - Iteration options
+             * @returns {Promise<Suppression[]>}
+             */
+            export: async (filter = {}, options = {}) => {
+                const entries = [];
+                for await (const entry of api.iterate({ ...filter, limit: filter.limit ?? MAX_PAGE_SIZE }, options)) {
+                    entries.push(entry);
+                }
+                return entries;
+            }
+        };
+
+        return Object.freeze(api);
+    }
+
+    // ==========================================================================
+    // Outbox
+    // ==========================================================================
+
+    /**
+     * Whether a failed send should be kept in the outbox for later replay
+     * @param {Error} err - Error thrown by `_request`
+     * @returns {boolean}
+     * @private
+     */
+    _isOutboxable(err) {
+        return err instanceof ThorMailError && (err.isRetryable() || err.isCircuitOpen());
+    }
+
+    /**
+     * Builds the `client.outbox` namespace and starts the background replay
+     * @param {boolean|OutboxConfig} option - `outbox` config option
+     * @returns {Object} Outbox API bound to this client
+     * @private
+     */
+    _createOutbox(option) {
+        const config = option === true ? {} : option;
+        const storage = config.storage ?? (config.path ? createFileOutboxStorage(config.path) : createMemoryOutboxStorage());
+        const interval = config.interval ?? 5000;
+        const maxAttempts = config.maxAttempts ?? 25;
+        const events = new EventEmitter();
+
+        let pass = Promise.resolve();
+        let replaying = false;
+        let timer = null;
+
+        const emitError = (err) => {
+            this._log('Outbox storage error', { error: err.message }, 'error');
+            if (events.listenerCount('error') > 0) events.emit('error', err);
+        };
+
+        // A throwing listener must never stop a replay pass or turn a stored send into a failure
+        const notify = (event, payload) => {
+            try {
+                events.emit(event, payload);
+            } catch (err) {
+                this._log(`Outbox '${event}' listener failed`, { error: err.message }, 'warn');
+            }
+        };
+
+        const replay = async (force) => {
+            const result = { sent: 0, dropped: 0, remaining: 0 };
+            const entries = (await storage.list())
+                .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                if (!force && Date.parse(entry.nextAttemptAt) > Date.now()) {
+                    result.remaining++;
+                    continue;
+                }
+
+                let response;
+                try {
+                    response = await this._request('/v1/send', entry.payload, {
+                        headers: { 'x-idempotency-key': entry.idempotencyKey },
+                        operation: 'outbox_replay'
+                    });
+                } catch (err) {
+                    entry.attempts++;
+                    entry.lastError = err.message;
+
+                    if (!this._isOutboxable(err) || entry.attempts >= maxAttempts) {
+                        await storage.delete(entry.id);
+                        result.dropped++;
+                        this._log('Outbox entry dropped', { outboxId: entry.id, attempts: entry.attempts, code: err.code ?? null, error: this._errorMessage(err) }, 'error');
+                        notify('dropped', { entry, error: err });
+                        continue;
+                    }
+
+                    // The API is still unavailable: back off and leave the rest for the next pass
+                    entry.nextAttemptAt = new Date(Date.now() + this._calculateBackoff(entry.attempts, err.retryAfter)).toISOString();
+                    await storage.put(entry);
+                    this._log('Outbox replay failed', { outboxId: entry.id, attempts: entry.attempts, code: err.code ?? null, error: this._errorMessage(err) }, 'warn');
+                    notify('retry', { entry, error: err });
+                    result.remaining += entries.length - i;
+                    break;
+                }
+
+                // Outside the try: a failing delete must never count as a failed delivery
+                await storage.delete(entry.id);
+                result.sent++;
+                this._log('Outbox entry sent', { outboxId: entry.id, queueId: response.id ?? null }, 'info');
+                notify('sent', { entry, response });
+            }
+            return result;
+        };
+
+        const schedule = (force) => {
+            const run = pass.then(async () => {
+                replaying = true;
+                try {
+                    return await replay(force);
+                } finally {
+                    replaying = false;
+                }
+            });
+            pass = run.catch(() => { });
+            return run;
+        };
+
+        // Persists a send that failed with a retryable error
+        this.#outboxStore = async (payload, idempotencyKey, error) => {
+            const now = Date.now();
+            const entry = {
+                id: crypto.randomUUID(),
+                payload,
+                idempotencyKey,
+                attempts: 0,
+                createdAt: new Date(now).toISOString(),
+                nextAttemptAt: new Date(now + this._calculateBackoff(0, error.retryAfter)).toISOString(),
+                lastError: error.message
+            };
+            await storage.put(entry);
+            this._log('Send stored in outbox', { outboxId: entry.id, code: error.code ?? null, error: this._errorMessage(error) }, 'warn');
+            notify('stored', { entry, error });
+            return entry;
+        };
+
+        const api = {
+            /** @returns {Promise<number>} Number of pending entries */
+            size: async () => (await storage.list()).length,
+
+            /** @returns {Promise<OutboxEntry[]>} Pending entries, oldest first */
+            list: async () => (await storage.list())
+                .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt)),
+
+            /**
+             * Replays every pending entry now, ignoring backoff
+             * @returns {Promise<OutboxFlushResult>}
+             */
+            flush: () => schedule(true),
+
+            /** Starts the background replay (called automatically) */
+            start: () => {
+                if (timer) return;
+                timer = setInterval(() => {
+                    if (!replaying) schedule(false).catch(emitError);
+                }, interval);
+                timer.unref?.();
+            },
+
+            /** Stops the background replay; pending entries stay in storage */
+            stop: () => {
+                clearInterval(timer);
+                timer = null;
+            },
+
+            on: (event, listener) => { events.on(event, listener); return api; },
+            once: (event, listener) => { events.once(event, listener); return api; },
+            off: (event, listener) => { events.off(event, listener); return api; }
+        };
+
+        api.start();
+        return Object.freeze(api);
+    }
+
+    // ==========================================================================
+    // Configuration & Utility Methods
+    // ==========================================================================
+
+    /**
+     * Update client configuration dynamically
+     * 
+     * @param {Partial<ThorMailConfig>} config - Configuration to update
+     * @returns {ThorMailClient} Returns this for chaining
+     * 
+     * @example
+     * ```javascript
+     * client.configure({ timeout: 60000 });
+     * client.configure({ apiKey: 'new-api-key' });
+     *
+     * // Rotation: keep the old key until the API rejects it
+     * client.configure({ secondaryApiKey: 'new-api-key' });
+     * ```
+     */
+    configure(config) {
+        if (config.baseUrl) {
+            this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        }
+        if (config.workspaceId) {
+            this.workspaceId = String(config.workspaceId);
+        }
+        if (config.apiKey) {
+            this.#apiKey = config.apiKey;
+        }
+        if (config.secondaryApiKey !== undefined) {
+            if (config.secondaryApiKey !== null && typeof config.secondaryApiKey !== 'string') {
+                throw new Error('ThorMailClient: secondaryApiKey must be a string');
+            }
+            this.#secondaryApiKey = config.secondaryApiKey || null;
+        }
+        if (typeof config.timeout === 'number') {
+            this.timeout = config.timeout;
+        }
+        if (typeof config.debug === 'boolean') {
+            this.debug = config.debug;
+        }
+        if (typeof config.autoIdempotency === 'boolean') {
+            this.autoIdempotency = config.autoIdempotency;
+        }
+        if (typeof config.fetch === 'function') {
+            this.#fetch = config.fetch;
+        }
+        if (config.logger !== undefined) {
+            this.#logger = config.logger;
+        }
+        if (Array.isArray(config.redact)) {
+            this.redact = Object.freeze([...config.redact]);
+        }
+        if (config.retry) {
+            this.retryConfig = Object.freeze({
+                ...this.retryConfig,
+                ...config.retry
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Register request lifecycle hooks (tracing headers, metrics, log redaction...)
+     *
+     * Hook sets run in registration order. `onRequest` runs before every attempt
+     * and may edit `context.headers`; if it throws, the request is aborted.
+     * Errors thrown by `onResponse`, `onRetry` and `onError` are ignored.
+     *
+     * @param {ClientHooks} hooks - Hooks to register
+     * @returns {function(): void} Function that unregisters the hooks
+     *
+     * @example
+     * ```javascript
+     * const remove = client.use({
+     *   onRequest: (ctx) => { ctx.headers['traceparent'] = currentTraceParent(); },
+     *   onResponse: (ctx) => metrics.histogram('thormail.latency', ctx.durationMs, { endpoint: ctx.endpoint }),
+     *   onRetry: (ctx) => logger.warn(`Retry #${ctx.attempt} in ${ctx.delay}ms`, ctx.error.code),
+     *   onError: (ctx) => logger.error(`Failed after ${ctx.attempts} attempts`, ctx.error)
+     * });
+     * ```
+     */
+    use(hooks) {
+        if (!hooks || typeof hooks !== 'object') {
+            throw new Error('ThorMailClient: hooks must be an object');
+        }
+        this.#hooks.push(hooks);
+        return () => {
+            this.#hooks = this.#hooks.filter(h => h !== hooks);
+        };
+    }
+
+    /**
+     * Client for another workspace that shares this client's connection settings
+     * (base URL, fetch, timeout, retry, hooks, logger, telemetry, circuit breaker config).
+     *
+     * Clients are cached per workspace; calling again with different keys
+     * reconfigures the cached client. Settings are copied when the first
+     * workspace client is created. Outboxes are never shared.
+     *
+     * @param {string|number} workspaceId - Workspace identifier
+     * @param {string} [apiKey] - Workspace API key (required the first time)
+     * @param {WorkspaceOptions} [options] - Secondary API key and outbox of the workspace
+     * @returns {ThorMailClient}
+     *
+     * @example
+     * ```javascript
+     * const tenantClient = client.forWorkspace(tenant.workspaceId, tenant.apiKey);
+     * await tenantClient.send({ to: 'user@example.com', templateId: 'welcome' });
+     * ```
+     */
+    forWorkspace(workspaceId, apiKey, options = {}) {
+        if (!this.#workspaces) {
+            this.#workspaces = new ThorMailPool({
+                ...this.#config,
+                baseUrl: this.baseUrl,
+                timeout: this.timeout,
+                debug: this.debug,
+                autoIdempotency: this.autoIdempotency,
+                fetch: this.#fetch ?? undefined,
+                hooks: [...this.#hooks],
+                logger: this.#logger ?? undefined,
+                redact: this.redact,
+                retry: this.retryConfig
+            });
+        }
+        return this.#workspaces.forWorkspace(workspaceId, apiKey, options);
+    }
+
+    /**
+     * Get the last known rate limit information
+     * @returns {RateLimitInfo|null}
+     */
+    getRateLimitInfo() {
+        return this.#lastRateLimit;
+    }
+
+    /**
+     * Check if the client is likely to be rate limited
+     * @returns {boolean}
+     */
+    isNearRateLimit() {
+        if (!this.#lastRateLimit) return false;
+        return this.#lastRateLimit.remaining <= RATE_LIMIT_LOW_WATERMARK;
+    }
+
+    /**
+     * Returns the circuit breaker state, e.g. for a health endpoint
+     * @returns {CircuitState|null} Current state, or null if the breaker is disabled
+     */
+    getCircuitState() {
+        return this.#circuit ? this.#circuit.getState() : null;
+    }
+
+    /**
+     * Returns the client-side rate limiter state
+     * @returns {RateLimiterState|null} Current state, or null if the limiter is disabled
+     */
+    getRateLimiterState() {
+        return this.#limiter ? this.#limiter.getState() : null;
+    }
+
+    /**
+     * Number of calls waiting in the rate limiter queue, e.g. to pause job workers
+     * @returns {number} Waiting calls (always 0 when the limiter is disabled)
+     */
+    getQueueDepth() {
+        return this.#limiter ? this.#limiter.getState().queued : 0;
+    }
+
+    /**
      * Get client configuration (without sensitive data)
      * @returns {Object}
      */
-    getConfig() {
-        return {
-            baseUrl: this.baseUrl,
-            workspaceId: this.workspaceId,
-            timeout: this.timeout,
-            debug: this.debug,
-            retry: { ...this.retryConfig }
-        };
+    getConfig() {
+        return {
+            baseUrl: this.baseUrl,
+            workspaceId: this.workspaceId,
+            timeout: this.timeout,
+            debug: this.debug,
+            hasSecondaryApiKey: this.#secondaryApiKey !== null,
+            redact: [...this.redact],
+            retry: { ...this.retryConfig }
+        };
+    }
+}
+
+// ============================================================================
+// Workspace Pool
+// ============================================================================
+
+/**
+ * Clients for many workspaces sharing one set of connection settings
+ * (base URL, fetch, timeout, retry, hooks, logger, telemetry)
+ *
+ * @example
+ * ```javascript
+ * import { ThorMailPool } from '@thormail/client';
+ *
+ * const pool = new ThorMailPool({ baseUrl: 'https://api.thormail.io', retry: { maxRetries: 5 } });
+ *
+ * // One cached client per tenant
+ * const client = pool.forWorkspace(tenant.workspaceId, tenant.apiKey, {
+ *   secondaryApiKey: tenant.nextApiKey
+ * });
+ * await client.send({ to: 'user@example.com', templateId: 'welcome' });
+ * ```
+ */
+class ThorMailPool {
+    /** @type {Partial<ThorMailConfig>} */
+    #config;
+
+    /** @type {Map<string, {client: ThorMailClient, apiKey: string, secondaryApiKey: string|null, retiredKey: string|null}>} */
+    #clients = new Map();
+
+    /**
+     * Creates a workspace pool
+     * @param {Omit<ThorMailConfig, 'workspaceId'|'apiKey'>} config - Settings shared by every workspace client
+     * @throws {Error} If baseUrl is missing
+     */
+    constructor(config) {
+        if (!config) {
+            throw new Error('ThorMailPool: Configuration object is required');
+        }
+        if (!config.baseUrl) {
+            throw new Error('ThorMailPool: baseUrl is required');
+        }
+        // Credentials and outboxes belong to a single workspace
+        const { workspaceId, apiKey, secondaryApiKey, outbox, ...shared } = config;
+        this.#config = shared;
+    }
+
+    /**
+     * Returns the client of a workspace, creating it on first use.
+     * When the keys differ from the client's current ones, the cached client is
+     * reconfigured with them (requests in flight finish with the old key). After
+     * the client promoted its secondary key, passing the old pair again keeps the
+     * promoted key instead of going back to the rejected one.
+     *
+     * @param {string|number} workspaceId - Workspace identifier
+     * @param {string} [apiKey] - Workspace API key (required the first time)
+     * @param {WorkspaceOptions} [options] - Secondary API key and outbox of the workspace
+     * @returns {ThorMailClient}
+     * @throws {Error} If workspaceId is missing, or apiKey is missing for a new workspace
+     */
+    forWorkspace(workspaceId, apiKey, options = {}) {
+        if (!workspaceId) {
+            throw new Error('ThorMailPool: workspaceId is required');
+        }
+        const id = String(workspaceId);
+        const secondaryApiKey = options.secondaryApiKey || null;
+        const entry = this.#clients.get(id);
+
+        if (entry) {
+            const beforeRotation = apiKey === entry.retiredKey && secondaryApiKey === entry.apiKey;
+            if (apiKey && !beforeRotation && (apiKey !== entry.apiKey || secondaryApiKey !== entry.secondaryApiKey)) {
+                entry.client.configure({ apiKey, secondaryApiKey });
+                entry.apiKey = apiKey;
+                entry.secondaryApiKey = secondaryApiKey;
+                entry.retiredKey = null;
+            }
+            return entry.client;
+        }
+
+        if (!apiKey) {
+            throw new Error(`ThorMailPool: apiKey is required for workspace ${id}`);
+        }
+        const client = new ThorMailClient({ ...this.#config, ...options, workspaceId: id, apiKey });
+        const created = { client, apiKey, secondaryApiKey, retiredKey: null };
+
+        // Track promotions so the entry always reflects the key the client uses
+        client.use({
+            onKeyRotation: () => {
+                if (!created.secondaryApiKey) return;
+                created.retiredKey = created.apiKey;
+                created.apiKey = created.secondaryApiKey;
+                created.secondaryApiKey = null;
+            }
+        });
+        this.#clients.set(id, created);
+        return client;
+    }
+
+    /**
+     * Returns the cached client of a workspace
+     * @param {string|number} workspaceId - Workspace identifier
+     * @returns {ThorMailClient|null}
+     */
+    get(workspaceId) {
+        return this.#clients.get(String(workspaceId))?.client ?? null;
+    }
+
+    /**
+     * Removes a workspace client (e.g. when a tenant is deleted) and stops its outbox
+     * @param {string|number} workspaceId - Workspace identifier
+     * @returns {boolean} Whether a client was removed
+     */
+    delete(workspaceId) {
+        const id = String(workspaceId);
+        const entry = this.#clients.get(id);
+        if (!entry) {
+            return false;
+        }
+        entry.client.outbox?.stop();
+        return this.#clients.delete(id);
+    }
+
+    /**
+     * Number of cached workspace clients
+     * @returns {number}
+     */
+    size() {
+        return this.#clients.size;
+    }
+}
+
+// ============================================================================
+// Message Builder
+// ============================================================================
+
+/**
+ * Fluent builder for `send()` / `sendBatch()` payloads, created with `client.message()`
+ *
+ * Setters validate their own input right away; `build()` validates the message
+ * as a whole (recipient format for the type, content, schedule limit). One
+ * recipient is sent with `send()`, several with `sendBatch()`.
+ *
+ * @example
+ * ```javascript
+ * await client.message()
+ *   .to('user@example.com')
+ *   .template('invoice', { number: 'INV-42' })
+ *   .cc('billing@example.com')
+ *   .attach({ filename: 'invoice.pdf', path: 'https://files.example.com/inv-42.pdf' })
+ *   .scheduleAt(new Date(Date.now() + 3600000))
+ *   .send();
+ * ```
+ */
+class MessageBuilder {
+    /** @type {ThorMailClient} */
+    #client;
+
+    /** @type {RecipientObject[]} */
+    #recipients = [];
+
+    /** @type {Object} */
+    #fields = {};
+
+    /** @type {Object} */
+    #data = {};
+
+    /** Email-only options mapped onto the `data` keys adapters read */
+    #email = {};
+
+    /**
+     * @param {ThorMailClient} client - Client used by `send()`
+     */
+    constructor(client) {
+        this.#client = client;
+    }
+
+    /**
+     * Message type (default: EMAIL)
+     * @param {'EMAIL'|'SMS'|'PUSH'|'WEBHOOK'} type - Message type
+     * @returns {MessageBuilder}
+     */
+    type(type) {
+        if (!MESSAGE_TYPES.includes(type)) {
+            throw new ThorMailError(`Invalid "type", must be one of: ${MESSAGE_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+        }
+        this.#fields.type = type;
+        return this;
+    }
+
+    /**
+     * Add one or more recipients. Can be called repeatedly.
+     * @param {string|RecipientObject|Array<string|RecipientObject>} recipients - Recipient(s)
+     * @param {Object} [data] - Per-recipient data (single recipient only)
+     * @returns {MessageBuilder}
+     */
+    to(recipients, data) {
+        const list = [].concat(recipients);
+        if (list.length === 0) {
+            throw new ThorMailError('Missing or invalid "to" field', 400, 'VALIDATION_ERROR');
+        }
+        if (data !== undefined && list.length > 1) {
+            throw new ThorMailError('Per-recipient data requires a single recipient; pass { to, data } objects instead', 400, 'VALIDATION_ERROR');
+        }
+        for (const entry of list) {
+            const recipient = typeof entry === 'string' ? { to: entry } : entry;
+            this.#client._validateRecipient(recipient, this.#recipients.length);
+            this.#recipients.push(data === undefined ? { ...recipient } : { ...recipient, data: { ...(recipient.data || {}), ...data } });
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} subject - Subject/title
+     * @returns {MessageBuilder}
+     */
+    subject(subject) {
+        this.#fields.subject = MessageBuilder.#string(subject, 'subject');
+        return this;
+    }
+
+    /**
+     * @param {string} body - Body content (HTML for email)
+     * @returns {MessageBuilder}
+     */
+    body(body) {
+        this.#fields.body = MessageBuilder.#string(body, 'body');
+        return this;
+    }
+
+    /**
+     * Plain-text alternative for email (`data.text`)
+     * @param {string} text - Plain-text body
+     * @returns {MessageBuilder}
+     */
+    text(text) {
+        this.#email.text = MessageBuilder.#string(text, 'text');
+        return this;
+    }
+
+    /**
+     * Use a stored template
+     * @param {string} templateId - Template ID
+     * @param {Object} [data] - Template variables, merged into `data`
+     * @returns {MessageBuilder}
+     */
+    template(templateId, data) {
+        this.#fields.templateId = MessageBuilder.#string(templateId, 'templateId');
+        return data === undefined ? this : this.data(data);
+    }
+
+    /**
+     * Merge template variables / adapter options into `data`
+     * @param {Object} data - Data to merge
+     * @returns {MessageBuilder}
+     */
+    data(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new ThorMailError('Invalid "data", must be an object', 400, 'VALIDATION_ERROR');
+        }
+        Object.assign(this.#data, data);
+        return this;
+    }
+
+    /**
+     * Carbon-copy recipients (`data.cc`)
+     * @param {...(string|string[])} addresses - Email addresses
+     * @returns {MessageBuilder}
+     */
+    cc(...addresses) {
+        this.#email.cc = [...(this.#email.cc || []), ...MessageBuilder.#emails(addresses, 'cc')];
+        return this;
+    }
+
+    /**
+     * Blind carbon-copy recipients (`data.bcc`)
+     * @param {...(string|string[])} addresses - Email addresses
+     * @returns {MessageBuilder}
+     */
+    bcc(...addresses) {
+        this.#email.bcc = [...(this.#email.bcc || []), ...MessageBuilder.#emails(addresses, 'bcc')];
+        return this;
+    }
+
+    /**
+     * Reply-To address (`data.replyTo`)
+     * @param {string} address - Email address
+     * @returns {MessageBuilder}
+     */
+    replyTo(address) {
+        [this.#email.replyTo] = MessageBuilder.#emails([address], 'replyTo');
+        return this;
+    }
+
+    /**
+     * Custom email header (`data.headers`)
+     * @param {string} name - Header name
+     * @param {string} value - Header value
+     * @returns {MessageBuilder}
+     */
+    header(name, value) {
+        MessageBuilder.#string(name, 'header name');
+        this.#email.headers = { ...(this.#email.headers || {}), [name]: String(value) };
+        return this;
+    }
+
+    /**
+     * Attach files (`data.attachments`). Adapters only fetch remote files, so
+     * `path`/`href` must be http(s) URLs; use `content` for inline data.
+     * @param {...(MessageAttachment|MessageAttachment[])} attachments - Attachments
+     * @returns {MessageBuilder}
+     */
+    attach(...attachments) {
+        const list = attachments.flat();
+        list.forEach((attachment, i) => {
+            if (!attachment || typeof attachment !== 'object' || typeof attachment.filename !== 'string' || attachment.filename === '') {
+                throw new ThorMailError(`Attachment ${i} needs a "filename"`, 400, 'VALIDATION_ERROR');
+            }
+            const location = attachment.path ?? attachment.href;
+            if (location === undefined && attachment.content === undefined) {
+                throw new ThorMailError(`Attachment "${attachment.filename}" needs "content", "path" or "href"`, 400, 'VALIDATION_ERROR');
+            }
+            if (location !== undefined && !MessageBuilder.#isHttpUrl(location)) {
+                throw new ThorMailError(`Attachment "${attachment.filename}" must use an http(s) URL, local paths are rejected by adapters`, 400, 'VALIDATION_ERROR');
+            }
+        });
+        this.#email.attachments = [...(this.#email.attachments || []), ...list];
+        return this;
+    }
+
+    /**
+     * Schedule delivery (max 3 days ahead for one recipient, 30 for several)
+     * @param {string|Date} date - Delivery time
+     * @returns {MessageBuilder}
+     */
+    scheduleAt(date) {
+        const scheduled = new Date(date);
+        if (date === null || date === undefined || isNaN(scheduled.getTime())) {
+            throw new ThorMailError('Invalid "scheduledAt" date format', 400, 'VALIDATION_ERROR');
+        }
+        this.#fields.scheduledAt = scheduled.toISOString();
+        return this;
+    }
+
+    /**
+     * Route to a specific adapter (bypasses the rule engine)
+     * @param {string} adapterId - Adapter ID
+     * @returns {MessageBuilder}
+     */
+    adapter(adapterId) {
+        this.#fields.adapterId = MessageBuilder.#string(adapterId, 'adapterId');
+        return this;
+    }
+
+    /**
+     * @param {string} key - Idempotency key for the request
+     * @returns {MessageBuilder}
+     */
+    idempotencyKey(key) {
+        this.#fields.idempotencyKey = MessageBuilder.#string(key, 'idempotencyKey');
+        return this;
+    }
+
+    /**
+     * Validate the message and return the payload `send()` would use
+     * @returns {MessagePayload|BatchPayload} Single payload for one recipient, batch payload for several
+     * @throws {ThorMailError} VALIDATION_ERROR if the message is incomplete or invalid
+     */
+    build() {
+        const type = this.#fields.type || 'EMAIL';
+        const batch = this.#recipients.length > 1;
+
+        if (this.#recipients.length === 0) {
+            throw new ThorMailError('Missing or invalid "to" field', 400, 'VALIDATION_ERROR');
+        }
+        if (batch && this.#recipients.length > MAX_BATCH_SIZE) {
+            throw new ThorMailError(`Batch size ${this.#recipients.length} exceeds maximum of ${MAX_BATCH_SIZE}`, 400, 'BATCH_SIZE_EXCEEDED');
+        }
+        this.#recipients.forEach((recipient, i) => {
+            if (!MessageBuilder.#isValidRecipient(type, recipient.to)) {
+                throw new ThorMailError(
+                    `Invalid ${RECIPIENT_FORMATS[type]} in "to"${batch ? ` at index ${i}` : ''}`,
+                    400,
+                    'VALIDATION_ERROR'
+                );
+            }
+        });
+        if (!this.#fields.templateId && this.#fields.body === undefined) {
+            throw new ThorMailError('A message needs a "body" or a "templateId"', 400, 'VALIDATION_ERROR');
+        }
+        const emailKeys = Object.keys(this.#email);
+        if (type !== 'EMAIL' && emailKeys.length > 0) {
+            throw new ThorMailError(`"${emailKeys[0]}" is only supported for EMAIL messages`, 400, 'VALIDATION_ERROR');
+        }
+
+        if (this.#fields.scheduledAt) {
+            const at = Date.parse(this.#fields.scheduledAt);
+            const maxDays = batch ? MAX_SCHEDULE_DAYS : MAX_SEND_SCHEDULE_DAYS;
+            if (at <= Date.now()) {
+                throw new ThorMailError('"scheduledAt" must be in the future', 400, 'VALIDATION_ERROR');
+            }
+            if (at > Date.now() + maxDays * 86400000) {
+                throw new ThorMailError(
+                    `"scheduledAt" cannot be more than ${maxDays} days in the future${batch ? '' : ' for a single send'}`,
+                    400,
+                    'VALIDATION_ERROR'
+                );
+            }
+        }
+
+        const data = { ...this.#data, ...this.#email };
+        const payload = { ...this.#fields, type };
+
+        if (batch) {
+            if (Object.keys(data).length > 0) payload.data = data;
+            return { ...payload, emails: this.#recipients.map(recipient => ({ ...recipient })) };
+        }
+
+        const [{ to, data: recipientData, ...recipientFields }] = this.#recipients;
+        const merged = { ...data, ...(recipientData || {}) };
+        if (Object.keys(merged).length > 0) payload.data = merged;
+        return { ...payload, ...recipientFields, to };
+    }
+
+    /**
+     * Validate and send: `send()` for one recipient, `sendBatch()` for several
+     * @param {RequestOptions} [options] - Per-call signal, timeout and retry overrides
+     * @returns {Promise<SendResponse|BatchResponse>}
+     * @throws {ThorMailError} If validation or the request fails
+     */
+    send(options = {}) {
+        const payload = this.build();
+        return payload.emails ? this.#client.sendBatch(payload, options) : this.#client.send(payload, options);
+    }
+
+    /** @returns {string} Validated non-empty string */
+    static #string(value, field) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new ThorMailError(`Invalid "${field}", must be a non-empty string`, 400, 'VALIDATION_ERROR');
+        }
+        return value;
+    }
+
+    /** @returns {string[]} Validated email addresses */
+    static #emails(addresses, field) {
+        const list = addresses.flat();
+        const invalid = list.findIndex(address => typeof address !== 'string' || !EMAIL_PATTERN.test(address));
+        if (list.length === 0 || invalid !== -1) {
+            throw new ThorMailError(`Invalid email address in "${field}"`, 400, 'VALIDATION_ERROR');
+        }
+        return list;
+    }
+
+    /** @returns {boolean} True for http(s) URLs */
+    static #isHttpUrl(value) {
+        return typeof value === 'string' && /^https?:\/\//i.test(value);
+    }
+
+    /** @returns {boolean} True if the recipient matches the format expected for the type */
+    static #isValidRecipient(type, to) {
+        switch (type) {
+            case 'EMAIL': return EMAIL_PATTERN.test(to);
+            case 'SMS': return PHONE_PATTERN.test(to);
+            case 'WEBHOOK': return MessageBuilder.#isHttpUrl(to);
+            default: return to.trim() !== '';
+        }
     }
 }
 
@@ -791,6 +4657,863 @@ function createClient(config) {
     return new ThorMailClient(config);
 }
 
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+/**
+ * Reads a header from a plain object (any casing) or a Headers instance
+ * @param {Object|Headers} headers - Request headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|null}
+ * @private
+ */
+function getHeader(headers, name) {
+    if (!headers) return null;
+    if (typeof headers.get === 'function') {
+        return headers.get(name);
+    }
+    for (const [key, value] of Object.entries(headers)) {
+        if (key.toLowerCase() === name) {
+            return Array.isArray(value) ? value[0] : value;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses and validates a webhook payload into a normalized event
+ *
+ * Does NOT verify the signature: use `verifyWebhook()` for untrusted input.
+ *
+ * @param {string|Buffer|Object} payload - Raw JSON body or already parsed object
+ * @returns {WebhookEvent} Normalized event
+ * @throws {ThorMailError} WEBHOOK_INVALID_PAYLOAD if the payload is malformed
+ */
+function parseWebhookEvent(payload) {
+    let event = payload;
+
+    if (typeof payload === 'string' || Buffer.isBuffer(payload) || payload instanceof Uint8Array) {
+        try {
+            event = JSON.parse(Buffer.from(payload).toString('utf8'));
+        } catch {
+            throw new ThorMailError('Webhook payload is not valid JSON', 400, 'WEBHOOK_INVALID_PAYLOAD');
+        }
+    }
+
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        throw new ThorMailError('Webhook payload must be a JSON object', 400, 'WEBHOOK_INVALID_PAYLOAD');
+    }
+    if (!event.id || typeof event.id !== 'string') {
+        throw new ThorMailError('Webhook payload is missing "id"', 400, 'WEBHOOK_INVALID_PAYLOAD');
+    }
+    if (!WEBHOOK_STATUSES.includes(event.status)) {
+        throw new ThorMailError(
+            `Unknown webhook status "${event.status}"`,
+            400,
+            'WEBHOOK_INVALID_PAYLOAD',
+            null,
+            { status: event.status }
+        );
+    }
+
+    // Queue IDs may arrive as numeric strings; anything else is not a ThorMail event
+    const queueId = typeof event.queueId === 'string' && event.queueId.trim() !== '' ? Number(event.queueId) : event.queueId;
+    if (!Number.isSafeInteger(queueId) || queueId < 1) {
+        throw new ThorMailError('Webhook payload is missing a valid "queueId"', 400, 'WEBHOOK_INVALID_PAYLOAD');
+    }
+    if (event.occurredAt === undefined || event.occurredAt === null || event.occurredAt === '') {
+        throw new ThorMailError('Webhook payload is missing "occurredAt"', 400, 'WEBHOOK_INVALID_PAYLOAD');
+    }
+    const occurredAt = new Date(event.occurredAt);
+    if (isNaN(occurredAt.getTime())) {
+        throw new ThorMailError('Invalid "occurredAt" date format', 400, 'WEBHOOK_INVALID_PAYLOAD');
+    }
+
+    return {
+        ...event,
+        queueId,
+        occurredAt: occurredAt.toISOString()
+    };
+}
+
+/**
+ * Verifies the signature of a ThorMail webhook and returns the parsed event
+ *
+ * The signature header contains one or more space-separated `v1=<hex>` entries,
+ * each an HMAC-SHA256 of `${id}.${timestamp}.${rawBody}` with the webhook secret.
+ * Comparison is constant-time and the timestamp must be within `tolerance` seconds.
+ *
+ * @param {string|Buffer} rawBody - Raw request body, exactly as received
+ * @param {Object|Headers} headers - Request headers
+ * @param {string|string[]} secret - Webhook secret (pass an array during secret rotation)
+ * @param {VerifyWebhookOptions} [options] - Verification options
+ * @returns {WebhookEvent} Verified, normalized event
+ * @throws {ThorMailError} WEBHOOK_MISSING_HEADERS, WEBHOOK_TIMESTAMP_OUT_OF_RANGE,
+ *   WEBHOOK_INVALID_SIGNATURE or WEBHOOK_INVALID_PAYLOAD
+ *
+ * @example
+ * ```javascript
+ * import { verifyWebhook } from '@thormail/client';
+ *
+ * app.post('/thormail/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+ *   try {
+ *     const event = verifyWebhook(req.body, req.headers, process.env.THORMAIL_WEBHOOK_SECRET);
+ *     if (event.status === 'HARD-REJECT') {
+ *       markBounced(event.to);
+ *     }
+ *     res.sendStatus(204);
+ *   } catch (error) {
+ *     res.sendStatus(error.statusCode || 400);
+ *   }
+ * });
+ * ```
+ */
+function verifyWebhook(rawBody, headers, secret, options = {}) {
+    if (typeof rawBody !== 'string' && !Buffer.isBuffer(rawBody) && !(rawBody instanceof Uint8Array)) {
+        throw new ThorMailError(
+            'Webhook body must be the raw request body (string or Buffer), not a parsed object',
+            400,
+            'WEBHOOK_INVALID_PAYLOAD'
+        );
+    }
+    const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+    if (secrets.length === 0) {
+        throw new Error('verifyWebhook: secret is required');
+    }
+
+    const id = getHeader(headers, WEBHOOK_HEADERS.id);
+    const timestamp = getHeader(headers, WEBHOOK_HEADERS.timestamp);
+    const signatureHeader = getHeader(headers, WEBHOOK_HEADERS.signature);
+
+    if (!id || !timestamp || !signatureHeader) {
+        throw new ThorMailError('Missing ThorMail webhook signature headers', 401, 'WEBHOOK_MISSING_HEADERS');
+    }
+
+    const tolerance = options.tolerance ?? 300;
+    const now = options.now ?? Math.floor(Date.now() / 1000);
+    const sentAt = parseInt(timestamp, 10);
+    if (isNaN(sentAt) || Math.abs(now - sentAt) > tolerance) {
+        throw new ThorMailError(
+            'Webhook timestamp is outside the allowed tolerance',
+            401,
+            'WEBHOOK_TIMESTAMP_OUT_OF_RANGE',
+            null,
+            { timestamp: sentAt, tolerance }
+        );
+    }
+
+    const body = Buffer.from(rawBody);
+    const signed = Buffer.concat([Buffer.from(`${id}.${timestamp}.`), body]);
+    const expected = secrets.map(key => crypto.createHmac('sha256', key).update(signed).digest());
+
+    const valid = signatureHeader.split(' ').some(entry => {
+        const [scheme, value] = entry.split('=');
+        if (scheme !== 'v1' || !value) return false;
+        const provided = Buffer.from(value, 'hex');
+        return expected.some(digest => digest.length === provided.length && crypto.timingSafeEqual(digest, provided));
+    });
+
+    if (!valid) {
+        throw new ThorMailError('Invalid webhook signature', 401, 'WEBHOOK_INVALID_SIGNATURE');
+    }
+
+    const event = parseWebhookEvent(body);
+    if (event.id !== id) {
+        throw new ThorMailError('Webhook id header does not match payload', 400, 'WEBHOOK_INVALID_PAYLOAD');
+    }
+    return event;
+}
+
+/**
+ * Creates the default in-memory replay store
+ * @returns {WebhookReplayStore}
+ * @private
+ */
+function createMemoryReplayStore() {
+    /** @type {Map<string, number>} */
+    const seen = new Map();
+
+    const prune = () => {
+        const now = Date.now();
+        for (const [id, expiresAt] of seen) {
+            if (expiresAt <= now) seen.delete(id);
+        }
+    };
+
+    return {
+        add(id, ttlMs) {
+            prune();
+            if (seen.has(id)) return false;
+            seen.set(id, Date.now() + ttlMs);
+            return true;
+        },
+        delete(id) {
+            seen.delete(id);
+        }
+    };
+}
+
+/**
+ * Reads the raw webhook body from a request, using an already captured body when available
+ * @param {Object} req - Framework request (Express, Fastify or node:http)
+ * @param {import('node:http').IncomingMessage} stream - Underlying Node.js request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<string|Buffer>}
+ * @private
+ */
+function readRawBody(req, stream, limit) {
+    const captured = req.rawBody ?? req.body;
+    if (typeof captured === 'string' || Buffer.isBuffer(captured)) {
+        return Promise.resolve(captured);
+    }
+    if (captured !== undefined && captured !== null) {
+        return Promise.reject(new ThorMailError(
+            'Raw request body is not available (a JSON body parser ran before the webhook handler)',
+            500,
+            'WEBHOOK_RAW_BODY_UNAVAILABLE'
+        ));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                stream.removeListener('data', onData);
+                stream.resume(); // Drain the rest so the response can still be sent
+                reject(new ThorMailError(`Webhook body exceeds ${limit} bytes`, 413, 'WEBHOOK_BODY_TOO_LARGE'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        stream.on('data', onData);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Creates a request handler that receives ThorMail webhooks
+ *
+ * The handler captures the raw body, verifies the signature, rejects replayed
+ * event ids and dispatches the event to the matching `on*` handlers. It answers
+ * 200 once every handler resolved, 4xx for rejected requests and 500 if a handler
+ * throws (the event id is then forgotten so ThorMail's redelivery is processed).
+ *
+ * Works as a plain `node:http` listener, as Express middleware and as a Fastify
+ * route handler (register a raw `application/json` content-type parser first).
+ *
+ * @param {WebhookHandlerOptions} options - Secret, handlers and limits
+ * @returns {function(Object, Object): Promise<void>} Request handler
+ * @throws {Error} If the secret is missing
+ *
+ * @example
+ * ```javascript
+ * import { createWebhookHandler } from '@thormail/client';
+ *
+ * const thormailWebhook = createWebhookHandler({
+ *   secret: process.env.THORMAIL_WEBHOOK_SECRET,
+ *   onBounce: (event) => markBounced(event.to, event.reason),
+ *   onComplaint: (event) => unsubscribe(event.to)
+ * });
+ *
+ * // node:http
+ * http.createServer(thormailWebhook).listen(3000);
+ *
+ * // Express (do not put express.json() in front of it)
+ * app.post('/thormail/webhook', thormailWebhook);
+ * ```
+ */
+function createWebhookHandler(options = {}) {
+    const secrets = (Array.isArray(options.secret) ? options.secret : [options.secret]).filter(Boolean);
+    if (secrets.length === 0) {
+        throw new Error('createWebhookHandler: secret is required');
+    }
+
+    const tolerance = options.tolerance ?? 300;
+    const maxBodySize = options.maxBodySize ?? 1024 * 1024;
+    const replayStore = options.replayStore ?? createMemoryReplayStore();
+    // A timestamp is accepted within ±tolerance, so remember ids for the whole window
+    const replayTtl = tolerance * 2 * 1000;
+
+    return async function thormailWebhookHandler(req, res) {
+        // Fastify passes (request, reply) wrappers around the Node.js objects
+        const isFastify = Boolean(res && res.raw && typeof res.code === 'function');
+        const stream = isFastify ? req.raw : req;
+
+        const reply = (statusCode, body) => {
+            if (isFastify) {
+                res.code(statusCode).header('Content-Type', 'application/json').send(body);
+                return;
+            }
+            res.statusCode = statusCode;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+        };
+
+        try {
+            if (stream.method !== 'POST') {
+                throw new ThorMailError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+            }
+
+            const rawBody = await readRawBody(req, stream, maxBodySize);
+            const event = verifyWebhook(rawBody, stream.headers, secrets, { tolerance });
+
+            // Check and claim the id in one step so concurrent deliveries run the handlers once
+            if (await replayStore.add(event.id, replayTtl) === false) {
+                reply(200, { received: true, duplicate: true });
+                return;
+            }
+
+            try {
+                for (const name of [...WEBHOOK_STATUS_HANDLERS[event.status], 'onEvent']) {
+                    if (typeof options[name] === 'function') {
+                        await options[name](event);
+                    }
+                }
+            } catch (err) {
+                await replayStore.delete(event.id);
+                throw err;
+            }
+
+            reply(200, { received: true });
+        } catch (err) {
+            // A failing onError must not leave the request without a response
+            if (typeof options.onError === 'function') {
+                try {
+                    options.onError(err);
+                } catch {
+                    // Ignored: the error response below still goes out
+                }
+            }
+
+            const isClientError = err instanceof ThorMailError && err.statusCode >= 400 && err.statusCode < 500;
+            reply(isClientError ? err.statusCode : 500, {
+                error: isClientError ? err.message : 'Webhook processing failed',
+                code: err instanceof ThorMailError ? err.code : null
+            });
+        }
+    };
+}
+
+// ============================================================================
+// Nodemailer Transport
+// ============================================================================
+
+/**
+ * @typedef {Object} ThorMailTransportInfo
+ * @property {string|null} messageId - ThorMail queue ID of the message, null while it waits in the outbox
+ * @property {{from: string|null, to: string[]}} envelope - Sender and every to/cc/bcc address
+ * @property {string[]} accepted - Addresses handed to ThorMail
+ * @property {string[]} rejected - Always empty: delivery failures show up in the job status
+ * @property {string} response - `accepted`, or `outboxed` when the API was unavailable
+ * @property {SendResponse} thormail - Raw `send()` response
+ */
+
+/**
+ * Parses Nodemailer addresses: `'a@x.com, "Doe, Jo" <jo@x.com>'`, `{name, address}` or arrays of both
+ * @param {string|Object|Array} value - Address field of a Nodemailer message
+ * @returns {Array<{name: string, address: string}>}
+ * @private
+ */
+function parseMailAddresses(value) {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) return value.flatMap(parseMailAddresses);
+    if (typeof value === 'object') {
+        return value.address ? [{ name: value.name || '', address: String(value.address).trim() }] : [];
+    }
+
+    // Split on commas/semicolons outside quoted names and <...>
+    const parts = [];
+    let part = '';
+    let quoted = false;
+    let bracketed = false;
+    for (const char of String(value)) {
+        if (char === '"') quoted = !quoted;
+        else if (char === '<' && !quoted) bracketed = true;
+        else if (char === '>' && !quoted) bracketed = false;
+        if ((char === ',' || char === ';') && !quoted && !bracketed) {
+            parts.push(part);
+            part = '';
+        } else {
+            part += char;
+        }
+    }
+    parts.push(part);
+
+    return parts.map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const match = entry.match(/^(.*)<([^>]*)>\s*$/);
+        if (!match) return { name: '', address: entry };
+        return { name: match[1].trim().replace(/^"(.*)"$/, '$1'), address: match[2].trim() };
+    });
+}
+
+/**
+ * Formats an address for the `from` key: `"Name" <address>` or the bare address
+ * @param {{name: string, address: string}} entry - Parsed address
+ * @returns {string}
+ * @private
+ */
+function formatMailAddress({ name, address }) {
+    return name ? `"${name.replace(/"/g, '\\"')}" <${address}>` : address;
+}
+
+/**
+ * Resolves Nodemailer content (string, Buffer, stream, `{content}` or local `{path}`)
+ * @param {any} value - html, text or attachment content
+ * @returns {Promise<string|Buffer>}
+ * @private
+ */
+async function readMailContent(value) {
+    if (typeof value === 'string' || Buffer.isBuffer(value)) return value;
+    if (value instanceof Uint8Array) return Buffer.from(value);
+    if (value && typeof value[Symbol.asyncIterator] === 'function') {
+        const chunks = [];
+        for await (const chunk of value) {
+            chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+    if (value && typeof value === 'object' && value.content !== undefined) {
+        return readMailContent(value.content);
+    }
+    if (value && typeof value === 'object' && typeof value.path === 'string') {
+        try {
+            return await require('node:fs/promises').readFile(value.path);
+        } catch (err) {
+            throw new ThorMailError(`Cannot read "${value.path}": ${err.message}`, 400, 'VALIDATION_ERROR');
+        }
+    }
+    throw new ThorMailError('Unsupported content, use a string, Buffer, stream or local path', 400, 'VALIDATION_ERROR');
+}
+
+/**
+ * Maps a Nodemailer attachment onto a ThorMail attachment. Remote files stay
+ * URLs for the adapter to download; local files, Buffers and streams are sent
+ * inline (base64), since adapters never read the sender's disk.
+ * @param {Object} attachment - Nodemailer attachment
+ * @param {number} index - Position, used in error messages
+ * @returns {Promise<MessageAttachment>}
+ * @private
+ */
+async function toMessageAttachment(attachment, index) {
+    const location = attachment.href ?? attachment.path;
+    const remote = typeof location === 'string' && /^https?:\/\//i.test(location);
+    const filename = attachment.filename
+        || (typeof location === 'string' ? location.split(/[\\/]/).pop().split('?')[0] : '')
+        || `attachment-${index + 1}`;
+
+    const result = { filename };
+    if (attachment.contentType) result.contentType = attachment.contentType;
+    if (attachment.cid) result.cid = attachment.cid;
+
+    if (attachment.content === undefined && remote) {
+        result.path = location;
+        return result;
+    }
+    if (attachment.content === undefined && location === undefined) {
+        throw new ThorMailError(`Attachment "${filename}" needs "content", "path" or "href"`, 400, 'VALIDATION_ERROR');
+    }
+
+    const content = await readMailContent(attachment.content !== undefined ? attachment.content : { path: location });
+    if (typeof content === 'string') {
+        result.content = content;
+        if (attachment.encoding) result.encoding = attachment.encoding;
+    } else {
+        result.content = content.toString('base64');
+        result.encoding = 'base64';
+    }
+    return result;
+}
+
+/**
+ * Flattens Nodemailer headers (object, `{key, value}` list or `{prepared, value}` values)
+ * @param {Object|Array} headers - Nodemailer headers
+ * @returns {Object<string, string>}
+ * @private
+ */
+function toMessageHeaders(headers) {
+    const entries = Array.isArray(headers)
+        ? headers.map(header => [header.key, header.value])
+        : Object.entries(headers);
+    const result = {};
+    for (const [key, value] of entries) {
+        const values = [].concat(value).map(item => item && typeof item === 'object' ? item.value : item);
+        result[key] = values.filter(item => item !== undefined && item !== null).map(String).join(', ');
+    }
+    return result;
+}
+
+/**
+ * Converts a Nodemailer message into `send()` fields: `html` becomes the body and
+ * `cc`, `bcc`, `replyTo`, `text`, `attachments` and `headers` go to the `data`
+ * keys the email adapters read
+ * @param {Object} mail - Nodemailer message options (`mail.data`)
+ * @returns {Promise<{to: string, from: string|null, envelope: string[], payload: Object}>}
+ * @throws {ThorMailError} VALIDATION_ERROR if the message has no `to` address or several
+ * @private
+ */
+async function fromNodemailerMessage(mail) {
+    const recipients = parseMailAddresses(mail.to).map(entry => entry.address);
+    const cc = parseMailAddresses(mail.cc).map(entry => entry.address);
+    const bcc = parseMailAddresses(mail.bcc).map(entry => entry.address);
+    const [from] = parseMailAddresses(mail.from);
+    const [replyTo] = parseMailAddresses(mail.replyTo);
+
+    if (recipients.length === 0) {
+        throw new ThorMailError('Missing or invalid "to" field', 400, 'VALIDATION_ERROR');
+    }
+    // A ThorMail message has a single "to"; adapters only read extra addresses from cc/bcc
+    if (recipients.length > 1) {
+        throw new ThorMailError(
+            `A message has a single "to" address (got ${recipients.length}); put the others in "cc"/"bcc" or call sendMail() once per recipient`,
+            400,
+            'VALIDATION_ERROR'
+        );
+    }
+
+    const html = mail.html !== undefined ? String(await readMailContent(mail.html)) : undefined;
+    const text = mail.text !== undefined ? String(await readMailContent(mail.text)) : undefined;
+    if (html === undefined && text === undefined) {
+        throw new ThorMailError('A message needs "html" or "text"', 400, 'VALIDATION_ERROR');
+    }
+
+    const data = {};
+    // Adapters send from their configured address; `from` is forwarded for templates and custom adapters
+    if (from) data.from = formatMailAddress(from);
+    if (cc.length > 0) data.cc = cc;
+    if (bcc.length > 0) data.bcc = bcc;
+    if (replyTo) data.replyTo = replyTo.address;
+    if (text !== undefined) data.text = text;
+    if (mail.headers && Object.keys(mail.headers).length > 0) data.headers = toMessageHeaders(mail.headers);
+    if (Array.isArray(mail.attachments) && mail.attachments.length > 0) {
+        data.attachments = await Promise.all(mail.attachments.map(toMessageAttachment));
+    }
+
+    // The body is HTML; text-only messages are escaped so line breaks survive
+    const body = html !== undefined
+        ? html
+        : text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r?\n/g, '<br>\n');
+
+    const payload = { type: 'EMAIL', body };
+    if (mail.subject !== undefined) payload.subject = String(mail.subject);
+    if (Object.keys(data).length > 0) payload.data = data;
+    return { to: recipients[0], from: from ? from.address : null, envelope: [...recipients, ...cc, ...bcc], payload };
+}
+
+/**
+ * Creates a Nodemailer transport that queues messages through ThorMail
+ *
+ * Existing `nodemailer` code keeps calling `sendMail()`; each message goes to
+ * `client.send()` (outbox included) and `info.messageId` is the ThorMail queue
+ * ID. Messages with several `to` addresses are rejected: adapters deliver to a
+ * single `to`, so extra recipients belong in `cc`/`bcc`. Nodemailer itself is
+ * not a dependency of this package.
+ *
+ * @param {ThorMailClient} client - Client used to queue the messages
+ * @returns {{name: string, version: string, send: function(Object, function(Error|null, ThorMailTransportInfo=): void): void, verify: function(function(Error|null, boolean=): void=): (Promise<boolean>|void)}} Nodemailer transport object
+ *
+ * @example
+ * ```javascript
+ * const nodemailer = require('nodemailer');
+ * const { createClient, thormailTransport } = require('@thormail/client');
+ *
+ * const transporter = nodemailer.createTransport(thormailTransport(createClient(config)));
+ *
+ * const info = await transporter.sendMail({
+ *   from: '"Billing" <billing@example.com>',
+ *   to: 'user@example.com',
+ *   subject: 'Your invoice',
+ *   html: '<p>Attached.</p>',
+ *   attachments: [{ filename: 'invoice.pdf', path: './invoice.pdf' }]
+ * });
+ * console.log(info.messageId); // ThorMail queue ID
+ * ```
+ */
+function thormailTransport(client) {
+    if (!client || typeof client.send !== 'function') {
+        throw new Error('thormailTransport: a ThorMailClient is required');
+    }
+
+    const deliver = async (mail) => {
+        const { to, from, envelope, payload } = await fromNodemailerMessage(mail.data || {});
+        const result = await client.send({ ...payload, to });
+
+        return {
+            messageId: result.id === null || result.id === undefined ? null : String(result.id),
+            envelope: { from, to: envelope },
+            accepted: envelope,
+            rejected: [],
+            response: result.status,
+            thormail: result
+        };
+    };
+
+    return {
+        name: 'ThorMail',
+        version: require('../package.json').version,
+
+        /**
+         * Called by Nodemailer for every `sendMail()`
+         * @param {Object} mail - Nodemailer mail object (`mail.data` holds the message options)
+         * @param {function(Error|null, ThorMailTransportInfo=): void} callback - Nodemailer callback
+         */
+        send(mail, callback) {
+            deliver(mail).then(info => callback(null, info), callback);
+        },
+
+        /**
+         * Checks the connection and credentials (`transporter.verify()`)
+         * @param {function(Error|null, boolean=): void} [callback] - Nodemailer callback
+         * @returns {Promise<boolean>|void} Promise when no callback is given
+         */
+        verify(callback) {
+            const check = client.listMessages({ limit: 1 }).then(() => true);
+            if (typeof callback !== 'function') return check;
+            check.then(ok => callback(null, ok), callback);
+        }
+    };
+}
+
+// ============================================================================
+// Testing Utilities
+// ============================================================================
+
+/**
+ * @typedef {Object} MockFailure
+ * @property {number} status - HTTP status to answer with (0 simulates a network error)
+ * @property {string} [code] - Error code in the response body
+ * @property {string} [error] - Error message in the response body
+ * @property {number} [retryAfter] - Retry-After header in seconds
+ * @property {string} [endpoint] - Only fail requests whose endpoint starts with this (e.g. '/v1/send-batch')
+ * @property {number} [times=1] - Number of requests to fail
+ */
+
+/**
+ * @typedef {Object} MockSentMessage
+ * @property {number} id - Fake queue ID
+ * @property {string} to - Recipient identifier
+ * @property {boolean} batch - Whether the message was queued through sendBatch
+ * @property {string|null} idempotencyKey - Idempotency key sent with the request
+ * @property {string} queuedAt - ISO 8601 time the mock accepted the message
+ */
+
+/**
+ * Creates a ThorMailClient backed by an in-memory fake of the ThorMail API
+ *
+ * Requests go through the real client (validation, retries, error mapping), so
+ * scripted failures exercise the same code paths as production. Backoff delays
+ * default to 0 so retry tests run instantly.
+ *
+ * @param {Partial<ThorMailConfig>} [config] - Client configuration overrides
+ * @returns {ThorMailClient & {mock: Object}} Client with a `mock` controller
+ *
+ * @example
+ * ```javascript
+ * import { createMockClient } from '@thormail/client';
+ *
+ * const client = createMockClient();
+ * await sendWelcomeEmail(client, 'user@example.com');
+ *
+ * assert.equal(client.mock.sent.length, 1);
+ * assert.equal(client.mock.sent[0].templateId, 'welcome');
+ *
+ * // Exercise retry paths
+ * client.mock.failNext({ status: 503, times: 2 });
+ * client.mock.suppress('blocked@example.com');
+ * ```
+ */
+function createMockClient(config = {}) {
+    /** @type {MockSentMessage[]} */
+    const sent = [];
+    /** @type {Array<{method: string, endpoint: string, headers: Object, body: Object|null}>} */
+    const requests = [];
+    /** @type {MockFailure[]} */
+    const failures = [];
+    const suppressed = new Set();
+    const revokedKeys = new Set();
+    const idempotent = new Map();
+    let nextId = 1;
+
+    const json = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+
+    const suppressedError = (to) => json(403, {
+        error: `Recipient ${to} is on the suppression list`,
+        code: 'suppression_list'
+    });
+
+    const queue = (message, batch, idempotencyKey) => {
+        const record = {
+            ...message,
+            id: nextId++,
+            batch,
+            idempotencyKey: idempotencyKey ?? null,
+            queuedAt: new Date().toISOString()
+        };
+        sent.push(record);
+        return record;
+    };
+
+    const mockFetch = async (url, init = {}) => {
+        const { pathname } = new URL(url);
+        const endpoint = pathname.startsWith('/v1/') ? pathname : pathname.slice(pathname.indexOf('/v1/'));
+        const method = init.method || 'GET';
+        const headers = { ...(init.headers || {}) };
+        const body = init.body ? JSON.parse(init.body) : null;
+        requests.push({ method, endpoint, headers, body });
+
+        if (revokedKeys.has(headers['X-API-Key'])) {
+            return json(401, { error: 'Invalid API key', code: 'INVALID_API_KEY' });
+        }
+
+        // Scripted failures take precedence over normal handling
+        const failureIndex = failures.findIndex(f => !f.endpoint || endpoint.startsWith(f.endpoint));
+        if (failureIndex !== -1) {
+            const failure = failures[failureIndex];
+            if (--failure.times <= 0) {
+                failures.splice(failureIndex, 1);
+            }
+            if (failure.status === 0) {
+                throw new TypeError('fetch failed');
+            }
+            return json(
+                failure.status,
+                { error: failure.error || `Mock failure (${failure.status})`, code: failure.code || null },
+                failure.retryAfter ? { 'Retry-After': String(failure.retryAfter) } : {}
+            );
+        }
+
+        if (method === 'POST' && endpoint === '/v1/send') {
+            if (suppressed.has(body.to)) {
+                return suppressedError(body.to);
+            }
+            const key = headers['x-idempotency-key'];
+            if (key && idempotent.has(key)) {
+                return json(200, idempotent.get(key), { 'Idempotent-Replayed': 'true' });
+            }
+            const record = queue(body, false, key);
+            const response = { id: record.id, status: 'accepted' };
+            if (key) idempotent.set(key, response);
+            return json(200, response);
+        }
+
+        if (method === 'POST' && endpoint === '/v1/send-batch') {
+            const { emails, ...shared } = body;
+            const blocked = emails.find(r => suppressed.has(r.to));
+            if (blocked) {
+                return suppressedError(blocked.to);
+            }
+            const batchKey = headers['x-idempotency-key'];
+            if (batchKey && idempotent.has(batchKey)) {
+                return json(200, idempotent.get(batchKey), { 'Idempotent-Replayed': 'true' });
+            }
+            // Recipients whose key was already seen keep their original queue ID
+            const ids = emails.map(({ idempotencyKey: key, ...r }) => {
+                if (key && idempotent.has(key)) return idempotent.get(key).id;
+                const record = queue({ ...shared, ...r, data: { ...(shared.data || {}), ...(r.data || {}) } }, true, key);
+                if (key) idempotent.set(key, { id: record.id, status: 'accepted' });
+                return record.id;
+            });
+            const response = { status: 'accepted', count: ids.length, ids };
+            if (batchKey) idempotent.set(batchKey, response);
+            return json(200, response);
+        }
+
+        const statusMatch = method === 'GET' && endpoint.match(/^\/v1\/status\/(\d+)$/);
+        if (statusMatch) {
+            const record = sent.find(m => m.id === Number(statusMatch[1]));
+            return record
+                ? json(200, { status: 'pending', created_at: record.queuedAt })
+                : json(404, { error: 'Job not found' });
+        }
+
+        if (method === 'POST' && endpoint === '/v1/status-batch') {
+            const data = body.ids
+                .map(id => sent.find(m => m.id === Number(id)))
+                .filter(Boolean)
+                .map(record => ({ id: record.id, status: 'pending', created_at: record.queuedAt }));
+            return json(200, { data });
+        }
+
+        return json(404, { error: `Endpoint ${method} ${endpoint} is not implemented by the mock client` });
+    };
+
+    const client = new ThorMailClient({
+        baseUrl: 'http://thormail.mock',
+        workspaceId: 'mock-workspace',
+        apiKey: 'mock-api-key',
+        ...config,
+        retry: { baseDelay: 0, maxDelay: 0, ...(config.retry || {}) },
+        fetch: mockFetch
+    });
+
+    client.mock = Object.freeze({
+        /** Messages accepted by send/sendBatch, in order */
+        sent,
+        /** Every HTTP attempt, including retries */
+        requests,
+
+        /**
+         * Make the next matching request(s) fail
+         * @param {MockFailure} failure - Failure to script
+         * @returns {Object} The mock controller, for chaining
+         */
+        failNext(failure) {
+            failures.push({ times: 1, ...failure });
+            return client.mock;
+        },
+
+        /**
+         * Reject sends to an address with a 403 `suppression_list` error
+         * @param {string} address - Recipient to suppress
+         * @returns {Object} The mock controller, for chaining
+         */
+        suppress(address) {
+            suppressed.add(address);
+            return client.mock;
+        },
+
+        /**
+         * Reject every request made with an API key with a 401 (key rotation tests)
+         * @param {string} apiKey - Key to revoke
+         * @returns {Object} The mock controller, for chaining
+         */
+        revokeApiKey(apiKey) {
+            revokedKeys.add(apiKey);
+            return client.mock;
+        },
+
+        /**
+         * Messages sent to a given recipient
+         * @param {string} address - Recipient identifier
+         * @returns {MockSentMessage[]}
+         */
+        sentTo(address) {
+            return sent.filter(m => m.to === address);
+        },
+
+        /** Clears recorded messages, requests, scripted failures, suppressions and revoked keys */
+        reset() {
+            sent.length = 0;
+            requests.length = 0;
+            failures.length = 0;
+            suppressed.clear();
+            revokedKeys.clear();
+            idempotent.clear();
+            nextId = 1;
+        }
+    });
+
+    return client;
+}
+
 // ============================================================================
 // Exports
 // ============================================================================
@@ -798,13 +5521,29 @@ function createClient(config) {
 // CommonJS exports
 module.exports = {
     ThorMailClient,
+    ThorMailPool,
     ThorMailError,
-    createClient
+    MessageBuilder,
+    createClient,
+    verifyWebhook,
+    parseWebhookEvent,
+    createWebhookHandler,
+    thormailTransport,
+    createMockClient,
+    WEBHOOK_STATUSES
 };
 
 // ES Module default export
 module.exports.default = {
     ThorMailClient,
+    ThorMailPool,
     ThorMailError,
-    createClient
+    MessageBuilder,
+    createClient,
+    verifyWebhook,
+    parseWebhookEvent,
+    createWebhookHandler,
+    thormailTransport,
+    createMockClient,
+    WEBHOOK_STATUSES
 };
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+test('build maps email options onto data and merges per-recipient data', () => {
+    const { client } = createTestClient();
+
+    const payload = client.message()
+        .to('user@example.com', { name: 'Ada' })
+        .subject('Your invoice')
+        .template('invoice', { number: 'INV-42' })
+        .cc('a@example.com', ['b@example.com'])
+        .replyTo('billing@example.com')
+        .header('X-Campaign', 'spring')
+        .attach({ filename: 'INV-42.pdf', path: 'https://files.example.com/INV-42.pdf' })
+        .build();
+
+    assert.deepEqual(payload, {
+        type: 'EMAIL',
+        to: 'user@example.com',
+        subject: 'Your invoice',
+        templateId: 'invoice',
+        data: {
+            number: 'INV-42',
+            name: 'Ada',
+            cc: ['a@example.com', 'b@example.com'],
+            replyTo: 'billing@example.com',
+            headers: { 'X-Campaign': 'spring' },
+            attachments: [{ filename: 'INV-42.pdf', path: 'https://files.example.com/INV-42.pdf' }]
+        }
+    });
+});
+
+test('build checks the recipient format for the message type', () => {
+    const { client } = createTestClient();
+
+    assert.throws(() => client.message().type('SMS').to('user@example.com').body('x').build(), { code: 'VALIDATION_ERROR', message: /phone/i });
+    assert.throws(() => client.message().type('WEBHOOK').to('ftp://hooks.example.com').body('x').build(), { code: 'VALIDATION_ERROR' });
+    assert.throws(() => client.message().to(['a@example.com', 'not-an-email']).body('x').build(), { message: /index 1/ });
+    assert.equal(client.message().type('SMS').to('+14155550123').body('x').build().to, '+14155550123');
+});
+
+test('build rejects incomplete or inconsistent messages', () => {
+    const { client } = createTestClient();
+
+    assert.throws(() => client.message().body('x').build(), { code: 'VALIDATION_ERROR', message: /"to"/ });
+    assert.throws(() => client.message().to('user@example.com').build(), { message: /"body" or a "templateId"/ });
+    assert.throws(() => client.message().type('SMS').to('+14155550123').body('x').cc('a@example.com').build(), { message: /only supported for EMAIL/ });
+    assert.throws(() => client.message().type('FAX'), { code: 'VALIDATION_ERROR' });
+    assert.throws(() => client.message().attach({ filename: 'a.pdf', path: '/etc/passwd' }), { message: /http\(s\) URL/ });
+    assert.throws(() => client.message().to(['a@example.com', 'b@example.com'], { name: 'x' }), { message: /single recipient/ });
+});
+
+test('build enforces the schedule limits for one and several recipients', () => {
+    const { client } = createTestClient();
+    const inDays = days => new Date(Date.now() + days * 86400000);
+
+    assert.throws(() => client.message().to('a@example.com').body('x').scheduleAt(inDays(-1)).build(), { message: /in the future/ });
+    assert.throws(() => client.message().to('a@example.com').body('x').scheduleAt(inDays(4)).build(), { message: /3 days/ });
+    assert.ok(client.message().to(['a@example.com', 'b@example.com']).body('x').scheduleAt(inDays(4)).build().scheduledAt);
+    assert.throws(() => client.message().to('a@example.com').scheduleAt('not a date'), { code: 'VALIDATION_ERROR' });
+});
+
+test('send uses send() for one recipient and sendBatch() for several', async () => {
+    const { client, fetch } = createTestClient(request => ({
+        body: request.path === '/v1/send-batch' ? { status: 'accepted', count: 2, ids: [1, 2] } : { id: 1, status: 'accepted' }
+    }));
+
+    await client.message().to('a@example.com').body('Hi').send();
+    await client.message().to(['a@example.com', { to: 'b@example.com', data: { name: 'B' } }]).body('Hi').bcc('audit@example.com').send();
+
+    assert.deepEqual(fetch.calls.map(call => call.path), ['/v1/send', '/v1/send-batch']);
+    assert.deepEqual(fetch.calls[1].body.emails, [{ to: 'a@example.com' }, { to: 'b@example.com', data: { name: 'B' } }]);
+    assert.deepEqual(fetch.calls[1].body.data, { bcc: ['audit@example.com'] });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+const recipients = count => Array.from({ length: count }, (_, i) => ({ to: `user${i}@example.com` }));
+const accept = request => ({ body: { status: 'accepted', count: request.body.emails.length, ids: request.body.emails.map((_, i) => i + 1) } });
+
+test('sendBulk splits recipients into chunks and aggregates the results', async () => {
+    const { client, fetch } = createTestClient(accept);
+
+    const result = await client.sendBulk({ templateId: 'news', emails: recipients(1203) });
+
+    assert.deepEqual(fetch.calls.map(call => call.body.emails.length).sort(), [203, 500, 500]);
+    assert.ok(fetch.calls.every(call => call.body.templateId === 'news'));
+    assert.equal(result.status, 'completed');
+    assert.equal(result.queued, 1203);
+    assert.equal(result.ids.length, 1203);
+    assert.equal(result.cursor, null);
+});
+
+test('sendBulk stops after a failed chunk and returns the cursor to resume from', async () => {
+    const { client } = createTestClient((request, i) => i === 1 ? { status: 400, body: { error: 'Bad', code: 'VALIDATION_ERROR' } } : accept(request));
+
+    const result = await client.sendBulk({ body: 'x', emails: recipients(30) }, { chunkSize: 10, concurrency: 1 });
+
+    assert.equal(result.status, 'partial');
+    assert.equal(result.queued, 10);
+    assert.equal(result.failed, 10);
+    assert.equal(result.cursor, 10);
+    assert.equal(result.chunks[1].error.code, 'VALIDATION_ERROR');
+});
+
+test('sendBulk keeps every worker running when onProgress throws', async () => {
+    const { client, fetch } = createTestClient(accept);
+    let calls = 0;
+
+    const result = await client.sendBulk({ body: 'x', emails: recipients(40) }, {
+        chunkSize: 10,
+        concurrency: 2,
+        onProgress: () => {
+            calls++;
+            throw new Error('progress bar crashed');
+        }
+    });
+
+    assert.equal(calls, 4);
+    assert.equal(fetch.calls.length, 4);
+    assert.equal(result.status, 'completed');
+    assert.equal(result.queued, 40);
+});
+
+test('sendBulk with autoIdempotency derives recipient keys that a resume from cursor reuses', async () => {
+    const { client, fetch } = createTestClient((request, i) => i === 1 ? { status: 400, body: { error: 'Bad', code: 'VALIDATION_ERROR' } } : accept(request), { autoIdempotency: true });
+    const emails = recipients(30);
+    emails[25].idempotencyKey = 'own-key';
+
+    const first = await client.sendBulk({ body: 'x', emails }, { chunkSize: 10, concurrency: 1 });
+    const failedChunk = fetch.calls[1].body.emails.map(recipient => recipient.idempotencyKey);
+    await client.sendBulk({ body: 'x', emails, idempotencyKey: first.idempotencyKey }, { chunkSize: 10, concurrency: 1, cursor: first.cursor });
+
+    assert.equal(typeof first.idempotencyKey, 'string');
+    assert.equal(fetch.calls[0].body.emails[3].idempotencyKey, `${first.idempotencyKey}:r3`);
+    assert.equal(fetch.calls[0].headers['x-idempotency-key'], `${first.idempotencyKey}:0`);
+    assert.deepEqual(fetch.calls[2].body.emails.map(recipient => recipient.idempotencyKey), failedChunk);
+    assert.equal(fetch.calls[2].headers['x-idempotency-key'], fetch.calls[1].headers['x-idempotency-key']);
+    assert.equal(fetch.calls[3].body.emails[5].idempotencyKey, 'own-key');
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+/**
+ * Client whose API answers from a switchable status, with a short cooldown
+ * @returns {{client: Object, fetch: Object, setStatus: function(number): void, transitions: string[]}}
+ */
+function breakerClient() {
+    let status = 503;
+    const transitions = [];
+    const { client, fetch } = createTestClient(() => ({ status, body: status === 200 ? { id: 1, status: 'accepted' } : { error: 'Down' } }), {
+        retry: { maxRetries: 0 },
+        circuitBreaker: {
+            failureThreshold: 3,
+            cooldown: 50,
+            onStateChange: ({ from, state }) => transitions.push(`${from}->${state}`)
+        }
+    });
+    return { client, fetch, setStatus: next => { status = next; }, transitions };
+}
+
+const send = client => client.send({ to: 'user@example.com', body: 'x' });
+
+test('the circuit opens after the failure threshold and fails fast', async () => {
+    const { client, fetch, transitions } = breakerClient();
+
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(send(client), { statusCode: 503 });
+    }
+    assert.equal(client.getCircuitState().state, 'open');
+
+    await assert.rejects(send(client), err => err.isCircuitOpen() && err.retryAfter >= 0);
+    assert.equal(fetch.calls.length, 3);
+    assert.deepEqual(transitions, ['closed->open']);
+});
+
+test('a successful probe after the cooldown closes the circuit', async () => {
+    const { client, setStatus, transitions } = breakerClient();
+    for (let i = 0; i < 3; i++) await send(client).catch(() => { });
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(client.getCircuitState().state, 'half-open');
+    setStatus(200);
+    await send(client);
+
+    assert.equal(client.getCircuitState().state, 'closed');
+    assert.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+});
+
+test('a failed probe reopens the circuit and only one probe runs at a time', async () => {
+    const { client, fetch, transitions } = breakerClient();
+    for (let i = 0; i < 3; i++) await send(client).catch(() => { });
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const results = await Promise.allSettled([send(client), send(client)]);
+
+    assert.equal(fetch.calls.length, 4);
+    assert.deepEqual(results.map(result => result.reason.code ?? result.reason.statusCode).sort(), [503, 'CIRCUIT_OPEN'].sort());
+    assert.equal(client.getCircuitState().state, 'open');
+    assert.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->open']);
+});
+
+test('non-retryable errors do not count as failures', async () => {
+    const { client, setStatus } = breakerClient();
+    setStatus(400);
+
+    for (let i = 0; i < 5; i++) {
+        await assert.rejects(send(client), { statusCode: 400 });
+    }
+    assert.equal(client.getCircuitState().state, 'closed');
+    assert.equal(client.getCircuitState().failures, 0);
+});
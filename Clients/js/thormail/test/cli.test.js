@@ -0,0 +1,158 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const { main, EXIT_CODES } = require('../bin/thormail.js');
+const { version } = require('../package.json');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'thormail-cli-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+/**
+ * Starts a local API answering with `handler(request)` ({status, body})
+ * @returns {Promise<{baseUrl: string, requests: Object[], close: function(): Promise<void>}>}
+ */
+async function startApi(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let text = '';
+        req.on('data', chunk => { text += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, path: req.url, headers: req.headers, body: text ? JSON.parse(text) : null };
+            requests.push(request);
+            const { status = 200, body = {} } = handler(request);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/** Runs the CLI with captured output */
+async function run(argv, env = {}) {
+    const out = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: text => { out.stdout += text; } },
+        stderr: { write: text => { out.stderr += text; } },
+        env: { THORMAIL_CONFIG: path.join(tmp, 'missing.json'), ...env }
+    };
+    const code = await main(argv, io);
+    return { code, ...out };
+}
+
+const connection = api => ({ THORMAIL_BASE_URL: api.baseUrl, THORMAIL_WORKSPACE_ID: 'ws-1', THORMAIL_API_KEY: 'cli-key-0001' });
+
+test('prints the version and the usage', async () => {
+    assert.deepEqual(await run(['--version']), { code: EXIT_CODES.OK, stdout: `${version}\n`, stderr: '' });
+
+    const usage = await run([]);
+    assert.equal(usage.code, EXIT_CODES.USAGE);
+    assert.match(usage.stdout, /^Usage: thormail <command>/);
+
+    const unknown = await run(['launch']);
+    assert.equal(unknown.code, EXIT_CODES.USAGE);
+    assert.match(unknown.stderr, /Unknown command "launch"/);
+});
+
+test('fails with a usage error when connection settings are missing', async () => {
+    const { code, stderr } = await run(['send', '--to', 'user@example.com', '--body', 'Hi']);
+
+    assert.equal(code, EXIT_CODES.USAGE);
+    assert.match(stderr, /Missing connection settings: --base-url or THORMAIL_BASE_URL/);
+});
+
+test('send posts the message with the environment credentials and prints JSON', async () => {
+    const api = await startApi(() => ({ body: { id: 42, status: 'accepted' } }));
+    try {
+        const { code, stdout } = await run(['send', '--to', 'user@example.com', '--template', 'welcome', '--data', '{"name":"Ada"}', '--json'], connection(api));
+
+        assert.equal(code, EXIT_CODES.OK);
+        assert.deepEqual(JSON.parse(stdout), { id: 42, status: 'accepted' });
+        assert.equal(api.requests[0].path, '/v1/send');
+        assert.equal(api.requests[0].headers['x-api-key'], 'cli-key-0001');
+        assert.deepEqual(api.requests[0].body, { to: 'user@example.com', templateId: 'welcome', data: { name: 'Ada' } });
+    } finally {
+        await api.close();
+    }
+});
+
+test('maps API errors to exit codes', async () => {
+    const api = await startApi(() => ({ status: 404, body: { error: 'Job not found', code: 'NOT_FOUND' } }));
+    try {
+        const { code, stderr } = await run(['status', '999'], connection(api));
+
+        assert.equal(code, EXIT_CODES.NOT_FOUND);
+        assert.match(stderr, /\[NOT_FOUND\] \(HTTP 404\): Job not found/);
+    } finally {
+        await api.close();
+    }
+});
+
+test('config show reports each setting with its source and masks the key', async () => {
+    const file = path.join(tmp, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ staging: { baseUrl: 'https://staging.thormail.test', workspaceId: 'ws-9', apiKey: 'profile-key-1234' } }), { mode: 0o600 });
+
+    const { code, stdout } = await run(['config', 'show', '--profile', 'staging', '--workspace', 'ws-2', '--json'], { THORMAIL_CONFIG: file });
+    const shown = JSON.parse(stdout);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.deepEqual(shown.workspaceId, { value: 'ws-2', source: '--workspace' });
+    assert.equal(shown.baseUrl.source, `${file} [staging]`);
+    assert.ok(!stdout.includes('profile-key-1234'));
+});
+
+test('send-batch resumes from the cursor printed by a run whose first batch failed', async () => {
+    let calls = 0;
+    const api = await startApi(request => ++calls === 1
+        ? { status: 400, body: { error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' } }
+        : { body: { status: 'accepted', count: request.body.emails.length, ids: request.body.emails.map((_, i) => i + 1) } });
+    const csv = path.join(tmp, 'resume.csv');
+    fs.writeFileSync(csv, 'to\na@example.com\nb@example.com\n');
+    try {
+        const first = await run(['send-batch', '--csv', csv, '--template', 'welcome', '--json'], connection(api));
+        const { cursor } = JSON.parse(first.stdout);
+        assert.notEqual(first.code, EXIT_CODES.OK);
+        assert.equal(cursor, 0);
+
+        const resumed = await run(['send-batch', '--csv', csv, '--template', 'welcome', '--cursor', String(cursor), '--json'], connection(api));
+        const result = JSON.parse(resumed.stdout);
+
+        assert.equal(resumed.code, EXIT_CODES.OK);
+        assert.equal(result.queued, 2);
+        assert.equal(result.cursor, null);
+        assert.deepEqual(api.requests[1].body.emails, [{ to: 'a@example.com' }, { to: 'b@example.com' }]);
+    } finally {
+        await api.close();
+    }
+});
+
+test('send-batch sends the CSV rows and writes invalid rows to the rejects file', async () => {
+    const api = await startApi(request => ({ body: { status: 'accepted', count: request.body.emails.length, ids: request.body.emails.map((_, i) => i + 1) } }));
+    const csv = path.join(tmp, 'list.csv');
+    const rejects = path.join(tmp, 'rejects.csv');
+    fs.writeFileSync(csv, 'to,name\na@example.com,Ada\n,Nobody\nb@example.com,Bob\n');
+    try {
+        const { code, stdout } = await run(['send-batch', '--csv', csv, '--template', 'welcome', '--rejects', rejects, '--json'], connection(api));
+        const result = JSON.parse(stdout);
+
+        assert.equal(code, EXIT_CODES.USAGE);
+        assert.equal(result.queued, 2);
+        assert.equal(result.rejected, 1);
+        assert.deepEqual(api.requests[0].body.emails, [
+            { to: 'a@example.com', data: { name: 'Ada' } },
+            { to: 'b@example.com', data: { name: 'Bob' } }
+        ]);
+        assert.match(fs.readFileSync(rejects, 'utf8'), /^to,name,error\n,Nobody,/);
+    } finally {
+        await api.close();
+    }
+});
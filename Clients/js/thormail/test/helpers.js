@@ -0,0 +1,57 @@
+/**
+ * Shared test helpers: a recording fetch stub and a client wired to it
+ */
+
+'use strict';
+
+const { ThorMailClient } = require('../src/index.js');
+
+/**
+ * Creates a fetch stub that records every request and answers with `handler`
+ * @param {function(Object, number): (Object|Promise<Object>)} [handler] - Returns `{status, body, headers}`; throw to simulate a network error
+ * @returns {typeof fetch & {calls: Object[]}}
+ */
+function stubFetch(handler = () => ({})) {
+    const calls = [];
+    const fetch = async (url, init = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        const request = {
+            url,
+            method: init.method,
+            path: pathname,
+            query: Object.fromEntries(searchParams),
+            headers: init.headers,
+            body: init.body ? JSON.parse(init.body) : null,
+            signal: init.signal
+        };
+        calls.push(request);
+        const { status = 200, body = {}, headers = {} } = (await handler(request, calls.length - 1)) || {};
+        return new Response(status === 204 ? null : JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        });
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+/**
+ * Creates a client backed by a fetch stub, with near-instant retries
+ * @param {function(Object, number): Object} [handler] - Fetch stub handler
+ * @param {Object} [config] - Client configuration overrides
+ * @returns {{client: ThorMailClient, fetch: typeof fetch & {calls: Object[]}}}
+ */
+function createTestClient(handler, config = {}) {
+    const fetch = stubFetch(handler);
+    const client = new ThorMailClient({
+        baseUrl: 'https://api.thormail.test',
+        workspaceId: 'ws-1',
+        apiKey: 'primary-key-0001',
+        retry: { baseDelay: 1, maxDelay: 5 },
+        fetch,
+        ...config
+    });
+    return { client, fetch };
+}
+
+module.exports = { stubFetch, createTestClient };
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+test('hooks see every attempt and can add headers but never the API key', async () => {
+    const events = [];
+    const { client, fetch } = createTestClient((request, i) => i === 0
+        ? { status: 503, body: { error: 'Down' } }
+        : { body: { id: 1, status: 'accepted' } });
+    client.use({
+        onRequest: context => {
+            events.push(['request', context.attempt]);
+            assert.equal(context.headers['X-API-Key'], undefined);
+            context.headers['X-Trace'] = 'abc';
+        },
+        onResponse: context => events.push(['response', context.status]),
+        onRetry: context => events.push(['retry', context.error.statusCode])
+    });
+
+    await client.send({ to: 'user@example.com', body: 'Hi' });
+
+    assert.deepEqual(events, [['request', 1], ['response', 503], ['retry', 503], ['request', 2], ['response', 200]]);
+    assert.equal(fetch.calls[1].headers['X-Trace'], 'abc');
+    assert.equal(fetch.calls[1].headers['X-API-Key'], 'primary-key-0001');
+});
+
+test('an onRequest error aborts the call, other hook errors are ignored', async () => {
+    const { client, fetch } = createTestClient(() => ({ status: 400, body: { error: 'Bad' } }));
+    const errors = [];
+    client.use({
+        onResponse: () => {
+            throw new Error('metrics down');
+        },
+        onError: context => errors.push(context.error.statusCode)
+    });
+
+    await assert.rejects(client.send({ to: 'user@example.com', body: 'Hi' }), { statusCode: 400 });
+    assert.deepEqual(errors, [400]);
+
+    client.use({
+        onRequest: () => {
+            throw new Error('blocked by policy');
+        }
+    });
+    await assert.rejects(client.send({ to: 'user@example.com', body: 'Hi' }), { message: 'blocked by policy' });
+    assert.equal(fetch.calls.length, 1);
+});
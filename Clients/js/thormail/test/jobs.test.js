@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+const conflict = (code, details) => ({ status: 409, body: { error: 'Conflict', code, details } });
+
+test('cancel maps job state conflicts to JOB_PROCESSING / JOB_ALREADY_SENT', async () => {
+    const responses = [conflict(null, { status: 'processing' }), conflict('CONFLICT', { status: 'success' })];
+    const { client, fetch } = createTestClient((request, i) => responses[i]);
+
+    await assert.rejects(client.cancel(1), err => err.code === 'JOB_PROCESSING' && err.isJobLocked());
+    await assert.rejects(client.cancel(2), err => err.code === 'JOB_ALREADY_SENT' && err.isJobLocked());
+    assert.equal(fetch.calls[0].path, '/v1/cancel/1');
+});
+
+test('cancel keeps the server code for unrelated conflicts', async () => {
+    const responses = [conflict('IDEMPOTENCY_CONFLICT', null), conflict(null, { status: 'pending' })];
+    const { client } = createTestClient((request, i) => responses[i]);
+
+    await assert.rejects(client.cancel(1), err => err.code === 'IDEMPOTENCY_CONFLICT' && !err.isJobLocked());
+    await assert.rejects(client.cancel(2), err => err.code === null && !err.isJobLocked());
+});
+
+test('reschedule validates the date and sends it as ISO 8601', async () => {
+    const { client, fetch } = createTestClient(() => ({ body: { id: 7, status: 'rescheduled' } }));
+    const at = new Date(Date.now() + 3600000);
+
+    await client.reschedule(7, at);
+    assert.deepEqual(fetch.calls[0].body, { scheduledAt: at.toISOString() });
+    await assert.rejects(client.reschedule(7, 'not a date'), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(client.reschedule(7, new Date(Date.now() - 1000)), { code: 'VALIDATION_ERROR' });
+});
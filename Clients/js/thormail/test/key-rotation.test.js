@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ThorMailPool } = require('../src/index.js');
+const { stubFetch, createTestClient } = require('./helpers.js');
+
+const PRIMARY = 'primary-key-0001';
+const SECONDARY = 'secondary-key-0002';
+const message = { to: 'user@example.com', body: 'Hi' };
+
+/** API that rejects the primary key and answers the secondary one with `secondaryResponse` */
+const rotatedApi = (secondaryResponse = { body: { id: 1, status: 'accepted' } }) => request => (
+    request.headers['X-API-Key'] === PRIMARY
+        ? { status: 401, body: { error: 'Invalid API key', code: 'UNAUTHORIZED' } }
+        : secondaryResponse
+);
+
+test('a 401 retries with the secondary key and promotes it once the API accepts it', async () => {
+    const rotations = [];
+    const { client, fetch } = createTestClient(rotatedApi(), {
+        secondaryApiKey: SECONDARY,
+        hooks: { onKeyRotation: context => rotations.push(context) }
+    });
+
+    await client.send(message);
+    await client.send(message);
+
+    assert.deepEqual(fetch.calls.map(call => call.headers['X-API-Key']), [PRIMARY, SECONDARY, SECONDARY]);
+    assert.equal(rotations.length, 1);
+    assert.equal(rotations[0].retiredKeyHint, '0001');
+    assert.equal(rotations[0].activeKeyHint, '0002');
+    assert.equal(client.getConfig().hasSecondaryApiKey, false);
+});
+
+test('the secondary key is not promoted when the API does not accept the request', async () => {
+    for (const response of [
+        { status: 400, body: { error: 'Bad', code: 'VALIDATION_ERROR' } },
+        { status: 403, body: { error: 'Forbidden', code: 'FORBIDDEN' } },
+        { status: 500, body: { error: 'Boom', code: 'INTERNAL_ERROR' } }
+    ]) {
+        const rotations = [];
+        const { client, fetch } = createTestClient(rotatedApi(response), {
+            secondaryApiKey: SECONDARY,
+            retry: { maxRetries: 0 },
+            hooks: { onKeyRotation: context => rotations.push(context) }
+        });
+
+        await assert.rejects(client.send(message), { statusCode: response.status });
+        await assert.rejects(client.send(message), { statusCode: response.status });
+
+        assert.deepEqual(fetch.calls.map(call => call.headers['X-API-Key']), [PRIMARY, SECONDARY, PRIMARY, SECONDARY]);
+        assert.equal(rotations.length, 0);
+        assert.equal(client.getConfig().hasSecondaryApiKey, true);
+    }
+});
+
+test('a pool keeps the promoted key when it is given the keys from before the rotation', async () => {
+    const fetch = stubFetch(rotatedApi());
+    const pool = new ThorMailPool({ baseUrl: 'https://api.thormail.test', fetch, retry: { baseDelay: 1, maxDelay: 5 } });
+
+    await pool.forWorkspace('ws-1', PRIMARY, { secondaryApiKey: SECONDARY }).send(message);
+    const client = pool.forWorkspace('ws-1', PRIMARY, { secondaryApiKey: SECONDARY });
+    await client.send(message);
+
+    assert.deepEqual(fetch.calls.map(call => call.headers['X-API-Key']), [PRIMARY, SECONDARY, SECONDARY]);
+    assert.equal(client.getConfig().hasSecondaryApiKey, false);
+
+    // New keys from the tenant store still reconfigure the client
+    pool.forWorkspace('ws-1', 'next-key-0003', { secondaryApiKey: 'spare-key-0004' });
+    await client.send(message);
+    assert.equal(fetch.calls.at(-1).headers['X-API-Key'], 'next-key-0003');
+    assert.equal(client.getConfig().hasSecondaryApiKey, true);
+});
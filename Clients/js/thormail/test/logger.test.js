@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockClient } = require('../src/index.js');
+const { createTestClient } = require('./helpers.js');
+
+/**
+ * Logger double that keeps every record
+ * @returns {{logger: Object, records: Array<{level: string, msg: string, fields: Object}>}}
+ */
+function recordingLogger() {
+    const records = [];
+    const logger = {};
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = (fields, msg) => records.push({ level, msg, fields });
+    }
+    return { logger, records };
+}
+
+test('log records never contain the API keys or recipient data', async () => {
+    const { logger, records } = recordingLogger();
+    const { client } = createTestClient(() => ({ status: 400, body: { error: 'Rejected primary-key-0001' } }), {
+        logger,
+        secondaryApiKey: 'secondary-key-0002'
+    });
+
+    await client.suppressions.check('user@example.com').catch(() => { });
+    await client.listMessages({ to: 'user@example.com', limit: 5 }).catch(() => { });
+
+    const text = JSON.stringify(records);
+    assert.ok(records.length > 0);
+    assert.ok(!text.includes('primary-key-0001'));
+    assert.ok(!text.includes('secondary-key-0002'));
+    assert.ok(!text.includes('user@example.com'));
+    assert.ok(!text.includes('user%40example.com'));
+    assert.ok(records.some(record => record.level === 'error' && record.msg === 'Request failed permanently'));
+    assert.ok(records.every(record => record.fields.component === 'thormail'));
+});
+
+test('the redact option replaces the default redacted fields', async () => {
+    const { logger, records } = recordingLogger();
+    const { client } = createTestClient(() => ({ body: { data: [] } }), { logger, redact: ['limit'] });
+
+    await client.listMessages({ to: 'user@example.com', limit: 5 });
+
+    const endpoints = records.map(record => record.fields.endpoint).filter(Boolean);
+    assert.ok(endpoints.every(endpoint => endpoint.includes('to=user%40example.com') && !endpoint.includes('limit=5')));
+});
+
+test('API error messages that quote the recipient are redacted', async () => {
+    const { logger, records } = recordingLogger();
+    const client = createMockClient({ logger, retry: false });
+    client.mock.suppress('blocked@example.com');
+
+    await assert.rejects(client.send({ to: 'blocked@example.com', subject: 'Hi', body: 'Hello' }), /suppression list/);
+
+    const failed = records.find(record => record.msg === 'Request failed permanently');
+    assert.ok(!JSON.stringify(records).includes('blocked@example.com'));
+    assert.equal(failed.fields.error, '[REDACTED]');
+    assert.equal(failed.fields.code, 'suppression_list');
+    assert.equal(failed.fields.statusCode, 403);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+test('listMessages sends the filter as query parameters', async () => {
+    const page = { data: [{ id: 1 }], hasMore: false, nextCursor: null };
+    const { client, fetch } = createTestClient(() => ({ body: page }));
+
+    const result = await client.listMessages({
+        status: ['failed', 'bounced'],
+        type: 'EMAIL',
+        since: new Date('2026-01-01T00:00:00Z'),
+        limit: 10
+    });
+
+    assert.deepEqual(result, page);
+    assert.equal(fetch.calls[0].method, 'GET');
+    assert.equal(fetch.calls[0].path, '/v1/messages');
+    assert.deepEqual(fetch.calls[0].query, {
+        status: 'failed,bounced',
+        type: 'EMAIL',
+        since: '2026-01-01T00:00:00.000Z',
+        limit: '10'
+    });
+});
+
+test('listMessages rejects invalid filters before sending', async () => {
+    const { client, fetch } = createTestClient();
+
+    await assert.rejects(client.listMessages({ status: 'lost' }), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(client.listMessages({ limit: 0 }), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(client.listMessages({ since: '2026-02-01', until: '2026-01-01' }), { code: 'VALIDATION_ERROR' });
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('searchMessages posts the trimmed query with the filter', async () => {
+    const { client, fetch } = createTestClient(() => ({ body: { data: [], hasMore: false } }));
+
+    await client.searchMessages('  order 42 ', { type: 'SMS' });
+
+    assert.equal(fetch.calls[0].path, '/v1/messages/search');
+    assert.deepEqual(fetch.calls[0].body, { query: 'order 42', type: 'SMS' });
+    await assert.rejects(client.searchMessages(' '), { code: 'VALIDATION_ERROR' });
+});
+
+test('messages.iterate follows the cursor until the last page', async () => {
+    const pages = {
+        '': { data: [{ id: 1 }, { id: 2 }], hasMore: true, nextCursor: 'c2' },
+        c2: { data: [{ id: 3 }], hasMore: false, nextCursor: null }
+    };
+    const { client, fetch } = createTestClient(request => ({ body: pages[request.query.cursor ?? ''] }));
+
+    const ids = [];
+    for await (const message of client.messages.iterate({ status: 'failed' })) {
+        ids.push(message.id);
+    }
+
+    assert.deepEqual(ids, [1, 2, 3]);
+    assert.deepEqual(fetch.calls.map(call => call.query), [{ status: 'failed' }, { status: 'failed', cursor: 'c2' }]);
+});
+
+test('messages.iterate stops with ABORTED when the signal is aborted', async () => {
+    const { client } = createTestClient(() => ({ body: { data: [{ id: 1 }, { id: 2 }], hasMore: true, nextCursor: 'next' } }));
+    const controller = new AbortController();
+
+    await assert.rejects(async () => {
+        for await (const message of client.messages.iterate({}, { signal: controller.signal })) {
+            if (message.id === 1) controller.abort();
+        }
+    }, { code: 'ABORTED' });
+});
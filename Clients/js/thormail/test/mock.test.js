@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockClient } = require('../src/index.js');
+const { createTestClient } = require('./helpers.js');
+
+test('the fetch option replaces the global fetch', async () => {
+    const { client, fetch } = createTestClient(() => ({ body: { id: 9, status: 'accepted' } }));
+
+    assert.deepEqual(await client.send({ to: 'user@example.com', body: 'Hi' }), { id: 9, status: 'accepted' });
+    assert.equal(fetch.calls[0].url, 'https://api.thormail.test/v1/send');
+    assert.equal(fetch.calls[0].headers['X-API-Key'], 'primary-key-0001');
+    assert.equal(fetch.calls[0].headers['X-Workspace-ID'], 'ws-1');
+});
+
+test('createMockClient records sends and serves their status', async () => {
+    const client = createMockClient();
+
+    const { id } = await client.send({ to: 'user@example.com', templateId: 'welcome', data: { name: 'Ana' } });
+    await client.sendBatch({ body: 'x', emails: [{ to: 'a@example.com' }, { to: 'b@example.com' }] });
+
+    assert.equal(client.mock.sent.length, 3);
+    assert.equal(client.mock.sentTo('user@example.com')[0].templateId, 'welcome');
+    assert.equal(client.mock.sentTo('b@example.com')[0].batch, true);
+    assert.equal((await client.status(id)).status, 'pending');
+    await assert.rejects(client.status(999), err => err.isNotFound());
+});
+
+test('createMockClient scripted failures go through the retry logic', async () => {
+    const client = createMockClient();
+    client.mock.failNext({ status: 503, times: 2 }).failNext({ status: 0, endpoint: '/v1/status' });
+
+    await client.send({ to: 'user@example.com', body: 'Hi' });
+
+    assert.equal(client.mock.requests.length, 3);
+    assert.equal(client.mock.sent.length, 1);
+    await assert.rejects(client.status(1, { retry: false }), err => err.isNetworkError());
+});
+
+test('createMockClient rejects suppressed recipients and resets', async () => {
+    const client = createMockClient();
+    client.mock.suppress('blocked@example.com');
+
+    await assert.rejects(client.send({ to: 'blocked@example.com', body: 'Hi' }), err => err.isSuppressed());
+
+    client.mock.reset();
+    await client.send({ to: 'blocked@example.com', body: 'Hi' });
+    assert.equal(client.mock.sent[0].id, 1);
+});
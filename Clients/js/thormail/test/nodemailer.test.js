@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { thormailTransport } = require('../src/index.js');
+const { createTestClient } = require('./helpers.js');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'thormail-mail-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+/** Calls the transport like Nodemailer does and resolves with `info` */
+const sendMail = (transport, data) => new Promise((resolve, reject) => {
+    transport.send({ data }, (err, info) => err ? reject(err) : resolve(info));
+});
+
+const accepted = () => ({ body: { id: 321, status: 'accepted' } });
+
+test('maps a Nodemailer message onto send() fields and adapter data keys', async () => {
+    const { client, fetch } = createTestClient(accepted);
+    const invoice = path.join(tmp, 'invoice.pdf');
+    fs.writeFileSync(invoice, 'PDF');
+
+    const info = await sendMail(thormailTransport(client), {
+        from: '"Billing, Inc." <billing@example.com>',
+        to: 'Ada <ada@example.com>',
+        cc: 'acct@example.com; "Doe, Jo" <jo@example.com>',
+        bcc: [{ name: 'Audit', address: 'audit@example.com' }],
+        replyTo: 'support@example.com',
+        subject: 'Your invoice',
+        html: '<p>Attached.</p>',
+        text: Buffer.from('Attached.'),
+        headers: { 'X-Campaign': 'spring', 'X-Tags': ['a', 'b'] },
+        attachments: [
+            { filename: 'terms.pdf', path: 'https://files.example.com/terms.pdf' },
+            { path: invoice, contentType: 'application/pdf' },
+            { filename: 'note.txt', content: 'hello' }
+        ]
+    });
+
+    assert.deepEqual(fetch.calls[0].body, {
+        type: 'EMAIL',
+        to: 'ada@example.com',
+        subject: 'Your invoice',
+        body: '<p>Attached.</p>',
+        data: {
+            from: '"Billing, Inc." <billing@example.com>',
+            cc: ['acct@example.com', 'jo@example.com'],
+            bcc: ['audit@example.com'],
+            replyTo: 'support@example.com',
+            text: 'Attached.',
+            headers: { 'X-Campaign': 'spring', 'X-Tags': 'a, b' },
+            attachments: [
+                { filename: 'terms.pdf', path: 'https://files.example.com/terms.pdf' },
+                { filename: 'invoice.pdf', contentType: 'application/pdf', content: Buffer.from('PDF').toString('base64'), encoding: 'base64' },
+                { filename: 'note.txt', content: 'hello' }
+            ]
+        }
+    });
+    assert.equal(info.messageId, '321');
+    assert.deepEqual(info.envelope, { from: 'billing@example.com', to: ['ada@example.com', 'acct@example.com', 'jo@example.com', 'audit@example.com'] });
+    assert.equal(info.response, 'accepted');
+});
+
+test('escapes a text-only message into an HTML body', async () => {
+    const { client, fetch } = createTestClient(accepted);
+
+    await sendMail(thormailTransport(client), { to: 'ada@example.com', text: 'a < b & c\nnext' });
+
+    assert.equal(fetch.calls[0].body.body, 'a &lt; b &amp; c<br>\nnext');
+    assert.equal(fetch.calls[0].body.data.text, 'a < b & c\nnext');
+});
+
+test('rejects a message with several to addresses before any request', async () => {
+    const { client, fetch } = createTestClient(accepted);
+
+    await assert.rejects(sendMail(thormailTransport(client), { to: 'a@example.com, b@example.com', html: 'Hi' }), {
+        code: 'VALIDATION_ERROR',
+        message: /single "to" address \(got 2\)/
+    });
+    await assert.rejects(sendMail(thormailTransport(client), { html: 'Hi' }), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(sendMail(thormailTransport(client), { to: 'a@example.com' }), { message: /"html" or "text"/ });
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('reports an outboxed message without a message id', async () => {
+    const { client } = createTestClient(() => ({ status: 503, body: { error: 'Down', code: 'SERVICE_UNAVAILABLE' } }), {
+        retry: { maxRetries: 0 },
+        outbox: { interval: 60000 }
+    });
+    client.outbox.stop();
+
+    const info = await sendMail(thormailTransport(client), { to: 'ada@example.com', html: 'Hi' });
+
+    assert.equal(info.messageId, null);
+    assert.equal(info.response, 'outboxed');
+    assert.equal(await client.outbox.size(), 1);
+});
+
+test('verify checks the credentials with a message listing', async () => {
+    const { client, fetch } = createTestClient(() => ({ body: { data: [], nextCursor: null, hasMore: false } }));
+    const transport = thormailTransport(client);
+
+    assert.equal(await transport.verify(), true);
+    const viaCallback = await new Promise((resolve, reject) => transport.verify((err, ok) => err ? reject(err) : resolve(ok)));
+
+    assert.equal(viaCallback, true);
+    assert.equal(fetch.calls[0].path, '/v1/messages');
+    assert.equal(fetch.calls[0].query.limit, '1');
+    assert.throws(() => thormailTransport({}), /ThorMailClient is required/);
+});
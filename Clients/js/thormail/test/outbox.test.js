@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { createTestClient } = require('./helpers.js');
+
+const unavailable = { status: 503, body: { error: 'Maintenance', code: 'SERVICE_UNAVAILABLE' } };
+const message = { to: 'user@example.com', subject: 'Hi', body: 'Hello' };
+
+/**
+ * Client whose API answers with the responses in `script`, in order, then 200
+ */
+function outboxClient(script, outbox = {}, config = {}) {
+    const { client, fetch } = createTestClient((request, i) => script[i] ?? { body: { id: 100 + i, status: 'accepted' } }, {
+        retry: { maxRetries: 0, baseDelay: 1, maxDelay: 5 },
+        outbox: { interval: 60000, ...outbox },
+        ...config
+    });
+    client.outbox.stop();
+    return { client, fetch };
+}
+
+test('send stores a retryable failure and flush replays it with the same idempotency key', async () => {
+    const { client, fetch } = outboxClient([unavailable]);
+    const sent = [];
+    client.outbox.on('sent', event => sent.push(event));
+
+    const result = await client.send(message);
+    assert.equal(result.status, 'outboxed');
+    assert.equal(await client.outbox.size(), 1);
+
+    const flushed = await client.outbox.flush();
+
+    assert.deepEqual(flushed, { sent: 1, dropped: 0, remaining: 0 });
+    assert.equal(await client.outbox.size(), 0);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].response.id, 101);
+    assert.equal(fetch.calls[1].headers['x-idempotency-key'], result.idempotencyKey);
+    assert.equal(fetch.calls[1].body.to, 'user@example.com');
+});
+
+test('flush drops an entry that fails with a non-retryable error', async () => {
+    const { client } = outboxClient([unavailable, { status: 400, body: { error: 'Bad', code: 'VALIDATION_ERROR' } }]);
+    const dropped = [];
+    client.outbox.on('dropped', event => dropped.push(event));
+
+    await client.send(message);
+    const flushed = await client.outbox.flush();
+
+    assert.deepEqual(flushed, { sent: 0, dropped: 1, remaining: 0 });
+    assert.equal(dropped[0].error.code, 'VALIDATION_ERROR');
+    assert.equal(await client.outbox.size(), 0);
+});
+
+test('flush keeps an entry that is still unavailable and counts the attempt', async () => {
+    const { client } = outboxClient([unavailable, unavailable]);
+
+    await client.send(message);
+    const flushed = await client.outbox.flush();
+    const [entry] = await client.outbox.list();
+
+    assert.deepEqual(flushed, { sent: 0, dropped: 0, remaining: 1 });
+    assert.equal(entry.attempts, 1);
+});
+
+test('a throwing sent listener never causes the entry to be replayed again', async () => {
+    const { client, fetch } = outboxClient([unavailable]);
+    const retried = [];
+    client.outbox.on('retry', event => retried.push(event));
+    client.outbox.on('sent', () => { throw new Error('listener failed'); });
+
+    await client.send(message);
+    await client.outbox.flush();
+    await client.outbox.flush();
+
+    assert.equal(fetch.calls.length, 2);
+    assert.equal(retried.length, 0);
+    assert.equal(await client.outbox.size(), 0);
+});
+
+test('a throwing sent listener does not stop the rest of the replay pass', async () => {
+    const warnings = [];
+    const logger = { debug() { }, info() { }, warn: (fields, msg) => warnings.push(msg), error() { } };
+    const { client, fetch } = outboxClient([unavailable, unavailable], {}, { logger });
+    client.outbox.on('sent', () => { throw new Error('listener failed'); });
+
+    await client.send(message);
+    await client.send({ ...message, to: 'other@example.com' });
+    const flushed = await client.outbox.flush();
+
+    assert.deepEqual(flushed, { sent: 2, dropped: 0, remaining: 0 });
+    assert.deepEqual(fetch.calls.slice(2).map(call => call.body.to), ['user@example.com', 'other@example.com']);
+    assert.equal(await client.outbox.size(), 0);
+    assert.equal(warnings.filter(text => text === "Outbox 'sent' listener failed").length, 2);
+});
+
+test('a corrupt outbox file is read again on the next call', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'thormail-outbox-'));
+    const file = path.join(dir, 'outbox.json');
+    await fs.writeFile(file, '{not json');
+    const { client } = outboxClient([unavailable], { path: file });
+
+    try {
+        await assert.rejects(client.outbox.size(), SyntaxError);
+        await fs.writeFile(file, '[]');
+        assert.equal(await client.outbox.size(), 0);
+
+        await client.send(message);
+        assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).length, 1);
+        assert.deepEqual(await fs.readdir(dir), ['outbox.json']);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('send rethrows the API error when the outbox cannot store it', async () => {
+    const storage = {
+        list: async () => [],
+        put: async () => { throw new Error('disk full'); },
+        delete: async () => { }
+    };
+    const { client } = outboxClient([unavailable], { storage });
+
+    await assert.rejects(client.send(message), err => {
+        assert.equal(err.code, 'SERVICE_UNAVAILABLE');
+        assert.equal(err.details.outboxError.message, 'disk full');
+        return true;
+    });
+});
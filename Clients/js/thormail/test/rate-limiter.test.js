@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+const accepted = { body: { id: 1, status: 'accepted' } };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const send = (client, to = 'user@example.com') => client.send({ to, body: 'Hi' });
+
+test('calls beyond maxQueue fail with QUEUE_FULL', async () => {
+    const { client } = createTestClient(async () => {
+        await sleep(30);
+        return accepted;
+    }, { rateLimiter: { requestsPerSecond: 100, concurrency: 1, maxQueue: 2 } });
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => send(client).then(() => 'ok', err => err.code)));
+
+    assert.deepEqual(results, ['ok', 'ok', 'ok', 'QUEUE_FULL']);
+    assert.equal(client.getQueueDepth(), 0);
+});
+
+test('a retry waits in a full queue instead of failing with QUEUE_FULL', async () => {
+    const { client, fetch } = createTestClient((request, i) => (
+        i === 0 ? { status: 503, body: { error: 'Down', code: 'SERVICE_UNAVAILABLE' } } : accepted
+    ), { rateLimiter: { requestsPerSecond: 10, burst: 1, concurrency: 4, maxQueue: 1 } });
+
+    // The first call takes the only token; the second fills the queue before the first one retries
+    const results = await Promise.all([send(client, 'a@example.com'), send(client, 'b@example.com')]);
+
+    assert.deepEqual(results.map(result => result.status), ['accepted', 'accepted']);
+    assert.deepEqual(fetch.calls.map(call => call.body.to), ['a@example.com', 'b@example.com', 'a@example.com']);
+});
+
+test('rate limit headers do not end a 429 pause early', async () => {
+    const startedAt = Date.now();
+    const times = [];
+    const { client } = createTestClient(async (request, i) => {
+        times.push(Date.now() - startedAt);
+        if (i === 0) {
+            return { status: 429, body: { error: 'Slow down', code: 'RATE_LIMITED' }, headers: { 'Retry-After': '1' } };
+        }
+        if (i === 1) {
+            await sleep(30);
+            return {
+                ...accepted,
+                headers: {
+                    'X-RateLimit-Limit': '100',
+                    'X-RateLimit-Remaining': '90',
+                    'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 60)
+                }
+            };
+        }
+        return accepted;
+    }, { rateLimiter: { requestsPerSecond: 100, concurrency: 4 } });
+
+    // A later call wakes the limiter up after the headers said requests remain
+    const later = sleep(80).then(() => send(client, 'c@example.com'));
+    await Promise.all([send(client, 'a@example.com'), send(client, 'b@example.com'), later]);
+
+    assert.equal(times.length, 4);
+    assert.ok(times[2] >= 900, `retry started ${times[2]}ms after the 429`);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+/** Answers after `ms` unless the request is aborted first, like a real fetch */
+const slow = (ms, response = { body: { id: 1, status: 'accepted' } }) => request => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(response), ms);
+    request.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(request.signal.reason);
+    });
+});
+
+const message = { to: 'user@example.com', body: 'Hi' };
+
+test('a per-call signal aborts the request with ABORTED and is never retried', async () => {
+    const { client, fetch } = createTestClient(slow(5000));
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(client.send(message, { signal: controller.signal }), { code: 'ABORTED' });
+    assert.equal(fetch.calls.length, 1);
+});
+
+test('an already aborted signal fails before any request', async () => {
+    const { client, fetch } = createTestClient();
+
+    await assert.rejects(client.status(1, { signal: AbortSignal.abort() }), { code: 'ABORTED' });
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('a per-call timeout overrides the client timeout', async () => {
+    const { client, fetch } = createTestClient(slow(5000), { timeout: 10000 });
+
+    const started = Date.now();
+    await assert.rejects(client.status(1, { timeout: 20, retry: false }), { code: 'TIMEOUT' });
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(fetch.calls.length, 1);
+});
+
+test('retry: false sends a single attempt and a retry object overrides the client config', async () => {
+    const { client, fetch } = createTestClient(() => ({ status: 503, body: { error: 'Down', code: 'SERVICE_UNAVAILABLE' } }));
+
+    await assert.rejects(client.send(message, { retry: false }), { statusCode: 503 });
+    assert.equal(fetch.calls.length, 1);
+
+    await assert.rejects(client.send(message, { retry: { maxRetries: 1, baseDelay: 1, maxDelay: 1 } }), { statusCode: 503 });
+    assert.equal(fetch.calls.length, 3);
+});
+
+test('invalid per-call options are rejected before any request', async () => {
+    const { client, fetch } = createTestClient();
+
+    await assert.rejects(client.send(message, { timeout: 0 }), { code: 'VALIDATION_ERROR', message: /timeout/ });
+    await assert.rejects(client.send(message, { signal: {} }), { code: 'VALIDATION_ERROR', message: /signal/ });
+    await assert.rejects(client.send(message, { retry: 3 }), { code: 'VALIDATION_ERROR', message: /retry/ });
+    assert.equal(fetch.calls.length, 0);
+});
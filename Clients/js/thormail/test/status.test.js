@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+const job = status => ({ body: { id: 7, status } });
+
+const statusRecords = request => ({ body: { data: request.body.ids.filter(id => id !== 9999).map(id => ({ id, status: id % 2 ? 'success' : 'pending' })) } });
+
+test('statusMany splits ids into 500-id requests and keeps the input order', async () => {
+    const ids = Array.from({ length: 1001 }, (_, i) => i + 1);
+    ids[3] = 9999;
+    const { client, fetch } = createTestClient(statusRecords);
+
+    const result = await client.statusMany(ids);
+
+    assert.deepEqual(fetch.calls.map(call => call.body.ids.length), [500, 500, 1]);
+    assert.ok(fetch.calls.every(call => call.path === '/v1/status-batch'));
+    assert.deepEqual(result.data.slice(0, 4).map(record => record.id), [1, 2, 3, 5]);
+    assert.deepEqual(result.notFound, [9999]);
+    assert.equal(result.summary.total, 1001);
+    assert.equal(result.summary.notFound, 1);
+    assert.equal(result.summary.counts.success, 501);
+    assert.equal(result.summary.counts.pending, 499);
+    assert.equal(result.summary.complete, false);
+});
+
+test('statusMany matches string and numeric ids', async () => {
+    const { client } = createTestClient(request => ({ body: { data: request.body.ids.map(id => ({ id: Number(id), status: 'success' })) } }));
+
+    const result = await client.statusMany(['12', 13]);
+
+    assert.equal(result.data.length, 2);
+    assert.deepEqual(result.notFound, []);
+    assert.equal(result.summary.complete, true);
+});
+
+test('statusMany looks up and counts a repeated id once', async () => {
+    const { client, fetch } = createTestClient(statusRecords);
+
+    const result = await client.statusMany([1, '1', 2, 9999, 2, 9999]);
+
+    assert.deepEqual(fetch.calls[0].body.ids, [1, 2, 9999]);
+    assert.deepEqual(result.data.map(record => record.id), [1, 2]);
+    assert.deepEqual(result.notFound, [9999]);
+    assert.equal(result.summary.total, 3);
+    assert.equal(result.summary.notFound, 1);
+});
+
+test('statusMany rejects an empty list or an invalid id before any request', async () => {
+    const { client, fetch } = createTestClient(statusRecords);
+
+    await assert.rejects(client.statusMany([]), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(client.statusMany([1, null]), { code: 'VALIDATION_ERROR', message: /index 1/ });
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('batchSummary counts the statuses of a batch response', async () => {
+    const { client, fetch } = createTestClient(statusRecords);
+
+    const summary = await client.batchSummary({ status: 'accepted', count: 3, ids: [1, 3, 5] });
+    const empty = await client.batchSummary({ status: 'accepted', count: 0, ids: [] });
+
+    assert.equal(summary.counts.success, 3);
+    assert.equal(summary.complete, true);
+    assert.equal(empty.total, 0);
+    assert.equal(fetch.calls.length, 1);
+    await assert.rejects(client.batchSummary({}), { code: 'VALIDATION_ERROR' });
+});
+
+test('waitForStatus polls until the job reaches a final status', async () => {
+    const statuses = ['pending', 'processing', 'success'];
+    const { client, fetch } = createTestClient((request, i) => job(statuses[i]));
+
+    const final = await client.waitForStatus(7, { interval: 1 });
+
+    assert.equal(final.status, 'success');
+    assert.equal(fetch.calls.length, 3);
+    assert.ok(fetch.calls.every(call => call.path === '/v1/status/7'));
+});
+
+test('waitForStatus rejects an invalid interval or maxInterval', async () => {
+    const { client, fetch } = createTestClient(() => job('pending'));
+
+    for (const options of [{ interval: 0 }, { interval: -5 }, { interval: '1000' }, { maxInterval: NaN }, { maxInterval: 0 }, { timeout: 0 }]) {
+        await assert.rejects(client.waitForStatus(7, options), { code: 'VALIDATION_ERROR' });
+    }
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('waitForStatus times out with WAIT_TIMEOUT and the last status', async () => {
+    const { client } = createTestClient(() => job('pending'));
+
+    await assert.rejects(client.waitForStatus(7, { timeout: 30, interval: 5 }), err => {
+        assert.equal(err.code, 'WAIT_TIMEOUT');
+        assert.equal(err.details.lastStatus, 'pending');
+        assert.ok(err.details.polls >= 2);
+        return true;
+    });
+});
+
+test('waitForStatus never lets a slow status request outlive the deadline', async () => {
+    const { client } = createTestClient(request => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(job('success')), 5000);
+        request.signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(request.signal.reason);
+        });
+    }), { timeout: 10000 });
+
+    const started = Date.now();
+    await assert.rejects(client.waitForStatus(7, { timeout: 50 }), { code: 'WAIT_TIMEOUT' });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('waitForStatus stops with ABORTED when the signal aborts', async () => {
+    const { client } = createTestClient(() => job('pending'));
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(client.waitForStatus(7, { interval: 1000, signal: controller.signal }), { code: 'ABORTED' });
+});
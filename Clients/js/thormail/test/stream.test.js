@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createTestClient } = require('./helpers.js');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'thormail-stream-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+/** Async iterable yielding the given chunks, like a file stream */
+async function* chunks(...parts) {
+    for (const part of parts) {
+        yield typeof part === 'string' ? part : Buffer.from(part);
+    }
+}
+
+const accept = request => ({ body: { status: 'accepted', count: request.body.emails.length, ids: request.body.emails.map((_, i) => i + 1) } });
+const badRequest = { status: 400, body: { error: 'Bad', code: 'VALIDATION_ERROR' } };
+
+/** Collects rejects written to a stream */
+function rejectsSink() {
+    const sink = { text: '', write(text, callback) { sink.text += text; callback(); } };
+    return sink;
+}
+
+test('sendStream parses quoted CSV fields, CRLF, a BOM and chunks split anywhere', async () => {
+    const { client, fetch } = createTestClient(accept);
+    const csv = '﻿to,name,note\r\n"a@example.com","Smith, Ada","said ""hi""\r\nand left"\r\n\r\nb@example.com,Bob,\r\n';
+    const split = [csv.slice(0, 20), csv.slice(20, 41), Buffer.from(csv.slice(41)).subarray(0, 5), Buffer.from(csv.slice(41)).subarray(5)];
+
+    const result = await client.sendStream(chunks(...split), { templateId: 'welcome' });
+
+    assert.equal(result.status, 'completed');
+    assert.equal(result.rows, 2);
+    assert.deepEqual(fetch.calls[0].body.emails, [
+        { to: 'a@example.com', data: { name: 'Smith, Ada', note: 'said "hi"\r\nand left' } },
+        { to: 'b@example.com', data: { name: 'Bob' } }
+    ]);
+    assert.equal(fetch.calls[0].body.templateId, 'welcome');
+});
+
+test('sendStream writes invalid CSV rows to rejects with the reason', async () => {
+    const { client, fetch } = createTestClient(accept);
+    const rejects = rejectsSink();
+
+    const result = await client.sendStream(chunks('to,name\n,Nobody\na@example.com\nb@example.com,Bob,extra\n"c@example.com,Cy\n'), {}, { rejects });
+    const lines = rejects.text.trim().split('\n');
+
+    assert.equal(result.rejected, 3);
+    assert.equal(result.queued, 1);
+    assert.deepEqual(fetch.calls[0].body.emails, [{ to: 'a@example.com' }]);
+    assert.equal(lines[0], 'to,name,error');
+    assert.match(lines[1], /^,Nobody,/);
+    assert.match(lines[2], /^b@example\.com,Bob,extra,"?Row 3 has 3 fields/);
+    assert.match(rejects.text, /unterminated quoted field/);
+});
+
+test('sendStream reads NDJSON rows and rejects lines that are not JSON objects', async () => {
+    const { client, fetch } = createTestClient(accept);
+    const rejects = rejectsSink();
+    const input = '{"to":"a@example.com","data":{"plan":"pro"}}\n{"to":"b@example.com","plan":"free"}\nnot json\n[1]\n';
+
+    const result = await client.sendStream(chunks(input), {}, { format: 'ndjson', rejects });
+
+    assert.deepEqual(fetch.calls[0].body.emails, [
+        { to: 'a@example.com', data: { plan: 'pro' } },
+        { to: 'b@example.com', data: { plan: 'free' } }
+    ]);
+    assert.equal(result.rejected, 2);
+    assert.deepEqual(rejects.text.trim().split('\n').map(line => JSON.parse(line).row), [3, 4]);
+});
+
+test('a resumed sendStream writes every rejected row exactly once', async () => {
+    const input = () => chunks('to,name\na@example.com,A\n,B\nb@example.com,C\nc@example.com,D\n,E\nd@example.com,F\n');
+    const rejects = path.join(tmp, 'resume.rejects.csv');
+    const { client, fetch } = createTestClient((request, i) => i === 1 ? badRequest : accept(request));
+
+    const first = await client.sendStream(input(), {}, { batchSize: 2, rejects });
+
+    assert.equal(first.status, 'partial');
+    assert.equal(first.cursor, 3);
+    assert.equal(first.rejected, 1);
+    assert.equal(fs.readFileSync(rejects, 'utf8'), 'to,name,error\n,B,"Missing or invalid ""to"" field at row 2"\n');
+
+    const resumed = await client.sendStream(input(), {}, { batchSize: 2, rejects, cursor: first.cursor });
+    const lines = fs.readFileSync(rejects, 'utf8').trim().split('\n');
+
+    assert.equal(resumed.status, 'completed');
+    assert.equal(resumed.rejected, 1);
+    assert.deepEqual(fetch.calls[2].body.emails.map(email => email.to), ['c@example.com', 'd@example.com']);
+    assert.deepEqual(lines.map(line => line.split(',').slice(0, 2).join(',')), ['to,name', ',B', ',E']);
+});
+
+test('sendStream keeps batch and recipient keys stable across a resume', async () => {
+    const input = () => chunks('to\na@example.com\nb@example.com\nc@example.com\n');
+    const { client, fetch } = createTestClient((request, i) => i === 1 ? badRequest : accept(request), { autoIdempotency: true });
+
+    const first = await client.sendStream(input(), {}, { batchSize: 2 });
+    await client.sendStream(input(), { idempotencyKey: first.idempotencyKey }, { batchSize: 2, cursor: first.cursor });
+
+    assert.equal(fetch.calls[0].headers['x-idempotency-key'], `${first.idempotencyKey}:1`);
+    assert.equal(fetch.calls[0].body.emails[1].idempotencyKey, `${first.idempotencyKey}:r2`);
+    assert.equal(fetch.calls[2].headers['x-idempotency-key'], fetch.calls[1].headers['x-idempotency-key']);
+    assert.deepEqual(fetch.calls[2].body.emails, fetch.calls[1].body.emails);
+});
+
+test('a throwing onProgress does not stop sendStream', async () => {
+    const { client } = createTestClient(accept);
+
+    const result = await client.sendStream(chunks('to\na@example.com\nb@example.com\n'), {}, {
+        batchSize: 1,
+        onProgress: () => { throw new Error('progress bar crashed'); }
+    });
+
+    assert.equal(result.status, 'completed');
+    assert.equal(result.queued, 2);
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+const rows = count => Array.from({ length: count }, (_, i) => ({ address: `user${i}@example.com`, reason: 'bounce' }));
+
+test('suppressions.check answers false on 404', async () => {
+    const { client, fetch } = createTestClient(() => ({ status: 404, body: { error: 'Not found' } }));
+
+    assert.deepEqual(await client.suppressions.check(' user@example.com '), { address: 'user@example.com', suppressed: false, entry: null });
+    assert.equal(fetch.calls[0].path, '/v1/suppressions/user%40example.com');
+});
+
+test('suppressions.import validates every entry before sending', async () => {
+    const { client, fetch } = createTestClient();
+
+    await assert.rejects(client.suppressions.import([...rows(3), { address: 'x@example.com', reason: 'spam' }]), {
+        code: 'VALIDATION_ERROR',
+        message: /at index 3/
+    });
+    assert.equal(fetch.calls.length, 0);
+});
+
+test('suppressions.import reports progress on failure and resumes from the cursor', async () => {
+    let failNext = true;
+    const { client, fetch } = createTestClient((request, i) => {
+        if (i === 1 && failNext) {
+            failNext = false;
+            return { status: 400, body: { error: 'Rejected', code: 'VALIDATION_ERROR', details: { row: 7 } } };
+        }
+        return { body: { imported: request.body.entries.length - 1, skipped: 1 } };
+    });
+    const entries = rows(1200);
+
+    const err = await client.suppressions.import(entries).catch(error => error);
+
+    assert.equal(err.code, 'VALIDATION_ERROR');
+    assert.deepEqual(err.details, { row: 7, imported: 499, skipped: 1, failed: 700, cursor: 500 });
+
+    const resumed = await client.suppressions.import(entries, { cursor: err.details.cursor });
+    assert.deepEqual(resumed, { imported: 698, skipped: 2 });
+    assert.deepEqual(fetch.calls.slice(2).map(call => call.body.entries[0].address), ['user500@example.com', 'user1000@example.com']);
+    await assert.rejects(client.suppressions.import(entries, { cursor: 1200 }), { code: 'VALIDATION_ERROR' });
+});
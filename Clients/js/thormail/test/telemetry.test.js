@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+/**
+ * Tracer double that records spans and their attributes
+ * @returns {{tracer: Object, spans: Object[]}}
+ */
+function recordingTracer() {
+    const spans = [];
+    const tracer = {
+        startSpan(name, { attributes }) {
+            const span = {
+                name,
+                attributes: { ...attributes },
+                ended: false,
+                setAttribute(key, value) {
+                    this.attributes[key] = value;
+                },
+                recordException() { },
+                setStatus(status) {
+                    this.status = status;
+                },
+                end() {
+                    this.ended = true;
+                }
+            };
+            spans.push(span);
+            return span;
+        }
+    };
+    return { tracer, spans };
+}
+
+const rateLimitHeaders = remaining => ({ 'X-RateLimit-Limit': '100', 'X-RateLimit-Remaining': String(remaining), 'X-RateLimit-Reset': '2000000000' });
+
+test('spans record the route template, never the query or path parameters', async () => {
+    const { tracer, spans } = recordingTracer();
+    const { client } = createTestClient(request => request.method === 'GET' && request.path.startsWith('/v1/suppressions/')
+        ? { status: 404, body: { error: 'Not found' } }
+        : { body: { data: [], hasMore: false } }, { telemetry: { tracer } });
+
+    await client.suppressions.check('user@example.com');
+    await client.listMessages({ status: 'failed', since: '2026-01-01' });
+    await client.templates.render('welcome', {});
+
+    assert.deepEqual(spans.map(span => span.attributes['url.template']), [
+        '/v1/suppressions/{id}',
+        '/v1/messages',
+        '/v1/templates/{id}/render'
+    ]);
+    assert.ok(spans.every(span => span.ended));
+    assert.ok(!JSON.stringify(spans.map(span => span.attributes)).includes('example.com'));
+});
+
+test('spans report the rate limit of their own call', async () => {
+    const { tracer, spans } = recordingTracer();
+    let releaseSlow;
+    const slowResponse = new Promise(resolve => {
+        releaseSlow = resolve;
+    });
+    const { client } = createTestClient(async request => {
+        if (request.body.to === 'slow@example.com') {
+            await slowResponse;
+            return { body: { id: 1, status: 'accepted' }, headers: rateLimitHeaders(50) };
+        }
+        if (request.body.to === 'down@example.com') {
+            throw new TypeError('fetch failed');
+        }
+        return { body: { id: 2, status: 'accepted' }, headers: rateLimitHeaders(10) };
+    }, { telemetry: { tracer }, retry: { maxRetries: 0 } });
+
+    const slow = client.send({ to: 'slow@example.com', body: 'x' });
+    await client.send({ to: 'fast@example.com', body: 'x' });
+    await assert.rejects(client.send({ to: 'down@example.com', body: 'x' }));
+    releaseSlow();
+    await slow;
+
+    const remaining = Object.fromEntries(spans.map(span => [span.attributes['thormail.queue_id'] ?? 'failed', span.attributes['thormail.ratelimit.remaining']]));
+    assert.deepEqual(remaining, { 1: 50, 2: 10, failed: undefined });
+});
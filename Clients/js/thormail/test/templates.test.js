@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestClient } = require('./helpers.js');
+
+test('templates.create validates and posts the template', async () => {
+    const { client, fetch } = createTestClient(request => ({ body: { ...request.body, version: 1 } }));
+
+    const template = await client.templates.create({ id: 'welcome', type: 'EMAIL', subject: 'Hi {{name}}', body: '<p>Hi</p>' });
+
+    assert.equal(template.version, 1);
+    assert.equal(fetch.calls[0].path, '/v1/templates');
+    await assert.rejects(client.templates.create({ id: 'x' }), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(client.templates.create({ id: 'x', body: 'b', type: 'FAX' }), { code: 'VALIDATION_ERROR' });
+    assert.equal(fetch.calls.length, 1);
+});
+
+test('templates.upsert creates the template when the update answers 404', async () => {
+    const { client, fetch } = createTestClient((request, i) => i === 0
+        ? { status: 404, body: { error: 'Template not found' } }
+        : { status: 201, body: { id: 'welcome', version: 1 } });
+
+    await client.templates.upsert({ id: 'welcome', body: '<p>Hi</p>' });
+
+    assert.deepEqual(fetch.calls.map(call => [call.method, call.path]), [
+        ['PUT', '/v1/templates/welcome'],
+        ['POST', '/v1/templates']
+    ]);
+    assert.deepEqual(fetch.calls[0].body, { body: '<p>Hi</p>' });
+});
+
+test('templates.get and render pass the version and encode the id', async () => {
+    const { client, fetch } = createTestClient(() => ({ body: {} }));
+
+    await client.templates.get('order/confirm', { version: 3 });
+    await client.templates.render('welcome', { name: 'Ana' }, { version: 2 });
+
+    assert.equal(fetch.calls[0].url, 'https://api.thormail.test/v1/templates/order%2Fconfirm?version=3');
+    assert.equal(fetch.calls[1].path, '/v1/templates/welcome/render');
+    assert.deepEqual(fetch.calls[1].body, { data: { name: 'Ana' }, version: 2 });
+    await assert.rejects(client.templates.render('welcome', ['x']), { code: 'VALIDATION_ERROR' });
+});
@@ -0,0 +1,49 @@
+/**
+ * Compile-time checks for the typed template registry (`npm run test:types`).
+ * Every `@ts-expect-error` line must fail to type-check.
+ */
+
+import { ThorMailClient, createClient, createMockClient, MessagePayload } from '../src/index';
+
+interface Templates {
+    welcome: { name: string };
+    'password-reset': { name: string; resetLink: string };
+    digest: { items?: string[] };
+}
+
+const config = { baseUrl: 'https://api.thormail.test', workspaceId: 'ws-1', apiKey: 'primary-key-0001' };
+
+// Without a registry any template ID and data are accepted
+const untyped = new ThorMailClient(config);
+untyped.send({ to: 'user@example.com', templateId: 'anything', data: { whatever: 1 } });
+untyped.sendBatch({ templateId: 'anything', emails: [{ to: 'user@example.com', data: { n: 1 } }] });
+untyped.message().template('anything', { a: 1 });
+
+const client = new ThorMailClient<Templates>(config);
+client.send({ to: 'user@example.com', templateId: 'welcome', data: { name: 'Ada' } });
+client.send({ to: 'user@example.com', templateId: 'password-reset', data: { name: 'Ada', resetLink: 'https://example.com/r', cc: 'it@example.com' } });
+client.send({ to: 'user@example.com', templateId: 'digest' });
+client.send({ to: 'user@example.com', subject: 'Hi', body: 'Hello', data: { anything: true } });
+// @ts-expect-error missing variable
+client.send({ to: 'user@example.com', templateId: 'password-reset', data: { name: 'Ada' } });
+// @ts-expect-error misspelled variable
+client.send({ to: 'user@example.com', templateId: 'welcome', data: { nmae: 'Ada' } });
+// @ts-expect-error unknown template
+client.send({ to: 'user@example.com', templateId: 'welcom', data: { name: 'Ada' } });
+// @ts-expect-error template variables are required
+client.send({ to: 'user@example.com', templateId: 'welcome' });
+// @ts-expect-error adapter options keep their types
+client.send({ to: 'user@example.com', templateId: 'welcome', data: { name: 'Ada', cc: 5 } });
+
+// Batch data is split between the shared payload and each recipient
+client.sendBatch({ templateId: 'password-reset', data: { resetLink: 'https://example.com/r' }, emails: [{ to: 'user@example.com', data: { name: 'Ada' } }] });
+// @ts-expect-error misspelled recipient variable
+client.sendBatch({ templateId: 'password-reset', emails: [{ to: 'user@example.com', data: { nam: 'Ada' } }] });
+
+client.message().to('user@example.com').template('welcome', { name: 'Ada' }).send();
+// @ts-expect-error wrong builder template data
+client.message().to('user@example.com').template('welcome', { nme: 'Ada' });
+
+createMockClient<Templates>().send({ to: 'user@example.com', templateId: 'welcome', data: { name: 'Ada' } });
+const payload: MessagePayload<Templates> = { to: 'user@example.com', templateId: 'digest', data: { items: [] } };
+createClient<Templates>(config).send(payload);
@@ -0,0 +1,193 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { verifyWebhook, parseWebhookEvent, createWebhookHandler } = require('../src/index.js');
+
+const SECRET = 'whsec_test';
+
+/**
+ * Builds a signed webhook delivery
+ * @returns {{body: string, headers: Object}}
+ */
+function signedDelivery(event = {}, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const payload = { id: 'evt_1', queueId: 42, status: 'HARD-REJECT', to: 'user@example.com', occurredAt: '2026-03-01T10:00:00Z', ...event };
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', secret).update(`${payload.id}.${timestamp}.${body}`).digest('hex');
+    return {
+        body,
+        headers: {
+            'X-ThorMail-Id': payload.id,
+            'X-ThorMail-Timestamp': String(timestamp),
+            'X-ThorMail-Signature': `v1=${signature}`
+        }
+    };
+}
+
+test('verifyWebhook returns the normalized event for a valid signature', () => {
+    const { body, headers } = signedDelivery({ queueId: '42' });
+
+    const event = verifyWebhook(Buffer.from(body), headers, SECRET);
+
+    assert.equal(event.id, 'evt_1');
+    assert.equal(event.queueId, 42);
+    assert.equal(event.occurredAt, '2026-03-01T10:00:00.000Z');
+});
+
+test('verifyWebhook accepts any of the secrets during rotation', () => {
+    const { body, headers } = signedDelivery({}, { secret: 'whsec_new' });
+
+    assert.equal(verifyWebhook(body, headers, [SECRET, 'whsec_new']).id, 'evt_1');
+});
+
+test('verifyWebhook rejects a tampered body or a wrong secret', () => {
+    const { body, headers } = signedDelivery();
+
+    assert.throws(() => verifyWebhook(body.replace('HARD-REJECT', 'ACCEPTED'), headers, SECRET), { code: 'WEBHOOK_INVALID_SIGNATURE' });
+    assert.throws(() => verifyWebhook(body, headers, 'whsec_other'), { code: 'WEBHOOK_INVALID_SIGNATURE' });
+    assert.throws(() => verifyWebhook(body, { ...headers, 'X-ThorMail-Signature': 'v1=zz' }, SECRET), { code: 'WEBHOOK_INVALID_SIGNATURE' });
+});
+
+test('verifyWebhook enforces the timestamp tolerance', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const { body, headers } = signedDelivery({}, { timestamp: now - 301 });
+
+    assert.throws(() => verifyWebhook(body, headers, SECRET), { code: 'WEBHOOK_TIMESTAMP_OUT_OF_RANGE' });
+    assert.equal(verifyWebhook(body, headers, SECRET, { tolerance: 600 }).id, 'evt_1');
+    assert.throws(() => verifyWebhook(body, headers, SECRET, { now: now + 1000, tolerance: 600 }), { code: 'WEBHOOK_TIMESTAMP_OUT_OF_RANGE' });
+});
+
+test('verifyWebhook requires the signature headers and the raw body', () => {
+    const { body, headers } = signedDelivery();
+
+    assert.throws(() => verifyWebhook(body, { 'X-ThorMail-Id': 'evt_1' }, SECRET), { code: 'WEBHOOK_MISSING_HEADERS' });
+    assert.throws(() => verifyWebhook(JSON.parse(body), headers, SECRET), { code: 'WEBHOOK_INVALID_PAYLOAD' });
+    assert.throws(() => verifyWebhook(body, { ...headers, 'X-ThorMail-Id': 'evt_2' }, SECRET), { code: 'WEBHOOK_INVALID_SIGNATURE' });
+});
+
+test('parseWebhookEvent rejects malformed events', () => {
+    const valid = { id: 'evt_1', queueId: 1, status: 'OPENED', occurredAt: '2026-03-01T10:00:00Z' };
+    const invalid = [
+        'not json',
+        [],
+        { ...valid, id: undefined },
+        { ...valid, status: 'DELIVERED' },
+        { ...valid, queueId: undefined },
+        { ...valid, queueId: 'abc' },
+        { ...valid, queueId: 1.5 },
+        { ...valid, occurredAt: undefined },
+        { ...valid, occurredAt: 'yesterday' }
+    ];
+
+    for (const payload of invalid) {
+        assert.throws(() => parseWebhookEvent(payload), { code: 'WEBHOOK_INVALID_PAYLOAD' }, JSON.stringify(payload));
+    }
+    assert.equal(parseWebhookEvent(valid).queueId, 1);
+});
+
+/**
+ * Minimal node:http request/response pair for a delivery
+ * @returns {{req: Object, res: Object}}
+ */
+function httpExchange({ body, headers }) {
+    const req = { method: 'POST', headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])), rawBody: body };
+    const res = {
+        statusCode: null,
+        body: null,
+        setHeader() { },
+        end(text) {
+            this.body = JSON.parse(text);
+        }
+    };
+    return { req, res };
+}
+
+test('createWebhookHandler dispatches the event to the matching handlers', async () => {
+    const seen = [];
+    const handler = createWebhookHandler({
+        secret: SECRET,
+        onBounce: event => seen.push(['bounce', event.queueId]),
+        onHardReject: event => seen.push(['hard', event.queueId]),
+        onOpen: () => seen.push(['open']),
+        onEvent: event => seen.push(['event', event.status])
+    });
+    const { req, res } = httpExchange(signedDelivery());
+
+    await handler(req, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { received: true });
+    assert.deepEqual(seen, [['hard', 42], ['bounce', 42], ['event', 'HARD-REJECT']]);
+});
+
+test('createWebhookHandler runs the handlers once for concurrent duplicate deliveries', async () => {
+    let calls = 0;
+    const handler = createWebhookHandler({ secret: SECRET, onEvent: () => { calls++; } });
+    const delivery = signedDelivery();
+    const first = httpExchange(delivery);
+    const second = httpExchange(delivery);
+
+    await Promise.all([handler(first.req, first.res), handler(second.req, second.res)]);
+
+    assert.equal(calls, 1);
+    assert.equal([first, second].filter(({ res }) => res.body.duplicate).length, 1);
+});
+
+test('createWebhookHandler trusts the replay store add-if-absent result', async () => {
+    const claimed = new Set();
+    const replayStore = {
+        add: async id => {
+            await new Promise(resolve => setImmediate(resolve));
+            if (claimed.has(id)) return false;
+            claimed.add(id);
+            return true;
+        },
+        delete: id => claimed.delete(id)
+    };
+    let calls = 0;
+    const handler = createWebhookHandler({ secret: SECRET, replayStore, onEvent: () => { calls++; } });
+    const delivery = signedDelivery({ id: 'evt_async' });
+
+    const exchanges = [httpExchange(delivery), httpExchange(delivery), httpExchange(delivery)];
+    await Promise.all(exchanges.map(({ req, res }) => handler(req, res)));
+
+    assert.equal(calls, 1);
+    assert.equal(exchanges.filter(({ res }) => res.body.duplicate).length, 2);
+});
+
+test('createWebhookHandler forgets the id when a handler fails so the redelivery is processed', async () => {
+    let attempts = 0;
+    const handler = createWebhookHandler({
+        secret: SECRET,
+        onEvent: () => {
+            attempts++;
+            if (attempts === 1) throw new Error('database down');
+        }
+    });
+    const delivery = signedDelivery();
+
+    const failed = httpExchange(delivery);
+    await handler(failed.req, failed.res);
+    const retried = httpExchange(delivery);
+    await handler(retried.req, retried.res);
+
+    assert.equal(failed.res.statusCode, 500);
+    assert.equal(retried.res.statusCode, 200);
+    assert.equal(attempts, 2);
+});
+
+test('createWebhookHandler still responds when onError throws', async () => {
+    const handler = createWebhookHandler({
+        secret: SECRET,
+        onError: () => {
+            throw new Error('logger crashed');
+        }
+    });
+    const { req, res } = httpExchange(signedDelivery({}, { secret: 'whsec_other' }));
+
+    await handler(req, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 'WEBHOOK_INVALID_SIGNATURE');
+});